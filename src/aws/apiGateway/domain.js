@@ -0,0 +1,203 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+const aws = require('@pulumi/aws')
+const crypto = require('crypto')
+
+const ENDPOINT_TYPES = ['EDGE', 'REGIONAL']
+const VALIDATION_METHODS = ['DNS', 'EMAIL', 'NONE']
+const API_VERSIONS = ['v1', 'v2']
+// Provider shared by all the edge domains' certificates. Its name is kept for backward compatibility (i.e., renaming it 
+// replaces the certificates provisioned by previous versions).
+const CERT_PROVIDER_NAME = 'temp-provider'
+let certProvider = null
+
+/**
+ * Creates an API Gateway custom domain, incl. its ACM certificate, the DNS validation record and the Route 53 A/AAAA aliases.
+ * The base path mappings are not created as they depend on the API's type.
+ *
+ * @param	{String}						name						API's name. Used to name the resources.
+ * @param	{String}						version						Valid values: 'v1' (RestApi), 'v2' (HttpApi and WebSocketApi).
+ * @param	{String}						endpointType				Default 'REGIONAL'. Valid values: 'EDGE' (v1 only), 'REGIONAL'
+ * @param	{Object}						domain
+ * @param	{String}							.name					e.g., 'api.example.com'
+ * @param	{Output<String>}					.certificateArn			(1) Existing ACM certificate's ARN or 'auto'. Default 'auto'.
+ * @param	{String}							.validationMethod		Default 'DNS'. Valid values: 'DNS', 'EMAIL' or 'NONE'
+ * @param	{Object}							.dns
+ * @param	{Output<String>}						.domainZoneId		(2) Route 53 hosted zone ID.
+ * @param	{Boolean}								.validateChallenge	Default true. Only meaningfull if 'certificateArn' is 'auto'.
+ * @param	{Boolean}								.alias				Default true. Creates the A and AAAA alias records.
+ * @param	{Object}						tags
+ * @param	{Boolean}						protect
+ * @param	{[Output<Resource>]}			dependsOn
+ *
+ * @return	{Output<DomainName>}			domain
+ * @return	{Output<String>}					.domainName
+ * @return	{Output<Object>}					...
+ * @return	{Output<Certificate>}				.cert					Null if 'certificateArn' is an existing certificate.
+ * @return	{Output<CertificateValidation>}		.certValidation			Null if the DNS challenge is not validated by this function.
+ * @return	{[Output<Record>]}					.dnsRecords				DNS validation record and A/AAAA aliases.
+ */
+// (1)	'auto' means a new ACM certificate is provisioned for the domain. Edge domains use a certificate in 'us-east-1' (as
+// 		required by CloudFront) while regional domains use a certificate in the stack's region. The edge certificates 
+// 		always use an explicit 'us-east-1' provider (even when the stack is in 'us-east-1').
+// (2)	When set, the DNS challenge is validated (WARNING: this assumes that the Route 53 zone is managed in the same AWS
+// 		account) and the alias records are created in that zone.
+//
+const createDomain = ({ name, version, endpointType, domain, tags, protect, dependsOn }) => {
+	if (!name)
+		throw new Error('Missing required argument \'name\'.')
+	if (API_VERSIONS.indexOf(version) < 0)
+		throw new Error(`'version' value unsupported. Supported values are ${API_VERSIONS}. Found ${version} instead.`)
+	if (!domain || !domain.name)
+		throw new Error('Missing required argument \'domain.name\'.')
+
+	const _endpointType = (endpointType || 'REGIONAL').toUpperCase()
+	if (ENDPOINT_TYPES.indexOf(_endpointType) < 0)
+		throw new Error(`'endpointType' value unsupported. Supported values are ${ENDPOINT_TYPES}. Found ${endpointType} instead.`)
+	if (version == 'v2' && _endpointType == 'EDGE')
+		throw new Error(`Wrong argument exception. Domain '${domain.name}' cannot use the 'EDGE' endpoint type. HTTP and WebSocket APIs only support 'REGIONAL' domains.`)
+	const validationMethod = (domain.validationMethod || 'DNS').toUpperCase()
+	if (VALIDATION_METHODS.indexOf(validationMethod) < 0)
+		throw new Error(`'validationMethod' value unsupported. Supported values are ${VALIDATION_METHODS}. Found ${domain.validationMethod} instead.`)
+
+	const dns = domain.dns || {}
+	const autoCert = !domain.certificateArn || domain.certificateArn == 'auto'
+	const validateChallenge = autoCert && validationMethod == 'DNS' && dns.domainZoneId && dns.validateChallenge !== false
+
+	tags = tags || {}
+	const domainHash = crypto.createHash('sha1').update(domain.name).digest('hex').substring(0,8)
+	const dnsRecords = []
+	let cert = null
+	let certValidation = null
+	let certificateArn = domain.certificateArn
+
+	if (autoCert) {
+		const certOptions = {
+			protect,
+			dependsOn
+		}
+		// ACM's SSL certs provisionned for edge domains (i.e., CloudFront) must be hosted in 'us-east-1' (Virginia)
+		if (_endpointType == 'EDGE') {
+			if (!certProvider)
+				certProvider = new aws.Provider(CERT_PROVIDER_NAME, { region: 'us-east-1' })
+			certOptions.provider = certProvider
+		}
+
+		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/acm/certificate/
+		const certName = `cert-for-${domainHash}-${name}`
+		cert = new aws.acm.Certificate(certName, {
+			domainName: domain.name,
+			validationMethod,
+			tags: {
+				...tags,
+				Name: certName
+			}
+		}, certOptions)
+		certificateArn = cert.arn
+
+		if (validateChallenge) {
+			// Solves the DNS challenge. Doc: https://www.pulumi.com/registry/packages/aws/api-docs/route53/record/
+			const challengeName = `dnsval-for-${domainHash}-${name}`
+			const challengeRecord = new aws.route53.Record(challengeName, {
+				zoneId: dns.domainZoneId,
+				name: cert.domainValidationOptions[0].resourceRecordName,
+				type: cert.domainValidationOptions[0].resourceRecordType,
+				ttl: 300,
+				records: [cert.domainValidationOptions[0].resourceRecordValue],
+				allowOverwrite: true
+			}, {
+				protect,
+				dependsOn: [cert]
+			})
+			dnsRecords.push(challengeRecord)
+
+			// Waits until the certificate is issued. Doc: https://www.pulumi.com/registry/packages/aws/api-docs/acm/certificatevalidation/
+			certValidation = new aws.acm.CertificateValidation(`certval-for-${domainHash}-${name}`, {
+				certificateArn: cert.arn,
+				validationRecordFqdns: [challengeRecord.fqdn]
+			}, {
+				protect,
+				provider: certOptions.provider
+			})
+			certificateArn = certValidation.certificateArn
+		}
+	}
+
+	const domainResourceName = `domain-for-${domainHash}-${name}`
+	const domainOptions = {
+		protect,
+		dependsOn: [...(dependsOn||[]), ...(certValidation ? [certValidation] : [])]
+	}
+	const domainTags = {
+		...tags,
+		Name: domainResourceName
+	}
+	let target
+	let apiDomain
+	if (version == 'v1') {
+		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/domainname/
+		apiDomain = new aws.apigateway.DomainName(domainResourceName, {
+			domainName: domain.name,
+			certificateArn: _endpointType == 'EDGE' ? certificateArn : undefined,
+			regionalCertificateArn: _endpointType == 'REGIONAL' ? certificateArn : undefined,
+			endpointConfiguration: {
+				types: [_endpointType]
+			},
+			securityPolicy: 'TLS_1_2',
+			tags: domainTags
+		}, domainOptions)
+		target = _endpointType == 'EDGE'
+			? { name:apiDomain.cloudfrontDomainName, zoneId:apiDomain.cloudfrontZoneId }
+			: { name:apiDomain.regionalDomainName, zoneId:apiDomain.regionalZoneId }
+	} else {
+		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/domainname/
+		apiDomain = new aws.apigatewayv2.DomainName(domainResourceName, {
+			domainName: domain.name,
+			domainNameConfiguration: {
+				certificateArn,
+				endpointType: 'REGIONAL',
+				securityPolicy: 'TLS_1_2'
+			},
+			tags: domainTags
+		}, domainOptions)
+		target = {
+			name: apiDomain.domainNameConfiguration.targetDomainName,
+			zoneId: apiDomain.domainNameConfiguration.hostedZoneId
+		}
+	}
+
+	if (dns.domainZoneId && dns.alias !== false) {
+		for (const type of ['A', 'AAAA']) {
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/route53/record/
+			dnsRecords.push(new aws.route53.Record(`${type.toLowerCase()}-for-${domainHash}-${name}`, {
+				zoneId: dns.domainZoneId,
+				name: domain.name,
+				type,
+				aliases: [{
+					name: target.name,
+					zoneId: target.zoneId,
+					evaluateTargetHealth: false
+				}]
+			}, {
+				protect,
+				dependsOn: [apiDomain]
+			}))
+		}
+	}
+
+	apiDomain.cert = cert
+	apiDomain.certValidation = certValidation
+	apiDomain.dnsRecords = dnsRecords
+
+	return apiDomain
+}
+
+module.exports = {
+	createDomain
+}
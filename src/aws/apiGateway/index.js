@@ -9,12 +9,36 @@ LICENSE file in the root directory of this source tree.
 const pulumi = require('@pulumi/pulumi')
 const aws = require('@pulumi/aws')
 const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
 const apiGatIntegrations = require('./integrations')
-const { Snapshot } = require('./snapshot')
+const { Snapshot, parseHistory:parseSnapshotHistory } = require('./snapshot')
+const { createDomain } = require('./domain')
+const openApiUtils = require('./openApi')
+const { createWebAcl, associateWebAcl } = require('../waf')
+const { getCorsConfig, getCorsOriginTemplate, createResponses } = require('./integrations/utils')
+const { createGrantsPolicy, grantManageConnections } = require('../iam')
 
 const REST_API_TYPES = ['edge', 'regional', 'private']
 const HTTP_METHODS = ['DELETE', 'GET', 'HEAD', 'OPTIONS', 'PATCH', 'POST', 'PUT', 'ANY']
 const INTEGRATION_TYPES = ['sns', 'sqs', 'http', 'http_proxy', 's3', 'lambda', 'lambda_proxy', 'kinesis']
+const LAMBDA_AUTHORIZER_TYPES = ['TOKEN', 'REQUEST']
+const DEFAULT_AUTHORIZER_TTL = 300
+const CANARY_ACTIONS = ['promote', 'abort']
+const QUOTA_PERIODS = ['DAY', 'WEEK', 'MONTH']
+const JSON_SCHEMA_DRAFT_04 = 'http://json-schema.org/draft-04/schema#' // Only version supported by API Gateway
+const HTTP_API_ROUTE_KEY = new RegExp(`^(${HTTP_METHODS.join('|')}) /.*$`)
+const HTTP_API_ACCESS_LOG_FORMAT = {
+	requestId: '$context.requestId',
+	ip: '$context.identity.sourceIp',
+	requestTime: '$context.requestTime',
+	httpMethod: '$context.httpMethod',
+	routeKey: '$context.routeKey',
+	status: '$context.status',
+	protocol: '$context.protocol',
+	responseLength: '$context.responseLength',
+	integrationError: '$context.integrationErrorMessage'
+}
 
 class RestApi extends aws.apigateway.RestApi {
 	/**
@@ -23,46 +47,131 @@ class RestApi extends aws.apigateway.RestApi {
 	 * @param	{String}						name
 	 * @param	{String}						description
 	 * @param	{String}						type							Default: 'egde'. Valid values: 'egde', 'regional', 'private'
+	 * @param	{Object}						privateEndpoint					(10) Required when 'type' is 'private'.
+	 * @param	{VPC}								.vpc						pulumix VPC (or any object with 'id', 'cidrBlock' and 'privateSubnets'). Creates a new execute-api VPC endpoint.
+	 * @param	{[Output<String>]}					.vpcEndpointIds				Existing execute-api VPC endpoints. Required if 'vpc' is not set.
+	 * @param	{[Output<String>]}					.subnetIds					Default is the VPC's private subnets (or isolated subnets if there are no private subnets).
+	 * @param	{[Output<String>]}					.securityGroupIds			Default is a new security group that allows HTTPS from the VPC's CIDR block.
+	 * @param	{Boolean}							.privateDnsEnabled			Default true.
+	 * @param	{[String]}							.allowedIps					CIDRs allowed to call the API from inside the VPC (e.g., ['10.0.1.0/24']).
+	 * @param	{[String]}							.allowedAccounts			AWS account IDs allowed to call the API. Requires the 'AWS_IAM' authorization.
+	 * @param	{[Object]}							.policyStatements			Extra IAM statements added to the resource policy.
 	 * @param	{String}						userPoolArn						Only required if a resource uses an 'authorizer' of type 'COGNITO_USER_POOLS'	
+	 * @param	{Object}						authorizers						(4) Lambda authorizers shared by name, e.g., { 'check-token':{ type:'TOKEN', lambda } }
+	 * @param	{String}							.type						Default 'TOKEN'. Valid values: 'TOKEN', 'REQUEST'
+	 * @param	{Output<Lambda>}					.lambda						Required. Object with a 'name' and an 'invokeArn'.
+	 * @param	{String}							.alias						Optional. Name of a Lambda alias (defined in the Lambda's 'aliases').
+	 * @param	{String|[String]}					.identitySource				e.g., 'method.request.header.Authorization' (default for 'TOKEN')
+	 * @param	{String}							.identityValidationExpression	Only for 'TOKEN'. e.g., '^Bearer [-0-9a-zA-z\.]*$'
+	 * @param	{Number}							.resultTtlInSeconds			Default 300. Max 3600. 0 disables the caching.
+	 * @param	{Object|String}					openApi							(6) OpenAPI 3 document (object, JSON string or path to a JSON file). Cannot be used with 'resources'.
+	 * @param	{Boolean|Object}				cors							(7) Default false. Applies to all the resources unless overridden by a resource's 'cors'.
+	 * @param	{String|[String]}					.origins					Default '*'. e.g., ['https://example.com', 'https://app.example.com']
+	 * @param	{[String]}							.methods					Default is the methods defined on each resource.
+	 * @param	{[String]}							.headers					Default ['Content-Type', 'X-Amz-Date', 'Authorization', 'X-Api-Key', 'X-Amz-Security-Token']
+	 * @param	{Boolean}							.credentials				Default false. Cannot be used with the '*' origin.
+	 * @param	{Number}							.maxAge						Preflight cache duration in seconds.
+	 * @param	{Object}						models							(8) e.g., { User:{ schema:'./schemas/user.json' } }
+	 * @param	{Object|String}						.schema						Required. JSON Schema (draft 4) object or path to a JSON file.
+	 * @param	{String}							.contentType				Default 'application/json'.
+	 * @param	{String}							.description
 	 * @param	{Object}						resources						e.g., { '/':{...}, 'dogs':{...}, 'blog/tech':{...} }
 	 * @param	{Object}							.[name|methodName]			If name is '/', this means root resource.
+	 * @param	{Boolean|Object}						.cors					Optional. Overrides the global 'cors' for this resource and its children (false disables it).
 	 * @param	{Object}								.[methodName]			e.g., 'GET', 'POST'
 	 * @param	{[String]}									.contentTypes		Supported content types. Default ['application/json']
+	 * @param	{Boolean}									.apiKeyRequired		Default false. When true, requests must pass a key from one of the 'usagePlans' in the 'x-api-key' header.
+	 * @param	{String}									.requestModel		Name of one of the 'models'. Validates the request's body.
+	 * @param	{Object|String}								.schema				Inline JSON Schema (or path to a JSON file). Validates the request's body.
 	 * @param	{Object}									.headers			Defines the required headers.
 	 * @param	{Object}									.queryStrings		Defines the required query strings
 	 * @param	{Object}									.authorizer
 	 * @param	{Object}										.type			Valid values: 'NONE', 'CUSTOM', 'AWS_IAM', 'COGNITO_USER_POOLS'
+	 * @param	{String}										.name			Required when 'type' is 'CUSTOM'. Name of one of the 'authorizers'.
 	 * @param	{Object}									.sns
 	 * @param	{Output<Topic>}									.topic
 	 * @param	{Output<String>}									.arn		Required. 
 	 * @param	{String}										.region			Default is the Pulumi AWS region from the stack config
 	 * @param	{Object}									.sqs
+	 * @param	{Output<Queue>}									.queue			Required. Object with an 'arn'.
+	 * @param	{String}										.requestTemplate	Default sends the body as the message.
 	 * @param	{String}										.region			Default is the Pulumi AWS region from the stack config
 	 * @param	{Object}									.http
-	 * @param	{String}										.region			Default is the Pulumi AWS region from the stack config
+	 * @param	{String}										.uri			Required. e.g., 'https://example.com/users/{id}' (3)
+	 * @param	{String}										.method			Default is the method's HTTP method.
+	 * @param	{String}										.requestTemplate
+	 * @param	{Output<String>}								.vpcLinkId
 	 * @param	{Object}									.http_proxy
-	 * @param	{String}										.region			Default is the Pulumi AWS region from the stack config
+	 * @param	{String}										.uri			Required. e.g., 'https://example.com/{proxy}' (3)
+	 * @param	{String}										.method			Default 'ANY'.
+	 * @param	{Output<String>}								.vpcLinkId
 	 * @param	{Object}									.s3
+	 * @param	{Output<Bucket>}								.bucket			Required. Object with an 'arn'.
+	 * @param	{String}										.key			Required. e.g., 'config.json' or '{key}' (3)
 	 * @param	{String}										.region			Default is the Pulumi AWS region from the stack config
 	 * @param	{Object}									.lambda
-	 * @param	{String}										.region			Default is the Pulumi AWS region from the stack config
+	 * @param	{Output<Lambda>}								.lambda			Required. Object with an 'arn' and an 'invokeArn'.
+	 * @param	{String}										.alias			Optional. Name of a Lambda alias (defined in the Lambda's 'aliases') to invoke instead of '$LATEST'.
+	 * @param	{String}										.requestTemplate	Default passes the body as the Lambda's event.
 	 * @param	{Object}									.lambda_proxy
 	 * @param	{Output<Lambda>}								.lambda
 	 * @param	{Output<String>}									.name
 	 * @param	{Output<String>}									.invokeArn
+	 * @param	{String}										.alias			Optional. Name of a Lambda alias (defined in the Lambda's 'aliases') to invoke instead of '$LATEST'.
 	 * @param	{String}										.region			Default is the Pulumi AWS region from the stack config
 	 * @param	{Object}									.kinesis
+	 * @param	{Output<Stream>}								.stream			Required. Object with an 'arn' and a 'name'.
+	 * @param	{String}										.partitionKey	Default '$context.requestId'.
 	 * @param	{String}										.region			Default is the Pulumi AWS region from the stack config
 	 * @param	{[Object]}						stages[]				 
 	 * @param	{Object}							.name						e.g., 'dev', 'staging'					
 	 * @param	{Object}							.snapshot					e.g., { hello:'world' }. Map of arbitrary keys and values that, when changed, will trigger a redeployment.
 	 * @param	{String}								.version
 	 * @param	{String}								.description
+	 * @param	{String}								.rollbackTo				(12) Version of a previous snapshot the stage points to (no new deployment).
+	 * @param	{Number}								.maxHistory				Optional. Max number of deployments kept. The oldest ones are deleted.
 	 * @param	{Object}							.variables
+	 * @param	{Object}							.canary						(13)
+	 * @param	{String}								.version				Snapshot version used by the canary (e.g., '1.3.0').
+	 * @param	{Number}								.percent				Default 10. Percent of the traffic (0 to 100) routed to the canary.
+	 * @param	{Object}								.variables				Stage variables overrides used by the canary.
+	 * @param	{Boolean}								.useStageCache			Default false.
+	 * @param	{String}								.action					Optional. Valid values: 'promote', 'abort'
 	 * @param	{Boolean|Object}					.cloudwatch					(1) Default false. Toggles logging for that stage.
+	 * @param	{Boolean}							.waf						Default true. False means the 'waf' is not associated with that stage.
+	 * @param	{String|Object}					waf							(9) WAFv2 web ACL associated with each stage. Existing web ACL's ARN or presets.
+	 * @param	{Boolean}							.common						Adds the AWS managed common rule set.
+	 * @param	{Boolean}							.ipReputation				Adds the AWS managed IP reputation list.
+	 * @param	{Number|Object}						.rateLimit					Max number of requests per IP over a 5 minutes window.
+	 * @param	{[String]}							.allowIps					CIDRs that are always allowed.
+	 * @param	{[String]}							.denyIps					CIDRs that are always blocked.
+	 * @param	{String}							.defaultAction				Default 'ALLOW'. Valid values: 'ALLOW', 'BLOCK'
+	 * @param	{[Object]}						usagePlans[]				(5)
+	 * @param	{String}							.name						Required.
+	 * @param	{String}							.description
+	 * @param	{[String]}							.stages						Required. Names of the 'stages' the plan applies to.
+	 * @param	{Object}							.throttle
+	 * @param	{Number}								.rateLimit				Steady-state requests per second.
+	 * @param	{Number}								.burstLimit				Maximum concurrent requests.
+	 * @param	{Object}							.quota
+	 * @param	{Number}								.limit					Maximum number of requests per period.
+	 * @param	{String}								.period					Default 'MONTH'. Valid values: 'DAY', 'WEEK', 'MONTH'
+	 * @param	{Number}								.offset					Default 0.
+	 * @param	{[Object]}							.apiKeys[]
+	 * @param	{String}								.name					Required.
+	 * @param	{String}								.description
+	 * @param	{Output<String>}						.value					Optional. Imports an existing key value instead of generating one.
+	 * @param	{Output<String>}						.id						Optional. ID of an existing API key. No new key is created.
+	 * @param	{Boolean}								.enabled				Default true.
 	 * @param	{[Object]}						domains[]
 	 * @param	{String}							.name						e.g., 'example.com'
+	 * @param	{String}							.endpointType				Default 'EDGE'. Valid values: 'EDGE', 'REGIONAL'
+	 * @param	{Output<String>}					.certificateArn				Existing ACM certificate's ARN or 'auto'. Default 'auto'.
 	 * @param	{String}							.validationMethod			Default 'DNS'. Valid values: 'DNS', 'EMAIL' or 'NONE'
+	 * @param	{Object}							.dns						(11) e.g., { domainZoneId:'Z0123456789ABCDEFGHIJ' }
+	 * @param	{Output<String>}						.domainZoneId			Route 53 hosted zone ID.
+	 * @param	{Boolean}								.validateChallenge		Default true. Creates the ACM DNS validation record.
+	 * @param	{Boolean}								.alias					Default true. Creates the A and AAAA alias records.
 	 * @param	{[String|Object]}					.stages						(2)
 	 * @param	{Object}						tags		
 	 * @param	{Output<Resource>}				parent
@@ -75,6 +184,11 @@ class RestApi extends aws.apigateway.RestApi {
 	 * @return	{Output<Object>}					...
 	 * @return	{Output<Account>}					.account
 	 * @return	{Output<Role>}						.apiGatewayRole
+	 * @return	{Output<VpcEndpoint>}				.vpcEndpoint				Only set when 'privateEndpoint.vpc' is set.
+	 * @return	{Output<SecurityGroup>}				.vpcEndpointSecurityGroup
+	 * @return	{Output<RestApiPolicy>}				.restApiPolicy				Only set when 'type' is 'private'.
+	 * @return	{Object}							.authorizers				e.g., { 'check-token':Output<Authorizer> }. Each authorizer exposes its invoke 'permission'.
+	 * @return	{Object}							.models						e.g., { User:Output<Model> }
 	 * @return	{[Output<IntegrationResponse>]}		.integrationResponses
 	 * @return	{[Output<Integration>]}				.integrations
 	 * @return	{[Output<MethodResponse>]}			.methodResponses
@@ -86,6 +200,18 @@ class RestApi extends aws.apigateway.RestApi {
 	 * @return	{Output<Object>}						...
 	 * @return	{Output<Deployment>}					.snapshot
 	 * @return	{Output<StageSetting>}					.settings
+	 * @return	{Output<WebAclAssociation>}				.webAclAssociation
+	 * @return	{Output<WebAcl>}					.webAcl						Null if 'waf' is an existing ARN.
+	 * @return	{Output<String>}					.webAclArn
+	 * @return	{[Output<UsagePlan>]}				.usagePlans[]
+	 * @return	{[Output<ApiKey>]}						.apiKeys
+	 * @return	{[Output<UsagePlanKey>]}				.usagePlanKeys
+	 * @return	{Object}							.apiKeyIds					e.g., { 'partner-acme':Output<String> }
+	 * @return	{[Output<Permission>]}				.openApiPermissions			Lambda permissions created for the 'lambda_proxy' integrations of the 'openApi' document.
+	 * @return	{[Output<DomainName>]}				.domains[]
+	 * @return	{Output<Certificate>}					.cert					Null if 'certificateArn' is an existing certificate.
+	 * @return	{[Output<Record>]}						.dnsRecords				DNS validation record and A/AAAA aliases.
+	 * @return	{[Output<BasePathMapping>]}				.mappings
 	 *
 	 * (1) The 'stages[0].cloudwatch' property can be a boolean or a setting object. The setting object is structured as follow:
 	 * 	{
@@ -104,15 +230,87 @@ class RestApi extends aws.apigateway.RestApi {
 	 *	}
 	 *
 	 *  (2) ['dev'] or [{ name:'dev' }] or [{ name:'dev', path:'/hello' }]
+	 *  (3) Path parameters defined in the resource's path (e.g., 'users/{id}') are automatically added to the method and 
+	 *  mapped to the same parameter in the integration's 'uri' or 'key'. All integrations except 'lambda_proxy' and 'http_proxy' 
+	 *  also accept 'responseTemplates' (e.g., { 'application/json':'{ "ok":true }' }) which are applied to the 200 response. 
+	 *  Integrations that call AWS services ('sns', 'sqs', 's3', 'lambda' and 'kinesis') add a least-privilege inline policy 
+	 *  to the 'apiGatewayRole'.
+	 *  (4) Lambda authorizers are created once and referenced by name in the resources' methods, e.g.,
+	 * 	{
+	 * 		authorizers: {
+	 * 			'check-token': { type:'TOKEN', lambda:authLambda, resultTtlInSeconds:600 },
+	 * 			'check-request': { type:'REQUEST', lambda:authLambda, identitySource:['method.request.header.Authorization', 'method.request.querystring.tenant'] }
+	 * 		},
+	 * 		resources: {
+	 * 			users: { GET: { authorizer:{ type:'CUSTOM', name:'check-token' }, ... } },
+	 * 			orders: { POST: { authorizer:{ type:'CUSTOM', name:'check-token' }, ... } }
+	 * 		}
+	 * 	}
+	 *  REQUEST authorizers with caching enabled must define at least one 'identitySource' as API Gateway uses it as the cache key.
+	 *  (5) e.g., [{ 
+	 *  		name:'gold', stages:['prod'], throttle:{ rateLimit:100, burstLimit:200 }, quota:{ limit:1000000, period:'MONTH' }, 
+	 *  		apiKeys:[{ name:'partner-acme' }, { name:'partner-globex', value:config.requireSecret('globexKey') }]
+	 *  	}]
+	 *  API key names must be unique across all the plans. Use 'apiKeyIds' to export the key IDs.
+	 *  (6) The document is deployed as the RestApi's body. Operations can use the 'x-pulumix-integration' vendor extension 
+	 *  instead of 'x-amazon-apigateway-integration'. Supported types are 'lambda_proxy', 'http_proxy' and 'http', e.g.,
+	 * 	{
+	 * 		openapi: '3.0.1',
+	 * 		info: { title:'users', version:'1.0' },
+	 * 		paths: {
+	 * 			'/users/{id}': {
+	 * 				get: { 'x-pulumix-integration': { lambda_proxy: { lambda:usersLambda } } }
+	 * 			}
+	 * 		}
+	 * 	}
+	 *  The invoke permissions of the 'lambda_proxy' Lambdas are added automatically. Use 'toOpenApi()' to export the 
+	 *  document of an API defined with 'resources'.
+	 *  (7) When CORS is enabled on a resource, an OPTIONS method with a MOCK integration answers the preflight requests 
+	 *  (unless the resource already defines an OPTIONS method) and the 'Access-Control-Allow-Origin' header is added to the 
+	 *  responses of the non-proxy integrations (i.e., 'sns', 'sqs', 'http', 's3', 'lambda' and 'kinesis'). With 'lambda_proxy' 
+	 *  and 'http_proxy', the backend must return that header itself.
+	 *  (8) Models are referenced by name in the methods (e.g., { POST:{ requestModel:'User', sns:{...} } }). A method can 
+	 *  also define its own 'schema', in which case a dedicated model is created (exposed via the method's 'model' property).
+	 *  Both options attach the 'body' validator (or the 'all' validator if required headers or query strings are also 
+	 *  defined) so that malformed requests are rejected with a 400 before they reach the integration. Schemas without a 
+	 *  '$schema' keyword default to draft 4.
+	 *  (9) e.g., { common:true, ipReputation:true, rateLimit:2000, denyIps:['198.51.100.0/24'] } or 'arn:aws:wafv2:...'. 
+	 *  Refer to the 'aws.waf.createWebAcl' function for the rules' evaluation order.
+	 *  (10) Private APIs can only be invoked via an execute-api interface VPC endpoint. A resource policy that denies all the 
+	 *  requests that do not come from the VPC endpoints is created automatically (that policy is required to deploy a 
+	 *  private API), e.g., { vpc, allowedIps:['10.0.1.0/24'] }. 
+	 *  (11) When 'dns.domainZoneId' is set, the ACM certificate is validated via a Route 53 record and the domain is 
+	 *  aliased (A and AAAA records) to the API's edge or regional endpoint. Edge domains use a certificate in 'us-east-1' (as 
+	 *  required by CloudFront) while regional domains use a certificate in the stack's region. Refer to the 
+	 *  'apiGateway/domain.js' module for the details (WARNING: this assumes that the Route 53 zone is managed in the same 
+	 *  AWS account).
+	 *  (12) e.g., { version:'1.3.0', rollbackTo:'1.2.0', maxHistory:10 }. The stage is pointed back at the deployment of 
+	 *  version '1.2.0', which must be in the snapshot's history. Remove 'rollbackTo' to deploy 'version' again. The history 
+	 *  can be inspected with 'parseSnapshotHistory', e.g., stage.snapshot.history.apply(parseSnapshotHistory). Deployments 
+	 *  still used by other stages are never deleted by 'maxHistory'.
+	 *  (13) e.g., { snapshot:{ version:'1.2.0' }, canary:{ version:'1.3.0', percent:10, variables:{ featureX:'on' } } }. The 
+	 *  canary's deployment is created (or reused) by the stage's snapshot and is tracked in the same history. Once the 
+	 *  canary is validated:
+	 *  	- Promote: set 'canary.action' to 'promote' (the stage points to the canary's deployment and the variables overrides 
+	 *  	  are merged into the stage's variables). Then, set 'snapshot.version' to '1.3.0' and remove 'canary'. This does not 
+	 *  	  create a new deployment as '1.3.0' is already in the history.
+	 *  	- Abort: set 'canary.action' to 'abort' or remove 'canary'. All the traffic goes to 'snapshot.version'.
 	 * 
 	 */
 	constructor({ 
 		name, 
 		description, 
 		type, 
+		privateEndpoint,
 		userPoolArn,
+		authorizers,
+		openApi,
+		cors,
+		models,
 		resources,
 		stages,
+		usagePlans,
+		waf,
 		domains,
 		tags, 
 		protect, 
@@ -124,52 +322,68 @@ class RestApi extends aws.apigateway.RestApi {
 		type = type ? type.toLowerCase().trim() : type
 		if (type && REST_API_TYPES.indexOf(type) < 0)
 			throw new Error(`'type' value unsupported. Supported values are ${REST_API_TYPES}. Found ${type} instead.`)
-		
-		// Gets the unique stage names
-		const stageNames = (stages||[]).reduce((acc,s,idx) => {
-			if (!s || !s.name)
-				throw new Error(`Missing required property 'name' in stages[${idx}].name`)
-			if (acc.indexOf(s.name) < 0)
-				acc.push(s.name)
-			else
-				throw new Error(`Stage '${s.name}' defined more than once`)
-			return acc
-		}, [])
+		if (openApi && resources && Object.keys(resources).length)
+			throw new Error('\'openApi\' and \'resources\' cannot be used together. Define the API with either one of them.')
 
-		// Validates that the stages defined in the domains are valid.
+		const openApiDef = openApi ? openApiUtils.resolveDocument(openApi) : null
+		
+		const stageNames = _getStageNames(stages)
+		_validateDomains(domains, stageNames)
 		const domainsExist = domains && domains.length
-		if (domainsExist) {
-			if (!stageNames.length)
-				throw new Error('Cannot provision domains if no stages are defined.')
-
-			for (let i=0;i<domains.length;i++) {
-				const d = domains[i]||{}
-				if (!d.name)
-					throw new Error(`Missing required 'name' in domains[${i}].name`)
-				if (!d.stages || !d.stages.length)
-					throw new Error(`Missing required 'name' in domains[${i}].stages`)
-				const invalidStageIdx = d.stages.findIndex(s => {
-					if (typeof(s) == 'string')
-						return stageNames.indexOf(s) < 0
-					else if (s.name)
-						return stageNames.indexOf(s.name) < 0
-					else
-						return true
-				})
-				if (invalidStageIdx >= 0)
-					throw new Error(`Stage '${d.stages[invalidStageIdx]}' located under domains[${i}].stages[${invalidStageIdx}] is not defined in the 'stages' property.`)
+		if (domainsExist && type == 'private')
+			throw new Error('Wrong argument exception. \'domains\' cannot be used with a \'private\' RestApi.')
+
+		// Validates that the stages and the API keys defined in the usage plans are valid.
+		const apiKeyNames = []
+		for (let i=0;i<(usagePlans||[]).length;i++) {
+			const plan = usagePlans[i]||{}
+			if (!plan.name)
+				throw new Error(`Missing required 'name' in usagePlans[${i}].name`)
+			if (!plan.stages || !plan.stages.length)
+				throw new Error(`Missing required 'stages' in usagePlans[${i}].stages`)
+			const invalidStageIdx = plan.stages.findIndex(s => stageNames.indexOf(s) < 0)
+			if (invalidStageIdx >= 0)
+				throw new Error(`Stage '${plan.stages[invalidStageIdx]}' located under usagePlans[${i}].stages[${invalidStageIdx}] is not defined in the 'stages' property.`)
+			if (plan.quota && !plan.quota.limit)
+				throw new Error(`Missing required 'limit' in usagePlans[${i}].quota.limit`)
+			if (plan.quota && plan.quota.period && QUOTA_PERIODS.indexOf(plan.quota.period) < 0)
+				throw new Error(`'usagePlans[${i}].quota.period' value unsupported. Supported values are ${QUOTA_PERIODS}. Found ${plan.quota.period} instead.`)
+			for (let j=0;j<(plan.apiKeys||[]).length;j++) {
+				const key = plan.apiKeys[j]||{}
+				if (!key.name)
+					throw new Error(`Missing required 'name' in usagePlans[${i}].apiKeys[${j}].name`)
+				if (apiKeyNames.indexOf(key.name) >= 0)
+					throw new Error(`API key '${key.name}' defined more than once in 'usagePlans'`)
+				apiKeyNames.push(key.name)
 			}
 		}
 
+		const isPrivate = type == 'private'
+		if (isPrivate && !privateEndpoint)
+			throw new Error('Missing required argument \'privateEndpoint\'. Private APIs can only be invoked via an execute-api VPC endpoint.')
+		if (isPrivate && !privateEndpoint.vpc && !(privateEndpoint.vpcEndpointIds||[]).length)
+			throw new Error('Missing required argument \'privateEndpoint.vpc\' or \'privateEndpoint.vpcEndpointIds\'.')
+		if (!isPrivate && privateEndpoint)
+			throw new Error(`'privateEndpoint' is only supported when 'type' is 'private'. Found '${type||'edge'}' instead.`)
 
-		const endpointConfiguration = type ? { types:type.toUpperCase() } : { types:'EDGE' }
 		tags = tags || {}
+		const vpcEndpointDef = isPrivate && privateEndpoint.vpc 
+			? _createVpcEndpoint({ name, ...privateEndpoint, tags, protect }) 
+			: null
+		const vpcEndpointIds = isPrivate
+			? [...(privateEndpoint.vpcEndpointIds||[]), ...(vpcEndpointDef ? [vpcEndpointDef.vpcEndpoint.id] : [])]
+			: null
+
+		const endpointConfiguration = type ? { types:type.toUpperCase() } : { types:'EDGE' }
+		if (vpcEndpointIds)
+			endpointConfiguration.vpcEndpointIds = vpcEndpointIds
 
 		// Creates the REST Api. Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/restapi/
 		super(name, {
 			name,
 			description,
 			endpointConfiguration,
+			body: openApiDef ? openApiDef.body : undefined,
 			tags: {
 				...tags,
 				Name: name
@@ -180,6 +394,39 @@ class RestApi extends aws.apigateway.RestApi {
 			parent
 		})
 
+		if (vpcEndpointDef) {
+			this.vpcEndpoint = vpcEndpointDef.vpcEndpoint
+			this.vpcEndpointSecurityGroup = vpcEndpointDef.securityGroup
+		}
+
+		// Private APIs cannot be deployed without a resource policy. Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/restapipolicy/
+		if (isPrivate)
+			this.restApiPolicy = new aws.apigateway.RestApiPolicy(`policy-for-${name}`, {
+				restApiId: this.id,
+				policy: _getPrivateApiPolicy({ 
+					executionArn: this.executionArn, 
+					vpcEndpointIds, 
+					...privateEndpoint 
+				})
+			}, {
+				protect
+			})
+
+		this._openApi = {
+			name,
+			description,
+			body: openApiDef ? openApiDef.body : null,
+			operations: []
+		}
+
+		if (openApiDef)
+			this.openApiPermissions = openApiUtils.createLambdaPermissions({
+				name,
+				executionArn: this.executionArn,
+				lambdaPermissions: openApiDef.lambdaPermissions,
+				protect
+			})
+
 		if (resources) {
 			let _resources = resources
 			if (resources['/'] && typeof(resources['/']) == 'object') {
@@ -253,18 +500,40 @@ class RestApi extends aws.apigateway.RestApi {
 					providerArns: [userPoolArn], // Attach the Cognito User Pool
 				}) : null
 
+				const restApi = {
+					id: this.id,
+					name,
+					executionArn: this.executionArn
+				}
+
+				this.authorizers = _createLambdaAuthorizers({
+					restApi,
+					authorizers,
+					protect
+				})
+
+				this.models = Object.keys(models||{}).reduce((acc,modelName) => {
+					acc[modelName] = _createModel({ 
+						restApi, 
+						name: modelName, 
+						...(models[modelName]||{}), 
+						protect 
+					})
+					return acc
+				}, {})
+
 				const result = _createResourcesMethodsAndIntegrations({ 
-					restApi: {
-						id: this.id,
-						name,
-						executionArn: this.executionArn
-					}, 
+					restApi, 
 					authorizer,
+					authorizers: this.authorizers,
+					models: this.models,
+					cors: getCorsConfig(cors),
 					apiGatewayRole: this.apiGatewayRole, 
 					parentResource: {
 						id: this.rootResourceId,
 						name: '/',
-						path: ''
+						path: '',
+						template: ''
 					}, 
 					resources: _resources,
 					validators: {
@@ -281,12 +550,27 @@ class RestApi extends aws.apigateway.RestApi {
 				this.integrations = result.integrations
 				this.integrationResponses = result.integrationResponses
 				this.methodResponses = result.methodResponses
+				this._openApi.operations = result.operations
+				this._openApi.authorizers = this.authorizers
+				this._openApi.cognitoAuthorizer = authorizer
 			}
 		}
 
 		const stageResourceNames = []
-		if (stages.length) {
+		if (stages && stages.length) {
 			this.stages = []
+			if (waf) {
+				const webAclDef = createWebAcl({ 
+					name: `waf-for-${name}`, 
+					scope: 'REGIONAL', 
+					waf, 
+					tags, 
+					protect 
+				})
+				this.webAcl = webAclDef.webAcl
+				this.webAclArn = webAclDef.arn
+			}
+
 			for (let i=0;i<stages.length;i++) {
 				const stageConfig = stages[i]
 				const stageName = _sanitizeName(stageConfig.name)
@@ -295,6 +579,7 @@ class RestApi extends aws.apigateway.RestApi {
 					throw new Error(`Missing required '${stageConfig.name}.snapshot' property`)
 				if (!stageConfig.snapshot.version)
 					throw new Error(`Missing required '${stageConfig.name}.snapshot.version' property`)
+				const canary = _getCanaryConfig(stageConfig)
 
 				// Creates the log group where the logs are sent. Doc: https://www.pulumi.com/docs/reference/pkg/aws/cloudwatch/loggroup/
 				// This is a bit of a hack. We are anticipating that AWS would do that automatically in the background. 
@@ -319,21 +604,35 @@ class RestApi extends aws.apigateway.RestApi {
 				const snapshot = new Snapshot(snapshotName, {
 					restApiId: this.id,
 					version: stageConfig.snapshot.version,
-					description: stageConfig.snapshot.description
+					description: stageConfig.snapshot.description,
+					rollbackTo: stageConfig.snapshot.rollbackTo,
+					maxHistory: stageConfig.snapshot.maxHistory,
+					canaryVersion: canary && canary.action != 'abort' ? canary.version : undefined
 				}, {
 					protect,
 					dependsOn: [
 						...(this.integrations||[]),
-						...(this.integrationResponses||[])
+						...(this.integrationResponses||[]),
+						...(this.restApiPolicy ? [this.restApiPolicy] : [])
 					]
 				})
 
 				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/stage/
+				const promoted = canary && canary.action == 'promote'
 				const stage = new aws.apigateway.Stage(stageResourceName, {
 					name: stageResourceName,
-					deployment: snapshot.deploymentId,
+					deployment: promoted ? snapshot.canaryDeploymentId : snapshot.deploymentId,
 					restApi: this.id,
 					stageName,
+					variables: promoted 
+						? { ...(stageConfig.variables||{}), ...(canary.variables||{}) } 
+						: stageConfig.variables,
+					canarySettings: canary && !canary.action ? {
+						deploymentId: snapshot.canaryDeploymentId,
+						percentTraffic: canary.percent,
+						stageVariableOverrides: canary.variables,
+						useStageCache: canary.useStageCache
+					} : undefined,
 					tags: {
 						...tags,
 						Name: stageName
@@ -377,6 +676,15 @@ class RestApi extends aws.apigateway.RestApi {
 					stage.settings = stageSettings
 				}
 
+				if (this.webAclArn && stageConfig.waf !== false)
+					stage.webAclAssociation = associateWebAcl({
+						name: `waf-for-${stageResourceName}`,
+						resourceArn: stage.arn,
+						webAclArn: this.webAclArn,
+						protect,
+						dependsOn: [stage]
+					})
+
 				stageResourceNames.push({
 					refName: stageConfig.name,
 					name: stageResourceName,
@@ -386,39 +694,90 @@ class RestApi extends aws.apigateway.RestApi {
 			}
 		}
 
-		// Adds custom domain
-		if (domainsExist) {
-			this.domains = []
-			for (let j=0;j<domains.length;j++) {
-				const domainConfig = domains[j]
-				const domainHash = crypto.createHash('sha1').update(domainConfig.name).digest('hex').substring(0,8)
-				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/acm/certificate/
-				const certName = `cert-for-${domainHash}-${name}`
-				const cert = new aws.acm.Certificate(certName, {
-					name: certName,
-					domainName: domainConfig.name,
-					validationMethod: domainConfig.validationMethod || 'DNS',
+		// Adds the usage plans and their API keys
+		if (usagePlans && usagePlans.length) {
+			this.usagePlans = []
+			this.apiKeyIds = {}
+			for (let i=0;i<usagePlans.length;i++) {
+				const planConfig = usagePlans[i]
+				const planName = _sanitizeName(`${planConfig.name}-plan-${name}`)
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/usageplan/
+				const plan = new aws.apigateway.UsagePlan(planName, {
+					name: planName,
+					description: planConfig.description,
+					apiStages: planConfig.stages.map(sName => ({
+						apiId: this.id,
+						stage: stageResourceNames.find(s => s.refName == sName).stageName
+					})),
+					throttleSettings: planConfig.throttle ? {
+						rateLimit: planConfig.throttle.rateLimit,
+						burstLimit: planConfig.throttle.burstLimit
+					} : undefined,
+					quotaSettings: planConfig.quota ? {
+						limit: planConfig.quota.limit,
+						period: planConfig.quota.period || 'MONTH',
+						offset: planConfig.quota.offset
+					} : undefined,
 					tags: {
 						...tags,
-						Name: certName
+						Name: planName
 					}
 				}, {
 					protect,
-					dependsOn: [...this.stages],
-					provider: new aws.Provider('temp-provider', { region: 'us-east-1' })
+					dependsOn: [...this.stages]
 				})
 
-				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/domainname/
-				const domainResourceName = `domain-for-${domainHash}-${name}`
-				const domain = new aws.apigateway.DomainName(domainResourceName, {
-					name: domainResourceName,
-					certificateArn: cert.arn,
-					domainName: domainConfig.name,
-					tags: {
-						...tags,
-						Name: domainResourceName
-					}
-				}, {
+				plan.apiKeys = []
+				plan.usagePlanKeys = []
+				for (let j=0;j<(planConfig.apiKeys||[]).length;j++) {
+					const keyConfig = planConfig.apiKeys[j]
+					const keyName = _sanitizeName(`${keyConfig.name}-key-${name}`)
+					// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/apikey/
+					const apiKey = keyConfig.id ? null : new aws.apigateway.ApiKey(keyName, {
+						name: keyName,
+						description: keyConfig.description,
+						value: keyConfig.value,
+						enabled: keyConfig.enabled === false ? false : true,
+						tags: {
+							...tags,
+							Name: keyName
+						}
+					}, {
+						protect
+					})
+					const keyId = apiKey ? apiKey.id : keyConfig.id
+
+					// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/usageplankey/
+					const planKeyName = `${keyName}-${planName}`
+					const planKey = new aws.apigateway.UsagePlanKey(planKeyName, {
+						keyId,
+						keyType: 'API_KEY',
+						usagePlanId: plan.id
+					}, {
+						protect
+					})
+
+					if (apiKey)
+						plan.apiKeys.push(apiKey)
+					plan.usagePlanKeys.push(planKey)
+					this.apiKeyIds[keyConfig.name] = keyId
+				}
+
+				this.usagePlans.push(plan)
+			}
+		}
+
+		// Adds custom domains
+		if (domainsExist) {
+			this.domains = []
+			for (let j=0;j<domains.length;j++) {
+				const domainConfig = domains[j]
+				const domain = createDomain({
+					name,
+					version: 'v1',
+					endpointType: domainConfig.endpointType || 'EDGE',
+					domain: domainConfig,
+					tags,
 					protect,
 					dependsOn: [...this.stages]
 				})
@@ -428,18 +787,13 @@ class RestApi extends aws.apigateway.RestApi {
 					const stage = domainConfig.stages[k]
 					const [sName, basePath] = typeof(stage) == 'string' ? [stage] : [stage.name, stage.path]
 					const stageResource = stageResourceNames.find(s => s.refName == sName)
-					const mapName = `map-for-${domainHash}-${stageResource.name}`
+					const mapName = `map-for-${_getDomainHash(domainConfig.name)}-${stageResource.name}`
 					// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/basepathmapping/
 					mappings.push(new aws.apigateway.BasePathMapping(mapName, {
-						name: mapName,
 						restApi: this.id,
 						stageName: stageResource.stageName,
 						domainName: domain.domainName,
-						basePath,
-						tags: {
-							...tags,
-							Name: domainResourceName
-						}
+						basePath: basePath ? basePath.replace(/^\/+/, '') : undefined
 					}, {
 						protect
 					}))
@@ -451,30 +805,647 @@ class RestApi extends aws.apigateway.RestApi {
 			}
 		}
 	}
+
+	/**
+	 * Gets the OpenAPI 3 document of this API. If the API was created with 'openApi', the deployed document is returned. 
+	 * Otherwise, the document is generated from the 'resources' (incl. the 'x-amazon-apigateway-integration' of each method).
+	 * 
+	 * @return	{Output<Object>}	document
+	 */
+	toOpenApi() {
+		if (this._openApi.body)
+			return this._openApi.body.apply(body => JSON.parse(body))
+
+		return openApiUtils.toOpenApi(this._openApi)
+	}
 }
 
 class HttpApi extends aws.apigatewayv2.Api {
-	constructor({ name, description }) {
+	/**
+	 * Creates a new HTTP Api (API Gateway v2) with an auto-deployed '$default' stage. 
+	 * 
+	 * @param	{String}						name
+	 * @param	{String}						description
+	 * @param	{Object}						routes							(1) e.g., { 'GET /users/{id}':{ lambda }, 'ANY /legacy/{proxy+}':{ url:'https://example.com/{proxy}' } }
+	 * @param	{Object}							.[routeKey]					e.g., 'GET /users/{id}', 'ANY /{proxy+}' or '$default'
+	 * @param	{Output<Lambda>}						.lambda					Object with a 'name' and an 'invokeArn'. Required if 'url' is not set.
+	 * @param	{String}								.alias					Optional. Name of a Lambda alias (defined in the Lambda's 'aliases').
+	 * @param	{String}								.url					Required if 'lambda' is not set. e.g., 'https://example.com/users/{id}'
+	 * @param	{String}								.method					Default is the route's method. Only used with 'url'.
+	 * @param	{String}								.authorizer				Name of one of the 'authorizers'.
+	 * @param	{[String]}								.authorizationScopes	e.g., ['email', 'openid']
+	 * @param	{Number}								.timeoutInMillis		Default 30000.
+	 * @param	{Object}						authorizers						(2) JWT authorizers shared by name, e.g., { cognito:{ userPool } }
+	 * @param	{Output<UserPool>}					.userPool					pulumix cognito UserPool. Sets the 'issuer' and the default 'audience'.
+	 * @param	{Output<String>}					.issuer						Required if 'userPool' is not set.
+	 * @param	{[Output<String>]}					.audience					Default is the UserPool's default app client ID.
+	 * @param	{String}							.identitySource				Default '$request.header.Authorization'.
+	 * @param	{Boolean|Object}				cors							Default false.
+	 * @param	{String|[String]}					.origins					Default '*'.
+	 * @param	{[String]}							.methods					Default ['*'].
+	 * @param	{[String]}							.headers					Default ['Content-Type', 'X-Amz-Date', 'Authorization', 'X-Api-Key', 'X-Amz-Security-Token']
+	 * @param	{[String]}							.exposeHeaders
+	 * @param	{Boolean}							.credentials				Default false. Cannot be used with the '*' origin.
+	 * @param	{Number}							.maxAge						In seconds.
+	 * @param	{Object}						stage							Configures the '$default' stage.
+	 * @param	{Boolean|Object}					.accessLogs					Default true.
+	 * @param	{Number}								.retentionInDays		Default 0 (i.e., never expires).
+	 * @param	{Object}								.format					Default is 'HTTP_API_ACCESS_LOG_FORMAT'. Keys are the JSON properties and values are the '$context' variables.
+	 * @param	{Object}							.throttle
+	 * @param	{Number}								.rateLimit
+	 * @param	{Number}								.burstLimit
+	 * @param	{[Object]}						domains[]
+	 * @param	{String}							.name						e.g., 'api.example.com'
+	 * @param	{Output<String>}					.certificateArn				Existing regional ACM certificate's ARN or 'auto'. Default 'auto'.
+	 * @param	{String}							.validationMethod			Default 'DNS'. Valid values: 'DNS', 'EMAIL' or 'NONE'
+	 * @param	{Object}							.dns						(3) e.g., { domainZoneId:'Z0123456789ABCDEFGHIJ' }
+	 * @param	{Output<String>}						.domainZoneId			Route 53 hosted zone ID.
+	 * @param	{Boolean}								.validateChallenge		Default true. Creates the ACM DNS validation record.
+	 * @param	{Boolean}								.alias					Default true. Creates the A and AAAA alias records.
+	 * @param	{String}							.path						Optional base path (e.g., 'v1').
+	 * @param	{Object}						tags		
+	 * @param	{Output<Resource>}				parent
+	 * @param	{Output<[Resource]>}			dependsOn
+	 * @param	{Boolean}						protect	
+	 *  
+	 * @return	{Output<HttpApi>}				api
+	 * @return	{Output<String>}					.id
+	 * @return	{Output<String>}					.apiEndpoint
+	 * @return	{Output<Object>}					...
+	 * @return	{[Output<Route>]}					.routes
+	 * @return	{[Output<Integration>]}				.integrations
+	 * @return	{[Output<Permission>]}				.permissions
+	 * @return	{Object}							.authorizers				e.g., { cognito:Output<Authorizer> }
+	 * @return	{Output<Stage>}						.stage
+	 * @return	{Output<LogGroup>}					.logGroup
+	 * @return	{Output<String>}					.url						Invoke URL of the '$default' stage.
+	 * @return	{[Output<DomainName>]}				.domains
+	 *
+	 * (1) Routes with a 'lambda' use the AWS_PROXY integration with the payload format 2.0. Routes with a 'url' use the 
+	 * HTTP_PROXY integration. Path parameters in the 'url' (e.g., '{id}') are mapped to the route's path parameters with 
+	 * the same name.
+	 * (2) The JWT authorizers validate the token's issuer and audience. With a pulumix UserPool, the issuer is 
+	 * 'https://cognito-idp.<region>.amazonaws.com/<user-pool-id>', e.g.,
+	 * 	{
+	 * 		authorizers: { cognito: { userPool } },
+	 * 		routes: {
+	 * 			'GET /me': { lambda:meLambda, authorizer:'cognito' }
+	 * 		}
+	 * 	}
+	 * (3) Same as the RestApi's domains (i.e., regional domains only). When 'dns.domainZoneId' is set, the certificate is 
+	 * validated and the domain is aliased to the API via Route 53.
+	 */
+	constructor({ 
+		name, 
+		description, 
+		routes, 
+		authorizers, 
+		cors, 
+		stage, 
+		domains, 
+		tags, 
+		protect, 
+		dependsOn, 
+		parent 
+	}) {
+		if (!name)
+			throw new Error('Missing required argument \'name\'')
+
+		const routeKeys = Object.keys(routes||{})
+		const invalidRouteKey = routeKeys.find(k => k != '$default' && !HTTP_API_ROUTE_KEY.test(k))
+		if (invalidRouteKey)
+			throw new Error(`Wrong argument exception. Route '${invalidRouteKey}' is invalid. Routes must be '$default' or '<METHOD> <PATH>' (e.g., 'GET /users/{id}') where METHOD is one of ${HTTP_METHODS}.`)
+		const invalidAuthorizerRoute = routeKeys.find(k => (routes[k]||{}).authorizer && !(authorizers||{})[routes[k].authorizer])
+		if (invalidAuthorizerRoute)
+			throw new Error(`Authorizer '${routes[invalidAuthorizerRoute].authorizer}' used in route '${invalidAuthorizerRoute}' is not defined in 'authorizers'.`)
+		for (let i=0;i<(domains||[]).length;i++) {
+			if (!(domains[i]||{}).name)
+				throw new Error(`Missing required 'name' in domains[${i}].name`)
+		}
+
+		tags = tags || {}
+		const corsConfig = getCorsConfig(cors)
 
 		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/api/
 		super(name, {
 			protocolType: 'HTTP',
 			name,
-			description
+			description,
+			corsConfiguration: corsConfig ? {
+				allowOrigins: corsConfig.origins,
+				allowMethods: corsConfig.methods || ['*'],
+				allowHeaders: corsConfig.headers,
+				exposeHeaders: cors.exposeHeaders,
+				allowCredentials: corsConfig.credentials,
+				maxAge: corsConfig.maxAge
+			} : undefined,
+			tags: {
+				...tags,
+				Name: name
+			}
+		}, {
+			protect,
+			dependsOn,
+			parent
+		})
+
+		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/authorizer/
+		this.authorizers = Object.keys(authorizers||{}).reduce((acc,authName) => {
+			const { userPool, issuer, audience, identitySource } = authorizers[authName] || {}
+			if (!userPool && !issuer)
+				throw new Error(`Missing required argument 'authorizers.${authName}.userPool' or 'authorizers.${authName}.issuer'.`)
+			const defaultAudience = userPool && userPool.defaultApp ? [userPool.defaultApp.id] : null
+			if (!(audience||[]).length && !defaultAudience)
+				throw new Error(`Missing required argument 'authorizers.${authName}.audience'. The audience is required when the UserPool has no default app.`)
+
+			const authorizerName = _sanitizeName(`${authName}-auth-${name}`)
+			acc[authName] = new aws.apigatewayv2.Authorizer(authorizerName, {
+				name: authorizerName,
+				apiId: this.id,
+				authorizerType: 'JWT',
+				identitySources: [identitySource || '$request.header.Authorization'],
+				jwtConfiguration: {
+					issuer: userPool ? pulumi.interpolate `https://${userPool.endpoint}` : issuer,
+					audiences: (audience||[]).length ? audience : defaultAudience
+				}
+			}, {
+				protect
+			})
+			return acc
+		}, {})
+
+		this.routes = []
+		this.integrations = []
+		this.permissions = []
+		for (let i=0;i<routeKeys.length;i++) {
+			const routeKey = routeKeys[i]
+			const routeConfig = routes[routeKey] || {}
+			const routeName = `${_getRouteName(routeKey)}-${name}`
+
+			const { integration, permission } = _createHttpApiIntegration({ 
+				api: { id:this.id, executionArn:this.executionArn }, 
+				name: routeName, 
+				routeKey, 
+				...routeConfig, 
+				protect 
+			})
+			
+			const authorizer = routeConfig.authorizer ? this.authorizers[routeConfig.authorizer] : null
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/route/
+			const route = new aws.apigatewayv2.Route(routeName, {
+				apiId: this.id,
+				routeKey,
+				target: pulumi.interpolate `integrations/${integration.id}`,
+				authorizationType: authorizer ? 'JWT' : 'NONE',
+				authorizerId: authorizer ? authorizer.id : undefined,
+				authorizationScopes: authorizer ? routeConfig.authorizationScopes : undefined
+			}, {
+				protect
+			})
+
+			this.routes.push(route)
+			this.integrations.push(integration)
+			if (permission)
+				this.permissions.push(permission)
+		}
+
+		// Creates the log group where the access logs are sent. Doc: https://www.pulumi.com/registry/packages/aws/api-docs/cloudwatch/loggroup/
+		const _stage = stage || {}
+		const accessLogs = _stage.accessLogs === undefined ? true : _stage.accessLogs
+		if (accessLogs) {
+			const logGroupName = `access-logs-for-${name}`
+			this.logGroup = new aws.cloudwatch.LogGroup(logGroupName, {
+				name: `/aws/apigateway/${name}`,
+				retentionInDays: accessLogs.retentionInDays || 0,
+				tags: {
+					...tags,
+					Name: logGroupName
+				}
+			}, {
+				protect
+			})
+		}
+
+		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/stage/
+		const stageName = `default-${name}`
+		this.stage = new aws.apigatewayv2.Stage(stageName, {
+			apiId: this.id,
+			name: '$default',
+			autoDeploy: true,
+			accessLogSettings: this.logGroup ? {
+				destinationArn: this.logGroup.arn,
+				format: JSON.stringify(accessLogs.format || HTTP_API_ACCESS_LOG_FORMAT)
+			} : undefined,
+			defaultRouteSettings: _stage.throttle ? {
+				throttlingRateLimit: _stage.throttle.rateLimit,
+				throttlingBurstLimit: _stage.throttle.burstLimit
+			} : undefined,
+			tags: {
+				...tags,
+				Name: stageName
+			}
+		}, {
+			protect,
+			dependsOn: [...this.routes]
 		})
+		this.url = this.stage.invokeUrl
+
+		// Adds custom domains
+		if (domains && domains.length) {
+			this.domains = []
+			for (let j=0;j<domains.length;j++) {
+				const domainConfig = domains[j]
+				const domain = createDomain({
+					name,
+					version: 'v2',
+					endpointType: domainConfig.endpointType,
+					domain: domainConfig,
+					tags,
+					protect
+				})
+
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/apimapping/
+				domain.mapping = new aws.apigatewayv2.ApiMapping(`map-for-${_getDomainHash(domainConfig.name)}-${name}`, {
+					apiId: this.id,
+					domainName: domain.id,
+					stage: this.stage.id,
+					apiMappingKey: domainConfig.path ? domainConfig.path.replace(/^\/+/, '') : undefined
+				}, {
+					protect
+				})
+
+				this.domains.push(domain)
+			}
+		}
 	}
 }
 
 class WebSocketApi extends aws.apigatewayv2.Api {
-	constructor({ name, description }) {
+	/**
+	 * Creates a new WebSocket Api (API Gateway v2). 
+	 * 
+	 * @param	{String}						name
+	 * @param	{String}						description
+	 * @param	{String}						routeSelectionExpression		Default '$request.body.action'.
+	 * @param	{Object}						routes							(1) e.g., { '$connect':{ lambda:connectLambda }, sendMessage:{ lambda:sendLambda } }
+	 * @param	{Object}							.[routeKey]					'$connect', '$disconnect', '$default' or a custom key (e.g., 'sendMessage')
+	 * @param	{Output<Lambda>}						.lambda					Required. Object with a 'name' and an 'invokeArn'.
+	 * @param	{String}								.alias					Optional. Name of a Lambda alias (defined in the Lambda's 'aliases').
+	 * @param	{Boolean}								.response				Default true (false for '$connect' and '$disconnect'). Sends the Lambda's response back to the client.
+	 * @param	{Number}								.timeoutInMillis		Default 29000.
+	 * @param	{Boolean|Object}				connectionsTable				(2) Default false. Creates a DynamoDB table to store the connection IDs.
+	 * @param	{String}							.ttl						Optional. Name of the TTL attribute (e.g., 'expiresAt').
+	 * @param	{Boolean}						grantHandlers					(3) Default true.
+	 * @param	{[Object]}						stages[]				 
+	 * @param	{Object}							.name						e.g., 'dev', 'staging'					
+	 * @param	{Object}							.snapshot					Map of arbitrary keys and values that, when changed, will trigger a redeployment.
+	 * @param	{String}								.version
+	 * @param	{String}								.description
+	 * @param	{Object}							.variables
+	 * @param	{Boolean|Object}					.cloudwatch					Default false. Same as the RestApi's 'stages[0].cloudwatch'.
+	 * @param	{Object}							.throttle
+	 * @param	{Number}								.rateLimit
+	 * @param	{Number}								.burstLimit
+	 * @param	{[Object]}						domains[]
+	 * @param	{String}							.name						e.g., 'ws.example.com'
+	 * @param	{Output<String>}					.certificateArn				Existing regional ACM certificate's ARN or 'auto'. Default 'auto'.
+	 * @param	{String}							.validationMethod			Default 'DNS'. Valid values: 'DNS', 'EMAIL' or 'NONE'
+	 * @param	{Object}							.dns						(4) e.g., { domainZoneId:'Z0123456789ABCDEFGHIJ' }
+	 * @param	{Output<String>}						.domainZoneId			Route 53 hosted zone ID.
+	 * @param	{Boolean}								.validateChallenge		Default true. Creates the ACM DNS validation record.
+	 * @param	{Boolean}								.alias					Default true. Creates the A and AAAA alias records.
+	 * @param	{[String|Object]}					.stages						e.g., ['dev'] or [{ name:'dev', path:'v1' }]
+	 * @param	{Object}						tags		
+	 * @param	{Output<Resource>}				parent
+	 * @param	{Output<[Resource]>}			dependsOn
+	 * @param	{Boolean}						protect	
+	 *  
+	 * @return	{Output<WebSocketApi>}			api
+	 * @return	{Output<String>}					.id
+	 * @return	{Output<String>}					.apiEndpoint
+	 * @return	{Output<Object>}					...
+	 * @return	{[Output<Route>]}					.routes
+	 * @return	{[Output<Integration>]}				.integrations
+	 * @return	{[Output<Permission>]}				.permissions
+	 * @return	{[Output<RouteResponse>]}			.routeResponses
+	 * @return	{[Output<IntegrationResponse>]}		.integrationResponses
+	 * @return	{Output<Table>}						.connectionsTable			Null if 'connectionsTable' is not set.
+	 * @return	{[Object]}							.grants						Grants required by the handlers (i.e., 'execute-api:ManageConnections' and the connections table).
+	 * @return	{[Output<RolePolicy>]}				.grantsPolicies
+	 * @return	{[Output<Stage>]}					.stages[]
+	 * @return	{Output<String>}						.invokeUrl				e.g., 'wss://abcdefg.execute-api.ap-southeast-2.amazonaws.com/dev'
+	 * @return	{Output<String>}						.callbackUrl			URL of the '@connections' API used to post to the clients.
+	 * @return	{Output<Deployment>}					.deployment
+	 * @return	{Output<LogGroup>}						.logGroup
+	 * @return	{[Output<DomainName>]}				.domains
+	 *
+	 * (1) Each route invokes its Lambda via the AWS_PROXY integration. The Lambda receives the connection ID in 
+	 * 'event.requestContext.connectionId'. The '$connect' Lambda can reject the connection by returning a non-2xx status code.
+	 * (2) The table's partition key is 'connectionId' (string). Its name is exposed via 'connectionsTable.name'. The 
+	 * handlers are responsible for adding and removing the connections (typically in the '$connect' and '$disconnect' routes).
+	 * (3) When true, an inline policy with the 'grants' is attached to the role of each route's Lambda (pulumix Lambdas only, 
+	 * i.e., Lambdas with a 'role'). Other Lambdas (e.g., a broadcasting Lambda triggered by a queue) can use the 'grants' 
+	 * output, e.g., new Lambda({ ..., grants:wsApi.grants }) or 'aws.iam.grantManageConnections(wsApi)'.
+	 * (4) Same as the HttpApi's domains.
+	 */
+	constructor({ 
+		name, 
+		description, 
+		routeSelectionExpression, 
+		routes, 
+		connectionsTable, 
+		grantHandlers, 
+		stages, 
+		domains, 
+		tags, 
+		protect, 
+		dependsOn, 
+		parent 
+	}) {
+		if (!name)
+			throw new Error('Missing required argument \'name\'')
+
+		const routeKeys = Object.keys(routes||{})
+		for (let i=0;i<routeKeys.length;i++) {
+			const routeKey = routeKeys[i]
+			const { lambda, alias } = routes[routeKey] || {}
+			if (!lambda)
+				throw new Error(`Missing required argument 'lambda' in route '${routeKey}'.`)
+			if (!lambda.invokeArn)
+				throw new Error(`Missing required argument 'lambda.invokeArn' in route '${routeKey}'.`)
+			if (!lambda.name)
+				throw new Error(`Missing required argument 'lambda.name' in route '${routeKey}'.`)
+			if (alias && (!lambda.aliases || !lambda.aliases[alias]))
+				throw new Error(`Alias '${alias}' not found in 'lambda.aliases' of route '${routeKey}'. When 'alias' is set, the alias must be defined in the Lambda's 'aliases'.`)
+		}
+		const stageNames = _getStageNames(stages)
+		for (let i=0;i<(stages||[]).length;i++) {
+			if (!stages[i].snapshot)
+				throw new Error(`Missing required '${stages[i].name}.snapshot' property`)
+			if (!stages[i].snapshot.version)
+				throw new Error(`Missing required '${stages[i].name}.snapshot.version' property`)
+		}
+		_validateDomains(domains, stageNames)
+
+		tags = tags || {}
 
 		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/api/
 		super(name, {
 			protocolType: 'WEBSOCKET',
-			routeSelectionExpression: '$request.body.action',
+			routeSelectionExpression: routeSelectionExpression || '$request.body.action',
 			name,
-			description
+			description,
+			tags: {
+				...tags,
+				Name: name
+			}
+		}, {
+			protect,
+			dependsOn,
+			parent
 		})
+
+		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/dynamodb/table/
+		if (connectionsTable) {
+			const tableName = `connections-for-${name}`
+			const ttl = connectionsTable.ttl
+			this.connectionsTable = new aws.dynamodb.Table(tableName, {
+				billingMode: 'PAY_PER_REQUEST',
+				hashKey: 'connectionId',
+				attributes: [{ name:'connectionId', type:'S' }],
+				ttl: ttl ? { attributeName:ttl, enabled:true } : undefined,
+				tags: {
+					...tags,
+					Name: tableName
+				}
+			}, {
+				protect
+			})
+		} else
+			this.connectionsTable = null
+
+		this.grants = [
+			grantManageConnections(this),
+			...(this.connectionsTable ? [{
+				actions: ['dynamodb:GetItem', 'dynamodb:PutItem', 'dynamodb:UpdateItem', 'dynamodb:DeleteItem', 'dynamodb:Query', 'dynamodb:Scan'],
+				resources: [this.connectionsTable.arn]
+			}] : [])
+		]
+
+		this.routes = []
+		this.integrations = []
+		this.permissions = []
+		this.routeResponses = []
+		this.integrationResponses = []
+		for (let i=0;i<routeKeys.length;i++) {
+			const routeKey = routeKeys[i]
+			const { lambda, alias, response, timeoutInMillis } = routes[routeKey]
+			const routeName = `${_getRouteName(routeKey)}-${name}`
+			const target = alias ? lambda.aliases[alias] : lambda
+			const twoWay = response === undefined 
+				? routeKey != '$connect' && routeKey != '$disconnect' 
+				: response
+
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/integration/
+			const integration = new aws.apigatewayv2.Integration(routeName, {
+				apiId: this.id,
+				integrationType: 'AWS_PROXY',
+				integrationMethod: 'POST',
+				integrationUri: target.invokeArn,
+				contentHandlingStrategy: 'CONVERT_TO_TEXT',
+				timeoutMilliseconds: timeoutInMillis
+			}, {
+				protect
+			})
+
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/permission/
+			const permission = new aws.lambda.Permission(`lambda-invoke-perm-for-${routeName}`, {
+				action: 'lambda:InvokeFunction',
+				function: lambda.name,
+				qualifier: alias ? target.name : undefined,
+				principal: 'apigateway.amazonaws.com',
+				sourceArn: pulumi.interpolate `${this.executionArn}/*/${routeKey}`
+			}, {
+				protect
+			})
+
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/route/
+			const route = new aws.apigatewayv2.Route(routeName, {
+				apiId: this.id,
+				routeKey,
+				target: pulumi.interpolate `integrations/${integration.id}`,
+				routeResponseSelectionExpression: twoWay ? '$default' : undefined
+			}, {
+				protect
+			})
+
+			if (twoWay) {
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/integrationresponse/
+				this.integrationResponses.push(new aws.apigatewayv2.IntegrationResponse(routeName, {
+					apiId: this.id,
+					integrationId: integration.id,
+					integrationResponseKey: '$default'
+				}, {
+					protect
+				}))
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/routeresponse/
+				this.routeResponses.push(new aws.apigatewayv2.RouteResponse(routeName, {
+					apiId: this.id,
+					routeId: route.id,
+					routeResponseKey: '$default'
+				}, {
+					protect
+				}))
+			}
+
+			this.routes.push(route)
+			this.integrations.push(integration)
+			this.permissions.push(permission)
+		}
+
+		// Attaches the grants to the handlers' role. Each Lambda is processed once, even if it handles multiple routes.
+		this.grantsPolicies = []
+		if (grantHandlers !== false) {
+			const handlers = routeKeys.reduce((acc,routeKey) => {
+				const { lambda } = routes[routeKey]
+				if (lambda.role && !acc.some(h => h.lambda === lambda))
+					acc.push({ routeKey, lambda })
+				return acc
+			}, [])
+			for (let i=0;i<handlers.length;i++) {
+				const { routeKey, lambda } = handlers[i]
+				this.grantsPolicies.push(createGrantsPolicy({
+					name: `${_getRouteName(routeKey)}-handler-${name}`,
+					role: lambda.role,
+					grants: this.grants,
+					protect
+				}))
+			}
+		}
+
+		const stageResourceNames = []
+		if (stages && stages.length) {
+			this.stages = []
+			for (let i=0;i<stages.length;i++) {
+				const stageConfig = stages[i]
+				const stageName = _sanitizeName(stageConfig.name)
+				const stageResourceName = `${stageName}-${name}`
+
+				let logGroup = null
+				if (stageConfig.cloudwatch) {
+					// Creates the log group in advance to control its retention period (same hack as the RestApi).
+					// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/cloudwatch/loggroup/
+					const logGroupName = `loggroup-for-${stageResourceName}`
+					logGroup = new aws.cloudwatch.LogGroup(logGroupName, { 
+						name: pulumi.interpolate `/aws/apigateway/${this.id}/${stageName}`,
+						retentionInDays: stageConfig.cloudwatch.logsRetentionInDays||0,
+						tags: {
+							...tags,
+							Name: logGroupName
+						}
+					}, {
+						protect
+					})
+				}
+
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/deployment/
+				const deployment = new aws.apigatewayv2.Deployment(`snapshot-for-${stageResourceName}`, {
+					apiId: this.id,
+					description: stageConfig.snapshot.description,
+					triggers: {
+						version: `${stageConfig.snapshot.version}`
+					}
+				}, {
+					protect,
+					dependsOn: [
+						...this.routes,
+						...this.integrations,
+						...this.routeResponses,
+						...this.integrationResponses
+					]
+				})
+
+				const cloudwatch = typeof(stageConfig.cloudwatch) == 'object' 
+					? {
+						detailedMetricsEnabled: stageConfig.cloudwatch.metrics,
+						loggingLevel: stageConfig.cloudwatch.level || 'INFO',
+						dataTraceEnabled: stageConfig.cloudwatch.fullRequestResponse
+					} : stageConfig.cloudwatch ? {
+						detailedMetricsEnabled: true,
+						loggingLevel: 'INFO',
+						dataTraceEnabled: false
+					} : {}
+
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/stage/
+				const stage = new aws.apigatewayv2.Stage(stageResourceName, {
+					apiId: this.id,
+					name: stageName,
+					deploymentId: deployment.id,
+					stageVariables: stageConfig.variables,
+					defaultRouteSettings: {
+						...cloudwatch,
+						throttlingRateLimit: stageConfig.throttle ? stageConfig.throttle.rateLimit : undefined,
+						throttlingBurstLimit: stageConfig.throttle ? stageConfig.throttle.burstLimit : undefined
+					},
+					tags: {
+						...tags,
+						Name: stageName
+					}
+				}, {
+					protect,
+					dependsOn: logGroup ? [deployment, logGroup] : [deployment]
+				})
+
+				stage.deployment = deployment
+				stage.logGroup = logGroup
+				stage.callbackUrl = stage.invokeUrl.apply(url => url.replace(/^wss:/, 'https:'))
+
+				stageResourceNames.push({
+					refName: stageConfig.name,
+					name: stageResourceName,
+					stageName
+				})
+				this.stages.push(stage)
+			}
+		}
+
+		// Adds custom domains
+		if (domains && domains.length) {
+			this.domains = []
+			for (let j=0;j<domains.length;j++) {
+				const domainConfig = domains[j]
+				const domain = createDomain({
+					name,
+					version: 'v2',
+					endpointType: domainConfig.endpointType,
+					domain: domainConfig,
+					tags,
+					protect,
+					dependsOn: [...this.stages]
+				})
+
+				const mappings = []
+				for (let k=0;k<domainConfig.stages.length;k++) {
+					const stage = domainConfig.stages[k]
+					const [sName, basePath] = typeof(stage) == 'string' ? [stage] : [stage.name, stage.path]
+					const stageResource = stageResourceNames.find(s => s.refName == sName)
+					// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/apimapping/
+					mappings.push(new aws.apigatewayv2.ApiMapping(`map-for-${_getDomainHash(domainConfig.name)}-${stageResource.name}`, {
+						apiId: this.id,
+						domainName: domain.id,
+						stage: stageResource.stageName,
+						apiMappingKey: basePath ? basePath.replace(/^\/+/, '') : undefined
+					}, {
+						protect,
+						dependsOn: [...this.stages]
+					}))
+				}
+
+				domain.mappings = mappings
+
+				this.domains.push(domain)
+			}
+		}
 	}
 }
 
@@ -583,19 +1554,26 @@ const enableCloudwatch = (name, options) => {
  * @param	{Output<String>}					.executionArn
  * @param	{Output<Role>}					apiGatewayRole
  * @param	{Output<Authorizer>}			authorizer						Only required if a resource uses an 'authorizer' of type 'COGNITO_USER_POOLS'	
-apiGatewayRole
+ * @param	{Object}						authorizers						Lambda authorizers created by '_createLambdaAuthorizers'. Only required if a resource uses an 'authorizer' of type 'CUSTOM'.
+ * @param	{Object}						cors							Inherited CORS config (returned by 'getCorsConfig'). Overridden by 'resources.cors'.
+ * @param	{Object}						models							e.g., { User:Output<Model> }. Only required if a method uses a 'requestModel'.
  * @param	{Object}						parentResource
  * @param	{String}							.name						e.g., 'blog' or '/' to indicate the root resource.
  * @param	{Output<String>}					.id
  * @param	{Output<String>}					.path
+ * @param	{String}							.template					Static path (e.g., '/users/{id}'). Used to get the path parameters.
  * @param	{Object}						resources					e.g., { '/':{...}, 'dogs':{...}, 'blog/tech':{...} }
  * @param	{Object}							.[name|methodName]		If name is '/', this means root resource.
  * @param	{Object}								.[methodName]		e.g., 'GET', 'POST'
  * @param	{[String]}									.contentTypes		Supported content types. Default ['application/json']
+ * @param	{Boolean}									.apiKeyRequired
+ * @param	{String}									.requestModel		Name of one of the 'models'.
+ * @param	{Object|String}								.schema				Inline JSON Schema (or path to a JSON file).
  * @param	{Object}									.headers			Defines the required headers.
  * @param	{Object}									.queryStrings		Defines the required query strings
  * @param	{Object}									.authorizer
  * @param	{Object}										.type		Valid values: 'NONE', 'CUSTOM', 'AWS_IAM', 'COGNITO_USER_POOLS'
+ * @param	{String}										.name		Required when 'type' is 'CUSTOM'. Name of one of the 'authorizers'.
  * @param	{Object}									.sns
  * @param	{Output<Topic>}									.topic		
  * @param	{Output<String>}									.arn	Required. 
@@ -630,8 +1608,9 @@ apiGatewayRole
  * @return {[Output<Integration>]}				.integrations
  * @return {[Output<IntegrationResponse>]}		.integrationResponses
  * @return {[Output<MethodResponse>]}			.methodResponses
+ * @return {[Object]}							.operations				Used to generate the OpenAPI document (e.g., { path:'/users/{id}', httpMethod:'GET', config, integration, ... }).
  */
-const _createResourcesMethodsAndIntegrations = ({ restApi, apiGatewayRole, authorizer:_authorizer, parentResource, resources, validators, tags, protect }) => {
+const _createResourcesMethodsAndIntegrations = ({ restApi, apiGatewayRole, authorizer:_authorizer, authorizers, models, cors:_cors, parentResource, resources, validators, tags, protect }) => {
 	if (!restApi)
 		throw new Error('Missing required argument \'restApi\'')
 	if (!restApi.id)
@@ -653,8 +1632,10 @@ const _createResourcesMethodsAndIntegrations = ({ restApi, apiGatewayRole, autho
 
 	tags = tags || {}
 	const parentResourcePrefix = parentResource.name == '/' ? '' : `${parentResource.name}-`
+	const pathParameters = ((parentResource.template||'').match(/{[^}]+}/g) || []).map(p => p.replace(/[{}+]/g, ''))
 
-	const keys = Object.keys(resources||{})
+	const cors = resources && resources.cors !== undefined ? getCorsConfig(resources.cors) : _cors
+	const keys = Object.keys(resources||{}).filter(k => k != 'cors')
 	const [httpMethods, resourceNames] = keys.reduce((acc,k) => {
 		acc[HTTP_METHODS.indexOf(k) >= 0 ? 0 : 1].push(k)
 		return acc
@@ -665,6 +1646,7 @@ const _createResourcesMethodsAndIntegrations = ({ restApi, apiGatewayRole, autho
 	const _integrations = []
 	const _integrationResponses = []
 	const _methodResponses = []
+	const _operations = []
 
 	// Adds all the verbs under this parentResource
 	if (httpMethods.length) {
@@ -678,20 +1660,50 @@ const _createResourcesMethodsAndIntegrations = ({ restApi, apiGatewayRole, autho
 				throw new Error(`Missing required integration config for method '${methodName}'.`)
 
 			const authorizer = httpMethodConfig.authorizer
-			const { requestParameters, required } = _getRequestParameters(httpMethodConfig)
+			const { requestParameters:_requestParameters, required } = _getRequestParameters(httpMethodConfig)
+			const requestParameters = pathParameters.length 
+				? pathParameters.reduce((acc,p) => ({ ...acc, [`method.request.path.${p}`]:true }), _requestParameters||{})
+				: _requestParameters
 
 			const is_cognito = (authorizer||{}).type == 'COGNITO_USER_POOLS'
 			if (is_cognito && (!_authorizer || !_authorizer.id))
 				throw new Error('Missing required argument \'authorizer\'. When "authorizer.type" is set to \'COGNITO_USER_POOLS\', a cognito authorizer is required.')
 
+			const is_custom = (authorizer||{}).type == 'CUSTOM'
+			if (is_custom && !authorizer.name)
+				throw new Error(`Missing required 'authorizer.name' in method '${methodName}'. When "authorizer.type" is set to 'CUSTOM', 'name' must reference one of the 'authorizers'.`)
+			const customAuthorizer = is_custom ? (authorizers||{})[authorizer.name] : null
+			if (is_custom && !customAuthorizer)
+				throw new Error(`Authorizer '${authorizer.name}' used in method '${methodName}' is not defined in 'authorizers'.`)
+
+			const { requestModel, schema } = httpMethodConfig
+			if (requestModel && schema)
+				throw new Error(`'requestModel' and 'schema' cannot be used together in method '${methodName}'.`)
+			if (requestModel && !(models||{})[requestModel])
+				throw new Error(`Model '${requestModel}' used in method '${methodName}' is not defined in 'models'.`)
+			const model = requestModel 
+				? models[requestModel] 
+				: schema ? _createModel({ restApi, name:methodName, schema, protect }) : null
+			const validateBody = model ? true : false
+			const requestValidator = required && validateBody 
+				? (validators||{}).all 
+				: validateBody ? (validators||{}).body : required ? (validators||{}).request : null
+			const contentTypes = integrationConfig.contentTypes && integrationConfig.contentTypes.length 
+				? integrationConfig.contentTypes 
+				: ['application/json']
+
 			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/method/
 			const method = new aws.apigateway.Method(methodName, {
 				name: methodName,
+				apiKeyRequired: httpMethodConfig.apiKeyRequired ? true : undefined,
 				authorization: !authorizer || !authorizer.type ? 'NONE' : authorizer.type,
-				authorizerId: (_authorizer||{}).id,
+				authorizerId: is_custom ? customAuthorizer.id : (_authorizer||{}).id,
 				restApi: restApi.id,
 				requestParameters,
-				requestValidatorId: required ? ((validators||{}).request||{}).id : undefined,
+				requestModels: model
+					? contentTypes.reduce((acc,t) => ({ ...acc, [t]:model.name }), {})
+					: undefined,
+				requestValidatorId: (requestValidator||{}).id,
 				resourceId: parentResource.id,
 				httpMethod,
 				tags: {
@@ -702,6 +1714,9 @@ const _createResourcesMethodsAndIntegrations = ({ restApi, apiGatewayRole, autho
 				protect
 			})
 
+			if (schema)
+				method.model = model
+
 			_methods.push(method)
 			const results = _createIntegrationsAndResponses({ 
 				...integrationConfig,
@@ -712,13 +1727,48 @@ const _createResourcesMethodsAndIntegrations = ({ restApi, apiGatewayRole, autho
 				resourceId: parentResource.id,
 				resourcePath: parentResource.path,
 				resourcePrefix: parentResourcePrefix,
+				pathParameters,
+				cors,
 				tags,
 				protect
 			})
 			_integrations.push(results.integration)
 			_methodResponses.push(...results.methodResponses)
+			_operations.push({
+				path: parentResource.template || '/',
+				httpMethod,
+				config: httpMethodConfig,
+				integration: results.integration,
+				integrationResponses: results.integrationResponses,
+				methodResponses: results.methodResponses
+			})
 			_integrationResponses.push(...results.integrationResponses)
 		}
+
+		// Answers the CORS preflight requests, unless an OPTIONS method is explicitly defined.
+		if (cors && httpMethods.indexOf('OPTIONS') < 0) {
+			const preflight = _createCorsPreflight({ 
+				restApi, 
+				parentResource, 
+				resourcePrefix: parentResourcePrefix, 
+				httpMethods, 
+				cors, 
+				tags, 
+				protect 
+			})
+			_methods.push(preflight.method)
+			_integrations.push(preflight.integration)
+			_methodResponses.push(...preflight.methodResponses)
+			_integrationResponses.push(...preflight.integrationResponses)
+			_operations.push({
+				path: parentResource.template || '/',
+				httpMethod: 'OPTIONS',
+				config: {},
+				integration: preflight.integration,
+				integrationResponses: preflight.integrationResponses,
+				methodResponses: preflight.methodResponses
+			})
+		}
 	}
 	
 	if (resourceNames.length) {
@@ -759,10 +1809,14 @@ const _createResourcesMethodsAndIntegrations = ({ restApi, apiGatewayRole, autho
 						restApi, 
 						apiGatewayRole,
 						authorizer:_authorizer,
+						authorizers,
+						models,
+						cors,
 						parentResource: {
 							id: result.parentResourceId,
 							name: result.path,
-							path: result.parentResourcePath
+							path: result.parentResourcePath,
+							template: `${parentResource.template||''}/${resourceParts.join('/')}`
 						},
 						resources: resourceConfig,
 						validators,
@@ -775,6 +1829,7 @@ const _createResourcesMethodsAndIntegrations = ({ restApi, apiGatewayRole, autho
 					_integrations.push(...nestedResults.integrations)
 					_methodResponses.push(...nestedResults.methodResponses)
 					_integrationResponses.push(...nestedResults.integrationResponses)
+					_operations.push(...nestedResults.operations)
 				}
 			}
 		}
@@ -785,12 +1840,539 @@ const _createResourcesMethodsAndIntegrations = ({ restApi, apiGatewayRole, autho
 		resources: _resources,
 		integrations: _integrations,
 		integrationResponses: _integrationResponses,
-		methodResponses: _methodResponses
+		methodResponses: _methodResponses,
+		operations: _operations
+	}
+}
+
+/**
+ * Creates the OPTIONS method that answers the CORS preflight requests of a resource with a MOCK integration.
+ * Doc: https://docs.aws.amazon.com/apigateway/latest/developerguide/how-to-cors.html
+ * 
+ * @param	{Object}						restApi
+ * @param	{String}							.name						e.g., 'my-rest-api'
+ * @param	{Output<String>}					.id
+ * @param	{Object}						parentResource
+ * @param	{Output<String>}					.id
+ * @param	{String}						resourcePrefix
+ * @param	{[String]}						httpMethods						Methods defined on the resource (e.g., ['GET', 'POST']).
+ * @param	{Object}						cors							Returned by 'getCorsConfig'.
+ * @param	{Object}						tags		
+ * @param	{Boolean}						protect	
+ * 
+ * @return	{Object}						output
+ * @return	{Output<Method>}					.method
+ * @return	{Output<Integration>}				.integration
+ * @return	{[Output<IntegrationResponse>]}		.integrationResponses
+ * @return	{[Output<MethodResponse>]}			.methodResponses
+ */
+const _createCorsPreflight = ({ restApi, parentResource, resourcePrefix, httpMethods, cors, tags, protect }) => {
+	const methodName = _sanitizeName(`${resourcePrefix}OPTIONS-${restApi.name}`)
+	const allowedMethods = cors.methods || (httpMethods.indexOf('ANY') >= 0 
+		? HTTP_METHODS.filter(m => m != 'ANY') 
+		: [...httpMethods, 'OPTIONS'])
+
+	// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/method/
+	const method = new aws.apigateway.Method(methodName, {
+		name: methodName,
+		authorization: 'NONE',
+		restApi: restApi.id,
+		resourceId: parentResource.id,
+		httpMethod: 'OPTIONS',
+		tags: {
+			...tags,
+			Name: methodName
+		}
+	}, {
+		protect
+	})
+
+	// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/integration/
+	const integration = new aws.apigateway.Integration(methodName, {
+		name: methodName,
+		restApi: restApi.id,
+		resourceId: parentResource.id,
+		httpMethod: method.httpMethod,
+		type: 'MOCK',
+		requestTemplates: {
+			'application/json': '{ "statusCode": 200 }'
+		},
+		passthroughBehavior: 'WHEN_NO_MATCH',
+		tags: {
+			...tags,
+			Name: methodName
+		}
+	}, {
+		protect
+	})
+
+	const { integrationResponses, methodResponses } = createResponses({
+		restApi,
+		resourcePrefix,
+		resourceId: parentResource.id,
+		httpMethod: 'OPTIONS',
+		integration,
+		responses: [{
+			code: 200,
+			statusCode: 200,
+			responseParameters: {
+				'method.response.header.Access-Control-Allow-Headers': `'${cors.headers.join(',')}'`,
+				'method.response.header.Access-Control-Allow-Methods': `'${allowedMethods.join(',')}'`,
+				'method.response.header.Access-Control-Allow-Origin': `'${cors.origins[0]}'`,
+				...(cors.credentials ? { 'method.response.header.Access-Control-Allow-Credentials':'\'true\'' } : {}),
+				...(cors.maxAge !== undefined ? { 'method.response.header.Access-Control-Max-Age':`'${cors.maxAge}'` } : {})
+			},
+			// A static header only supports one origin. With multiple origins, the request's origin is echoed back if allowed.
+			responseTemplates: cors.origins.length > 1 
+				? { 'application/json':getCorsOriginTemplate(cors.origins) }
+				: undefined
+		}],
+		tags,
+		protect
+	})
+
+	return {
+		method,
+		integration,
+		integrationResponses,
+		methodResponses
+	}
+}
+
+/**
+ * Creates the integration of an HttpApi's route.
+ * Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigatewayv2/integration/
+ * 
+ * @param	{Object}						api
+ * @param	{Output<String>}					.id
+ * @param	{Output<String>}					.executionArn
+ * @param	{String}						name
+ * @param	{String}						routeKey						e.g., 'GET /users/{id}'
+ * @param	{Output<Lambda>}				lambda
+ * @param	{String}						alias
+ * @param	{String}						url
+ * @param	{String}						method
+ * @param	{Number}						timeoutInMillis
+ * @param	{Boolean}						protect	
+ * 
+ * @return	{Object}						output
+ * @return	{Output<Integration>}				.integration
+ * @return	{Output<Permission>}				.permission				Null if the integration is not a Lambda.
+ */
+const _createHttpApiIntegration = ({ api, name, routeKey, lambda, alias, url, method, timeoutInMillis, protect }) => {
+	if (!lambda && !url)
+		throw new Error(`Missing required integration in route '${routeKey}'. Routes must define either a 'lambda' or a 'url'.`)
+	if (lambda && url)
+		throw new Error(`'lambda' and 'url' cannot be used together in route '${routeKey}'.`)
+
+	const [routeMethod, routePath] = routeKey == '$default' ? ['ANY', null] : routeKey.split(' ')
+
+	if (url) {
+		const pathParameters = ((routePath||'').match(/{[^}]+}/g) || []).map(p => p.replace(/[{}+]/g, ''))
+		const urlParameters = (url.match(/{[^}]+}/g) || []).map(p => p.replace(/[{}+]/g, ''))
+		const unknownParam = urlParameters.find(p => pathParameters.indexOf(p) < 0)
+		if (unknownParam)
+			throw new Error(`Path parameter '{${unknownParam}}' in the url of route '${routeKey}' is not defined in the route's path.`)
+
+		return {
+			integration: new aws.apigatewayv2.Integration(name, {
+				apiId: api.id,
+				integrationType: 'HTTP_PROXY',
+				integrationMethod: method || routeMethod,
+				integrationUri: url,
+				timeoutMilliseconds: timeoutInMillis
+			}, {
+				protect
+			}),
+			permission: null
+		}
+	}
+
+	if (!lambda.invokeArn)
+		throw new Error(`Missing required argument 'lambda.invokeArn' in route '${routeKey}'.`)
+	if (!lambda.name)
+		throw new Error(`Missing required argument 'lambda.name' in route '${routeKey}'.`)
+	if (alias && (!lambda.aliases || !lambda.aliases[alias]))
+		throw new Error(`Alias '${alias}' not found in 'lambda.aliases' of route '${routeKey}'. When 'alias' is set, the alias must be defined in the Lambda's 'aliases'.`)
+
+	const target = alias ? lambda.aliases[alias] : lambda
+	const integration = new aws.apigatewayv2.Integration(name, {
+		apiId: api.id,
+		integrationType: 'AWS_PROXY',
+		integrationMethod: 'POST',
+		integrationUri: target.invokeArn,
+		payloadFormatVersion: '2.0',
+		timeoutMilliseconds: timeoutInMillis
+	}, {
+		protect
+	})
+
+	// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/permission/
+	const permission = new aws.lambda.Permission(`lambda-invoke-perm-for-${name}`, {
+		action: 'lambda:InvokeFunction',
+		function: lambda.name,
+		qualifier: alias ? target.name : undefined,
+		principal: 'apigateway.amazonaws.com',
+		sourceArn: routePath
+			? pulumi.interpolate `${api.executionArn}/*/${routeMethod == 'ANY' ? '*' : routeMethod}${routePath.replace(/{[^}]+}/g, '*')}`
+			: pulumi.interpolate `${api.executionArn}/*/$default`
+	}, {
+		protect
+	})
+
+	return {
+		integration,
+		permission
+	}
+}
+
+/**
+ * Gets a resource name from a route key. The short hash of the raw route key keeps the names unique when their sanitized 
+ * versions are the same (e.g., 'GET /users/{id}' and 'GET /users/id').
+ *
+ * @param  {String}		routeKey	e.g., 'GET /users/{id}'
+ *
+ * @return {String}		name		e.g., 'get-users-id-2a1261aa'
+ */
+const _getRouteName = routeKey => {
+	const routeHash = crypto.createHash('sha1').update(routeKey).digest('hex').substring(0,8)
+	return `${routeKey.toLowerCase().replace(/[^0-9a-z]+/g, '-').replace(/^-+|-+$/g, '')}-${routeHash}`
+}
+
+/**
+ * Creates an execute-api interface VPC endpoint used to invoke private APIs.
+ * Doc: https://www.pulumi.com/registry/packages/aws/api-docs/ec2/vpcendpoint/
+ * 
+ * @param	{String}						name
+ * @param	{VPC}							vpc
+ * @param	{[Output<String>]}				subnetIds
+ * @param	{[Output<String>]}				securityGroupIds
+ * @param	{Boolean}						privateDnsEnabled
+ * @param	{Object}						tags		
+ * @param	{Boolean}						protect	
+ * 
+ * @return	{Object}						output
+ * @return	{Output<VpcEndpoint>}				.vpcEndpoint
+ * @return	{Output<SecurityGroup>}				.securityGroup				Null if 'securityGroupIds' is set.
+ */
+const _createVpcEndpoint = ({ name, vpc, subnetIds, securityGroupIds, privateDnsEnabled, tags, protect }) => {
+	if (!vpc.id)
+		throw new Error('Missing required argument \'privateEndpoint.vpc.id\'.')
+
+	const endpointName = `vpce-for-${name}`
+	const securityGroup = securityGroupIds && securityGroupIds.length ? null : new aws.ec2.SecurityGroup(endpointName, {
+		name: endpointName,
+		description: `Allows HTTPS traffic from the VPC to the ${name} private API`,
+		vpcId: vpc.id,
+		ingress: [{ 
+			protocol: 'tcp', 
+			fromPort: 443, 
+			toPort: 443, 
+			cidrBlocks: [vpc.cidrBlock] 
+		}],
+		egress: [{ 
+			protocol: '-1', 
+			fromPort: 0, 
+			toPort: 0, 
+			cidrBlocks: ['0.0.0.0/0'] 
+		}],
+		tags: {
+			...tags,
+			Name: endpointName
+		}
+	}, {
+		protect
+	})
+
+	const vpcEndpoint = new aws.ec2.VpcEndpoint(endpointName, {
+		vpcId: vpc.id,
+		serviceName: `com.amazonaws.${aws.config.region}.execute-api`,
+		vpcEndpointType: 'Interface',
+		subnetIds: subnetIds || pulumi.all([vpc.privateSubnets, vpc.isolatedSubnets]).apply(([privateSubnets, isolatedSubnets]) => 
+			((privateSubnets||[]).length ? privateSubnets : (isolatedSubnets||[])).map(s => s.id)),
+		securityGroupIds: securityGroup ? [securityGroup.id] : securityGroupIds,
+		privateDnsEnabled: privateDnsEnabled === false ? false : true,
+		tags: {
+			...tags,
+			Name: endpointName
+		}
+	}, {
+		protect
+	})
+
+	return {
+		vpcEndpoint,
+		securityGroup
 	}
 }
 
+/**
+ * Gets the resource policy of a private API. Requests that do not come from the VPC endpoints (or from the allowed IPs)
+ * are denied.
+ * 
+ * @param	{Output<String>}				executionArn
+ * @param	{[Output<String>]}				vpcEndpointIds
+ * @param	{[String]}						allowedIps
+ * @param	{[String]}						allowedAccounts
+ * @param	{[Object]}						policyStatements
+ * 
+ * @return	{Output<String>}				policy
+ */
+const _getPrivateApiPolicy = ({ executionArn, vpcEndpointIds, allowedIps, allowedAccounts, policyStatements }) => pulumi.all([
+	executionArn,
+	pulumi.all(vpcEndpointIds),
+	pulumi.output(policyStatements||[])
+]).apply(([arn, endpointIds, statements]) => {
+	const resource = `${arn}/*`
+	return JSON.stringify({
+		Version: '2012-10-17',
+		Statement: [{
+			Effect: 'Allow',
+			Principal: allowedAccounts && allowedAccounts.length 
+				? { AWS:allowedAccounts.map(a => `arn:aws:iam::${a}:root`) } 
+				: '*',
+			Action: 'execute-api:Invoke',
+			Resource: resource
+		}, {
+			Effect: 'Deny',
+			Principal: '*',
+			Action: 'execute-api:Invoke',
+			Resource: resource,
+			Condition: {
+				StringNotEquals: {
+					'aws:SourceVpce': endpointIds
+				}
+			}
+		},
+		...(allowedIps && allowedIps.length ? [{
+			Effect: 'Deny',
+			Principal: '*',
+			Action: 'execute-api:Invoke',
+			Resource: resource,
+			Condition: {
+				NotIpAddress: {
+					'aws:VpcSourceIp': allowedIps
+				}
+			}
+		}] : []),
+		...statements]
+	})
+})
+
+/**
+ * Creates a model from a JSON Schema.
+ * Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/model/
+ * 
+ * @param	{Object}						restApi
+ * @param	{String}							.name						e.g., 'my-rest-api'
+ * @param	{Output<String>}					.id
+ * @param	{String}						name							e.g., 'User'
+ * @param	{Object|String}					schema							JSON Schema object or path to a JSON file.
+ * @param	{String}						contentType						Default 'application/json'.
+ * @param	{String}						description
+ * @param	{Boolean}						protect	
+ * 
+ * @return	{Output<Model>}					model
+ */
+const _createModel = ({ restApi, name, schema, contentType, description, protect }) => {
+	if (!schema)
+		throw new Error(`Missing required 'schema' in model '${name}'.`)
+
+	const _schema = typeof(schema) == 'string' ? _loadJsonFile(schema, `model '${name}'`) : schema
+	if (!_schema || typeof(_schema) != 'object')
+		throw new Error(`Wrong argument exception. The schema of model '${name}' is expected to be an object or a path to a JSON file. Found '${typeof(_schema)}' instead.`)
+
+	// Model names must be alphanumeric.
+	const modelName = `${name}${restApi.name}`.replace(/[^0-9a-zA-Z]/g, '')
+	return new aws.apigateway.Model(_sanitizeName(`${name}-model-${restApi.name}`), {
+		name: modelName,
+		restApi: restApi.id,
+		contentType: contentType || 'application/json',
+		description,
+		schema: pulumi.output(_schema).apply(s => JSON.stringify({ $schema:JSON_SCHEMA_DRAFT_04, ...s }))
+	}, {
+		protect
+	})
+}
+
+const _loadJsonFile = (filePath, label) => {
+	const fullPath = path.resolve(filePath)
+	if (!fs.existsSync(fullPath))
+		throw new Error(`File '${fullPath}' used in ${label} not found.`)
+	try {
+		return JSON.parse(fs.readFileSync(fullPath).toString())
+	} catch(err) {
+		throw new Error(`Failed to parse file '${fullPath}' used in ${label}. ${err.message}`)
+	}
+}
+
+/**
+ * Creates the Lambda authorizers (TOKEN or REQUEST) and the permissions that allow API Gateway to invoke their Lambda.
+ * Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/authorizer/
+ * 
+ * @param	{Object}						restApi
+ * @param	{String}							.name						e.g., 'my-rest-api'
+ * @param	{Output<String>}					.id
+ * @param	{Output<String>}					.executionArn
+ * @param	{Object}						authorizers						e.g., { 'check-token':{ type:'TOKEN', lambda } }
+ * @param	{String}							.type						Default 'TOKEN'. Valid values: 'TOKEN', 'REQUEST'
+ * @param	{Output<Lambda>}					.lambda
+ * @param	{String}							.alias
+ * @param	{String|[String]}					.identitySource
+ * @param	{String}							.identityValidationExpression
+ * @param	{Number}							.resultTtlInSeconds			Default 300.
+ * @param	{Boolean}						protect	
+ * 
+ * @return	{Object}						authorizers						e.g., { 'check-token':Output<Authorizer> }
+ */
+const _createLambdaAuthorizers = ({ restApi, authorizers, protect }) => Object.keys(authorizers||{}).reduce((acc,authName) => {
+	const { type, lambda, alias, identitySource, identityValidationExpression, resultTtlInSeconds } = authorizers[authName] || {}
+	const authType = (type || 'TOKEN').toUpperCase()
+	if (LAMBDA_AUTHORIZER_TYPES.indexOf(authType) < 0)
+		throw new Error(`'authorizers.${authName}.type' value unsupported. Supported values are ${LAMBDA_AUTHORIZER_TYPES}. Found ${type} instead.`)
+	if (!lambda || !lambda.invokeArn)
+		throw new Error(`Missing required argument 'authorizers.${authName}.lambda.invokeArn'.`)
+	if (!lambda.name)
+		throw new Error(`Missing required argument 'authorizers.${authName}.lambda.name'.`)
+	if (alias && (!lambda.aliases || !lambda.aliases[alias]))
+		throw new Error(`Alias '${alias}' not found in 'authorizers.${authName}.lambda.aliases'. When 'alias' is set, the alias must be defined in the Lambda's 'aliases'.`)
+
+	const ttl = resultTtlInSeconds === undefined || resultTtlInSeconds === null ? DEFAULT_AUTHORIZER_TTL : resultTtlInSeconds
+	if (typeof(ttl) != 'number' || ttl < 0 || ttl > 3600)
+		throw new Error(`Wrong argument exception. 'authorizers.${authName}.resultTtlInSeconds' must be a number between 0 and 3600. Found ${resultTtlInSeconds} instead.`)
+
+	const sources = !identitySource ? [] : Array.isArray(identitySource) ? identitySource : [identitySource]
+	if (authType == 'TOKEN' && sources.length > 1)
+		throw new Error(`Wrong argument exception. 'authorizers.${authName}.identitySource' must be a single header (e.g., 'method.request.header.Authorization') when the type is 'TOKEN'.`)
+	if (authType == 'REQUEST' && ttl > 0 && !sources.length)
+		throw new Error(`Missing required argument 'authorizers.${authName}.identitySource'. REQUEST authorizers with caching enabled must define at least one identity source (e.g., 'method.request.header.Authorization').`)
+	if (authType == 'REQUEST' && identityValidationExpression)
+		throw new Error(`Wrong argument exception. 'authorizers.${authName}.identityValidationExpression' is only supported when the type is 'TOKEN'.`)
+
+	const target = alias ? lambda.aliases[alias] : lambda
+	const authorizerName = _sanitizeName(`${authName}-auth-${restApi.name}`)
+	const authorizer = new aws.apigateway.Authorizer(authorizerName, {
+		name: authorizerName,
+		restApi: restApi.id,
+		type: authType,
+		authorizerUri: target.invokeArn,
+		identitySource: authType == 'TOKEN' 
+			? sources[0] || 'method.request.header.Authorization' 
+			: sources.length ? sources.join(',') : undefined,
+		identityValidationExpression,
+		authorizerResultTtlInSeconds: ttl
+	}, {
+		protect
+	})
+
+	// Allows API Gateway to invoke the authorizer's Lambda. Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/permission/
+	const permissionName = `lambda-invoke-perm-for-${authorizerName}`
+	authorizer.permission = new aws.lambda.Permission(permissionName, {
+		action: 'lambda:InvokeFunction',
+		function: lambda.name,
+		qualifier: alias ? target.name : undefined,
+		principal: 'apigateway.amazonaws.com',
+		sourceArn: pulumi.interpolate `${restApi.executionArn}/authorizers/${authorizer.id}`
+	}, {
+		protect
+	})
+
+	acc[authName] = authorizer
+	return acc
+}, {})
+
 const _sanitizeName = name => (name||'').toLowerCase().replace(/[^0-9a-z-_]/g,'')
 
+/**
+ * Validates and normalizes the 'canary' option of a RestApi's stage.
+ * 
+ * @param	{Object}	stageConfig
+ * @param	{String}		.name
+ * @param	{Object}		.snapshot
+ * @param	{Object}		.canary
+ * 
+ * @return	{Object}	canary			Null if the stage has no canary.
+ * @return	{String}		.version
+ * @return	{Number}		.percent	Default 10.
+ * @return	{Object}		.variables
+ * @return	{Boolean}		.useStageCache
+ * @return	{String}		.action		'promote', 'abort' or null.
+ */
+const _getCanaryConfig = ({ name, snapshot, canary }) => {
+	if (!canary)
+		return null
+
+	const { version, percent, variables, useStageCache, action } = canary
+	if (action && CANARY_ACTIONS.indexOf(action) < 0)
+		throw new Error(`'${name}.canary.action' value unsupported. Supported values are ${CANARY_ACTIONS}. Found ${action} instead.`)
+	if (!version && action != 'abort')
+		throw new Error(`Missing required '${name}.canary.version' property`)
+	if (version && version == (snapshot.rollbackTo || snapshot.version))
+		throw new Error(`Wrong argument exception. '${name}.canary.version' must be different from the stage's snapshot version (${version}).`)
+	if (percent !== undefined && (typeof(percent) != 'number' || percent < 0 || percent > 100))
+		throw new Error(`Wrong argument exception. '${name}.canary.percent' must be a number between 0 and 100. Found ${percent} instead.`)
+
+	return {
+		version,
+		percent: percent === undefined ? 10 : percent,
+		variables,
+		useStageCache: useStageCache ? true : false,
+		action: action || null
+	}
+}
+
+const _getDomainHash = domainName => crypto.createHash('sha1').update(domainName).digest('hex').substring(0,8)
+
+/**
+ * Gets the unique stage names.
+ * 
+ * @param	{[Object]}	stages
+ * 
+ * @return	{[String]}	stageNames
+ */
+const _getStageNames = stages => (stages||[]).reduce((acc,s,idx) => {
+	if (!s || !s.name)
+		throw new Error(`Missing required property 'name' in stages[${idx}].name`)
+	if (acc.indexOf(s.name) < 0)
+		acc.push(s.name)
+	else
+		throw new Error(`Stage '${s.name}' defined more than once`)
+	return acc
+}, [])
+
+/**
+ * Validates that the stages defined in the domains are valid.
+ * 
+ * @param	{[Object]}	domains
+ * @param	{[String]}	stageNames
+ * 
+ * @return	{Void}
+ */
+const _validateDomains = (domains, stageNames) => {
+	if (!domains || !domains.length)
+		return
+	if (!stageNames.length)
+		throw new Error('Cannot provision domains if no stages are defined.')
+
+	for (let i=0;i<domains.length;i++) {
+		const d = domains[i]||{}
+		if (!d.name)
+			throw new Error(`Missing required 'name' in domains[${i}].name`)
+		if (!d.stages || !d.stages.length)
+			throw new Error(`Missing required 'name' in domains[${i}].stages`)
+		const invalidStageIdx = d.stages.findIndex(s => {
+			if (typeof(s) == 'string')
+				return stageNames.indexOf(s) < 0
+			else if (s.name)
+				return stageNames.indexOf(s.name) < 0
+			else
+				return true
+		})
+		if (invalidStageIdx >= 0)
+			throw new Error(`Stage '${d.stages[invalidStageIdx]}' located under domains[${i}].stages[${invalidStageIdx}] is not defined in the 'stages' property.`)
+	}
+}
+
 /**
  * 
  * @param	{Object}	config
@@ -892,6 +2474,8 @@ const _getIntegrationConfig = httpMethodConfig => {
  * @param	{String}				resourcePrefix
  * @param	{Output<String>}		resourceId
  * @param	{Output<String>}		resourcePath
+ * @param	{[String]}				pathParameters			e.g., ['id']
+ * @param	{Object}				cors					Returned by 'getCorsConfig'. Adds the CORS headers to the non-proxy integrations' responses.
  * @param	{Object}				tags		
  * @param	{Boolean}				protect	
  * 
@@ -901,7 +2485,7 @@ const _getIntegrationConfig = httpMethodConfig => {
  * @return	{[Output<Integration>]}   	.methodResponses
  */
 const _createIntegrationsAndResponses = input => {
-	const { restApi, apiGatewayRole, type, config, contentTypes, passthroughBehavior, name, httpMethod, resourcePrefix, resourceId, resourcePath, protect } = input || {}
+	const { restApi, apiGatewayRole, type, config, contentTypes, passthroughBehavior, name, httpMethod, resourcePrefix, resourceId, resourcePath, pathParameters, cors, protect } = input || {}
 
 	if (!restApi)
 		throw new Error('Missing required argument \'restApi\'')
@@ -949,8 +2533,10 @@ const _createIntegrationsAndResponses = input => {
 		apiGatewayRole, 
 		resourcePrefix, 
 		resourcePath,
+		pathParameters,
 		contentTypes,
 		passthroughBehavior,
+		cors,
 		protect
 	})
 
@@ -965,7 +2551,8 @@ module.exports = {
 	RestApi,
 	HttpApi,
 	WebSocketApi,
-	enableCloudwatch
+	enableCloudwatch,
+	parseSnapshotHistory
 }
 
 
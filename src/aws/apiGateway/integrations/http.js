@@ -0,0 +1,90 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree. 
+*/
+
+const aws = require('@pulumi/aws')
+const { getRequestTemplates, getPathRequestParameters, getDefaultResponses, createResponses } = require('./utils')
+
+/**
+ * Creates the HTTP integration (i.e., non-proxy). The request and the response can be transformed with mapping templates.
+ * 
+ * @param	{Object}						baseDef
+ * @param	{String}							.name,
+ * @param	{Output<String>}					.restApi			REST api ID
+ * @param	{Output<String>}					.resourceId
+ * @param	{String}							.httpMethod
+ * @param	{Object}							.tags
+ * @param	{String}						resourcePrefix
+ * @param	{[String]}						pathParameters			Path parameters of the method's resource (e.g., ['id']).
+ * @param	{String}						passthroughBehavior		Valid values: 'WHEN_NO_MATCH' (default), 'WHEN_NO_TEMPLATES', 'NEVER'
+ * @param	{[String]}						contentTypes			Supported content types. Default ['application/json']
+ * @param	{String}						uri						Required. e.g., 'https://example.com/users/{id}'. Path parameters are mapped automatically.
+ * @param	{String}						method					Default is the method's HTTP method (e.g., 'GET'). HTTP method used to call 'uri'.
+ * @param	{Object}						requestParameters		Extra mappings (e.g., { 'integration.request.header.x-api-key':'\'1234\'' }).
+ * @param	{String}						requestTemplate			Optional.
+ * @param	{Object}						responseTemplates		Optional. Templates of the 200 response (e.g., { 'application/json':'{ "ok":true }' }).
+ * @param	{Number}						timeoutInMillis			Default 29000.
+ * @param	{Output<String>}				vpcLinkId				Optional. Calls 'uri' via a VPC link.
+ * @param	{Object}						cors					Optional. Adds the CORS headers to the responses.
+ * @param	{Object} 						restApi
+ * @param	{String}							.name				e.g., 'my-rest-api'
+ * @param	{Output<String>}					.id
+ * 
+ * @return	{Object}						output
+ * @return	{Output<Integration>}				.integration
+ * @return	{[Output<IntegrationResponse>]}		.integrationResponses
+ * @return	{[Output<MethodResponse>]}			.methodResponses
+ */
+const create = ({ baseDef, restApi, uri, method, requestParameters, requestTemplate, responseTemplates, timeoutInMillis, vpcLinkId, pathParameters, resourcePrefix, contentTypes, passthroughBehavior, cors, protect }) => {
+	if (!uri)
+		throw new Error('Missing required argument \'uri\'. This argument is required when the integration type is \'http\'.')
+
+	// Doc: https://docs.aws.amazon.com/apigateway/latest/developerguide/setup-http-integrations.html
+	const def = {
+		...baseDef,
+		type: 'HTTP',
+		integrationHttpMethod: method || baseDef.httpMethod,
+		uri,
+		connectionType: vpcLinkId ? 'VPC_LINK' : undefined,
+		connectionId: vpcLinkId,
+		timeoutMilliseconds: timeoutInMillis,
+		requestParameters: {
+			...getPathRequestParameters(uri, pathParameters),
+			...(requestParameters||{})
+		},
+		passthroughBehavior: passthroughBehavior||'WHEN_NO_MATCH',
+		requestTemplates: getRequestTemplates(contentTypes, requestTemplate)
+	}
+
+	// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/integration/
+	const integration = new aws.apigateway.Integration(def.name, def, {
+		protect
+	})
+
+	// With HTTP integrations, the selection patterns match the status code returned by 'uri'.
+	const { integrationResponses, methodResponses } = createResponses({ 
+		restApi, 
+		resourcePrefix, 
+		resourceId:baseDef.resourceId, 
+		httpMethod:baseDef.httpMethod, 
+		integration, 
+		responses: getDefaultResponses(responseTemplates),
+		cors,
+		tags:baseDef.tags, 
+		protect 
+	})
+
+	return {
+		integration,
+		integrationResponses,
+		methodResponses
+	}
+}
+
+module.exports = {
+	create
+}
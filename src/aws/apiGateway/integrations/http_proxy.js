@@ -0,0 +1,65 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree. 
+*/
+
+const aws = require('@pulumi/aws')
+const { getPathRequestParameters } = require('./utils')
+
+/**
+ * Creates the HTTP proxy integration. The request and the response are passed through as-is, which means that there 
+ * are no method or integration responses.
+ * 
+ * @param	{Object}						baseDef
+ * @param	{String}							.name,
+ * @param	{Output<String>}					.restApi			REST api ID
+ * @param	{Output<String>}					.resourceId
+ * @param	{String}							.httpMethod
+ * @param	{Object}							.tags
+ * @param	{[String]}						pathParameters			Path parameters of the method's resource (e.g., ['proxy']).
+ * @param	{String}						uri						Required. e.g., 'https://example.com/{proxy}'. Path parameters are mapped automatically.
+ * @param	{String}						method					Default 'ANY'. HTTP method used to call 'uri'.
+ * @param	{Object}						requestParameters		Extra mappings (e.g., { 'integration.request.header.x-api-key':'\'1234\'' }).
+ * @param	{Number}						timeoutInMillis			Default 29000.
+ * @param	{Output<String>}				vpcLinkId				Optional. Calls 'uri' via a VPC link.
+ * 
+ * @return	{Object}						output
+ * @return	{Output<Integration>}				.integration
+ * @return	{[Output<IntegrationResponse>]}		.integrationResponses
+ * @return	{[Output<MethodResponse>]}			.methodResponses
+ */
+const create = ({ baseDef, uri, method, requestParameters, timeoutInMillis, vpcLinkId, pathParameters, protect }) => {
+	if (!uri)
+		throw new Error('Missing required argument \'uri\'. This argument is required when the integration type is \'http_proxy\'.')
+
+	// Doc: https://docs.aws.amazon.com/apigateway/latest/developerguide/setup-http-integrations.html#api-gateway-set-up-http-proxy-integration-on-proxy-resource
+	const def = {
+		...baseDef,
+		type: 'HTTP_PROXY',
+		integrationHttpMethod: method || 'ANY',
+		uri,
+		connectionType: vpcLinkId ? 'VPC_LINK' : undefined,
+		connectionId: vpcLinkId,
+		timeoutMilliseconds: timeoutInMillis,
+		requestParameters: {
+			...getPathRequestParameters(uri, pathParameters),
+			...(requestParameters||{})
+		}
+	}
+
+	return {
+		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/integration/
+		integration: new aws.apigateway.Integration(def.name, def, {
+			protect
+		}),
+		integrationResponses:[],
+		methodResponses:[]
+	}
+}
+
+module.exports = {
+	create
+}
@@ -8,5 +8,11 @@ LICENSE file in the root directory of this source tree.
 
 module.exports = {
 	sns: require('./sns'),
-	lambda_proxy: require('./lambda_proxy')
+	sqs: require('./sqs'),
+	http: require('./http'),
+	http_proxy: require('./http_proxy'),
+	s3: require('./s3'),
+	lambda: require('./lambda'),
+	lambda_proxy: require('./lambda_proxy'),
+	kinesis: require('./kinesis')
 }
\ No newline at end of file
@@ -0,0 +1,104 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree. 
+*/
+
+const pulumi = require('@pulumi/pulumi')
+const aws = require('@pulumi/aws')
+const { getRequestTemplates, getDefaultResponses, grantApiGatewayRole, createResponses, isResource } = require('./utils')
+
+const REGION = aws.config.region
+
+/**
+ * Creates the Kinesis integration. The request's body is base64 encoded and put as a single record in the stream.
+ * 
+ * @param	{Object}						baseDef
+ * @param	{String}							.name,
+ * @param	{Output<String>}					.restApi			REST api ID
+ * @param	{Output<String>}					.resourceId
+ * @param	{String}							.httpMethod
+ * @param	{Object}							.tags
+ * @param	{String}						resourcePrefix
+ * @param	{String}						passthroughBehavior		Valid values: 'WHEN_NO_MATCH' (default), 'WHEN_NO_TEMPLATES', 'NEVER'
+ * @param	{[String]}						contentTypes			Supported content types. Default ['application/json']
+ * @param	{Output<Stream>}				stream
+ * @param	{Output<String>}					.arn				Required.
+ * @param	{Output<String>}					.name				Required.
+ * @param	{String}						partitionKey			Default '$context.requestId'. VTL expression (e.g., '$input.path('$.userId')').
+ * @param	{String}						requestTemplate			Optional. Overrides the default 'PutRecord' template.
+ * @param	{Object}						responseTemplates		Optional. Templates of the 200 response (e.g., { 'application/json':'{ "ok":true }' }).
+ * @param	{String}						region
+ * @param	{Output<Role>}					apiGatewayRole
+ * @param	{Object}						cors					Optional. Adds the CORS headers to the responses.
+ * @param	{Object} 						restApi
+ * @param	{String}							.name				e.g., 'my-rest-api'
+ * @param	{Output<String>}					.id
+ * 
+ * @return	{Object}						output
+ * @return	{Output<Integration>}				.integration
+ * @return	{[Output<IntegrationResponse>]}		.integrationResponses
+ * @return	{[Output<MethodResponse>]}			.methodResponses
+ */
+const create = ({ baseDef, restApi, stream, partitionKey, requestTemplate, responseTemplates, region, resourcePrefix, contentTypes, passthroughBehavior, apiGatewayRole, cors, protect }) => {
+	if (!stream || !stream.arn)
+		throw new Error('Missing required argument \'stream.arn\'. This argument is required when the integration type is \'kinesis\'.')
+	if (!stream.name)
+		throw new Error('Missing required argument \'stream.name\'. This argument is required when the integration type is \'kinesis\'.')
+
+	// Doc: https://docs.aws.amazon.com/apigateway/latest/developerguide/integrating-api-with-aws-services-kinesis.html
+	const defaultTemplate = pulumi.interpolate `{
+	"StreamName": "${stream.name}",
+	"Data": "$util.base64Encode($input.body)",
+	"PartitionKey": "${partitionKey||'$context.requestId'}"
+}`
+	const def = {
+		...baseDef,
+		type: 'AWS',
+		integrationHttpMethod: 'POST',
+		credentials: apiGatewayRole.arn,
+		uri: `arn:aws:apigateway:${region||REGION}:kinesis:action/PutRecord`,
+		requestParameters: {
+			'integration.request.header.Content-Type': '\'application/x-amz-json-1.1\''
+		},
+		passthroughBehavior: passthroughBehavior||'WHEN_NO_MATCH',
+		requestTemplates: getRequestTemplates(contentTypes, requestTemplate || defaultTemplate)
+	}
+
+	const policy = grantApiGatewayRole({ 
+		name: `kinesis-put-for-${baseDef.name}`, 
+		apiGatewayRole, 
+		grants: [{ actions:['kinesis:PutRecord'], resources:[stream.arn] }], 
+		protect 
+	})
+
+	// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/integration/
+	const integration = new aws.apigateway.Integration(def.name, def, {
+		protect,
+		dependsOn: [policy, ...(isResource(stream) ? [stream] : [])]
+	})
+
+	const { integrationResponses, methodResponses } = createResponses({ 
+		restApi, 
+		resourcePrefix, 
+		resourceId:baseDef.resourceId, 
+		httpMethod:baseDef.httpMethod, 
+		integration, 
+		responses: getDefaultResponses(responseTemplates),
+		cors,
+		tags:baseDef.tags, 
+		protect 
+	})
+
+	return {
+		integration,
+		integrationResponses,
+		methodResponses
+	}
+}
+
+module.exports = {
+	create
+}
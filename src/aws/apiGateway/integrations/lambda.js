@@ -0,0 +1,105 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree. 
+*/
+
+const aws = require('@pulumi/aws')
+const { grantInvoke } = require('../../iam')
+const { getRequestTemplates, grantApiGatewayRole, createResponses } = require('./utils')
+
+// Lambda errors are selected via their 'errorMessage'. For example, throw new Error('[404] User not found') returns a 404.
+// Any other error returns a 500.
+const RESPONSES = [
+	{ code:null, statusCode:200 },
+	{ code:400, statusCode:400, selectionPattern:'^\\[400\\].*' },
+	{ code:401, statusCode:401, selectionPattern:'^\\[401\\].*' },
+	{ code:404, statusCode:404, selectionPattern:'^\\[404\\].*' },
+	{ code:500, statusCode:500, selectionPattern:'^(?!\\[(400|401|404)\\])(.|\\n)+' }
+]
+
+/**
+ * Creates the Lambda integration (i.e., non-proxy). Unlike 'lambda_proxy', the request and the response can be transformed 
+ * with mapping templates and the status code is selected based on the Lambda's error message (1).
+ * 
+ * @param	{Object}						baseDef
+ * @param	{String}							.name,
+ * @param	{Output<String>}					.restApi			REST api ID
+ * @param	{Output<String>}					.resourceId
+ * @param	{String}							.httpMethod
+ * @param	{Object}							.tags
+ * @param	{String}						resourcePrefix
+ * @param	{String}						passthroughBehavior		Valid values: 'WHEN_NO_MATCH' (default), 'WHEN_NO_TEMPLATES', 'NEVER'
+ * @param	{[String]}						contentTypes			Supported content types. Default ['application/json']
+ * @param	{Output<Lambda>}				lambda
+ * @param	{Output<String>}					.arn				Required.
+ * @param	{Output<String>}					.invokeArn			Required.
+ * @param	{String}						alias					Optional. Name of the Lambda alias (defined in the Lambda's 'aliases') that must be invoked instead of '$LATEST'.
+ * @param	{String}						requestTemplate			Optional. Default passes the request's body as the Lambda's event.
+ * @param	{Object}						responseTemplates		Optional. Templates of the 200 response.
+ * @param	{Output<Role>}					apiGatewayRole
+ * @param	{Object}						cors					Optional. Adds the CORS headers to the responses.
+ * @param	{Object} 						restApi
+ * @param	{String}							.name				e.g., 'my-rest-api'
+ * @param	{Output<String>}					.id
+ * 
+ * @return	{Object}						output
+ * @return	{Output<Integration>}				.integration
+ * @return	{[Output<IntegrationResponse>]}		.integrationResponses
+ * @return	{[Output<MethodResponse>]}			.methodResponses
+ *
+ * (1) Throw errors whose message starts with '[400]', '[401]' or '[404]' to return those status codes.
+ */
+const create = ({ baseDef, restApi, lambda, alias, requestTemplate, responseTemplates, resourcePrefix, contentTypes, passthroughBehavior, apiGatewayRole, cors, protect }) => {
+	if (!lambda || !lambda.invokeArn)
+		throw new Error('Missing required argument \'lambda.invokeArn\'. This argument is required when the integration type is \'lambda\'.')
+	if (!lambda.arn)
+		throw new Error('Missing required argument \'lambda.arn\'. This argument is required when the integration type is \'lambda\'.')
+	if (alias && (!lambda.aliases || !lambda.aliases[alias]))
+		throw new Error(`Alias '${alias}' not found in 'lambda.aliases'. When 'alias' is set, the alias must be defined in the Lambda's 'aliases'.`)
+
+	const target = alias ? lambda.aliases[alias] : lambda
+
+	// Doc: https://docs.aws.amazon.com/apigateway/latest/developerguide/set-up-lambda-custom-integrations.html
+	const def = {
+		...baseDef,
+		type: 'AWS',
+		integrationHttpMethod: 'POST',
+		credentials: apiGatewayRole.arn,
+		uri: target.invokeArn,
+		passthroughBehavior: passthroughBehavior||'WHEN_NO_MATCH',
+		requestTemplates: getRequestTemplates(contentTypes, requestTemplate)
+	}
+
+	const policy = grantApiGatewayRole({ name:`lambda-invoke-for-${baseDef.name}`, apiGatewayRole, grants:[grantInvoke(lambda)], protect })
+
+	// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/integration/
+	const integration = new aws.apigateway.Integration(def.name, def, {
+		protect,
+		dependsOn: [policy]
+	})
+
+	const { integrationResponses, methodResponses } = createResponses({ 
+		restApi, 
+		resourcePrefix, 
+		resourceId:baseDef.resourceId, 
+		httpMethod:baseDef.httpMethod, 
+		integration, 
+		responses: RESPONSES.map(r => r.code === null && responseTemplates ? { ...r, responseTemplates } : r),
+		cors,
+		tags:baseDef.tags, 
+		protect 
+	})
+
+	return {
+		integration,
+		integrationResponses,
+		methodResponses
+	}
+}
+
+module.exports = {
+	create
+}
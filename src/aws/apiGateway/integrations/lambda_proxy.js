@@ -22,7 +22,8 @@ const aws = require('@pulumi/aws')
  * @param	{String}						resourcePath
  * @param	{String}						passthroughBehavior		Valid values: 'WHEN_NO_MATCH' (default), 'WHEN_NO_TEMPLATES', 'NEVER'
  * @param	{[String]}						contentTypes			Supported content types. Default ['application/json']
- * @param	{Output<Topic>}					topic
+ * @param	{Output<Lambda>}				lambda
+ * @param	{String}						alias					Optional. Name of the Lambda alias (defined in the Lambda's 'aliases') that must be invoked instead of '$LATEST'.
  * @param	{String}						region
  * @param	{Output<Role>}					apiGatewayRole
  * @param	{[type]} 						restApi
@@ -35,18 +36,22 @@ const aws = require('@pulumi/aws')
  * @return	{[Output<IntegrationResponse>]}		.integrationResponses
  * @return	{[Output<MethodResponse>]}			.methodResponses
  */
-const create = ({ baseDef, lambda, restApi, protect, resourcePath }) => {
+const create = ({ baseDef, lambda, alias, restApi, protect, resourcePath }) => {
 	if (!lambda || !lambda.invokeArn)
 		throw new Error('Missing required argument \'lambda.invokeArn\'. This argument is required when the integration type is \'lambda_proxy\'.')
 	if (!lambda || !lambda.name)
 		throw new Error('Missing required argument \'lambda.name\'. This argument is required when the integration type is \'lambda_proxy\'.')
+	if (alias && (!lambda.aliases || !lambda.aliases[alias]))
+		throw new Error(`Alias '${alias}' not found in 'lambda.aliases'. When 'alias' is set, the alias must be defined in the Lambda's 'aliases'.`)
+
+	const target = alias ? lambda.aliases[alias] : lambda
 
 	// Configure the integration
 	const def = {
 		...baseDef,
 		type: 'AWS_PROXY',
 		integrationHttpMethod: 'POST',
-		uri: lambda.invokeArn
+		uri: target.invokeArn
 	}
 
 	const permissionName = `lambda-invoke-perm-for-${baseDef.name}`
@@ -54,6 +59,7 @@ const create = ({ baseDef, lambda, restApi, protect, resourcePath }) => {
 		name: permissionName,
 		action: 'lambda:InvokeFunction',
 		function: lambda.name,
+		qualifier: alias ? target.name : undefined,
 		principal: 'apigateway.amazonaws.com',
 		sourceArn: pulumi.interpolate `${restApi.executionArn}/*/${baseDef.httpMethod}${resourcePath||'/'}`
 	})
@@ -0,0 +1,116 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree. 
+*/
+
+const pulumi = require('@pulumi/pulumi')
+const aws = require('@pulumi/aws')
+const { grantRead, grantWrite } = require('../../iam')
+const { getPathRequestParameters, getDefaultResponses, grantApiGatewayRole, createResponses, isResource } = require('./utils')
+
+const REGION = aws.config.region
+// Method's HTTP method -> S3 HTTP method
+const S3_METHODS = {
+	GET: 'GET',
+	HEAD: 'HEAD',
+	PUT: 'PUT',
+	POST: 'PUT',
+	DELETE: 'DELETE'
+}
+const READ_METHODS = ['GET', 'HEAD']
+
+/**
+ * Creates the S3 integration. 'GET' and 'HEAD' read the object, 'PUT' and 'POST' write the request's body to the object
+ * and 'DELETE' deletes it.
+ * 
+ * @param	{Object}						baseDef
+ * @param	{String}							.name,
+ * @param	{Output<String>}					.restApi			REST api ID
+ * @param	{Output<String>}					.resourceId
+ * @param	{String}							.httpMethod
+ * @param	{Object}							.tags
+ * @param	{String}						resourcePrefix
+ * @param	{[String]}						pathParameters			Path parameters of the method's resource (e.g., ['key']).
+ * @param	{String}						passthroughBehavior		Valid values: 'WHEN_NO_MATCH' (default), 'WHEN_NO_TEMPLATES', 'NEVER'
+ * @param	{Output<Bucket>}				bucket
+ * @param	{Output<String>}					.arn				Required.
+ * @param	{String}						key						Required. Object key (e.g., 'config.json' or '{folder}/{item}'). Path parameters are mapped automatically.
+ * @param	{Object}						responseTemplates		Optional. Templates of the 200 response.
+ * @param	{String}						region
+ * @param	{Output<Role>}					apiGatewayRole
+ * @param	{Object}						cors					Optional. Adds the CORS headers to the responses.
+ * @param	{Object} 						restApi
+ * @param	{String}							.name				e.g., 'my-rest-api'
+ * @param	{Output<String>}					.id
+ * 
+ * @return	{Object}						output
+ * @return	{Output<Integration>}				.integration
+ * @return	{[Output<IntegrationResponse>]}		.integrationResponses
+ * @return	{[Output<MethodResponse>]}			.methodResponses
+ */
+const create = ({ baseDef, restApi, bucket, key, responseTemplates, region, pathParameters, resourcePrefix, passthroughBehavior, apiGatewayRole, cors, protect }) => {
+	if (!bucket || !bucket.arn)
+		throw new Error('Missing required argument \'bucket.arn\'. This argument is required when the integration type is \'s3\'.')
+	if (!key)
+		throw new Error('Missing required argument \'key\'. This argument is required when the integration type is \'s3\'.')
+	const s3Method = S3_METHODS[baseDef.httpMethod]
+	if (!s3Method)
+		throw new Error(`Wrong argument exception. The 's3' integration does not support the '${baseDef.httpMethod}' method. Supported methods: ${Object.keys(S3_METHODS)}.`)
+
+	const read = READ_METHODS.indexOf(baseDef.httpMethod) >= 0
+	const _key = key.replace(/^\/+/, '')
+
+	// Doc: https://docs.aws.amazon.com/apigateway/latest/developerguide/integrating-api-with-aws-services-s3.html
+	const def = {
+		...baseDef,
+		type: 'AWS',
+		integrationHttpMethod: s3Method,
+		credentials: apiGatewayRole.arn,
+		uri: pulumi.output(bucket.arn).apply(arn => `arn:aws:apigateway:${region||REGION}:s3:path/${arn.split(':::')[1]}/${_key}`),
+		requestParameters: getPathRequestParameters(_key, pathParameters),
+		passthroughBehavior: passthroughBehavior||'WHEN_NO_MATCH'
+	}
+
+	const policy = grantApiGatewayRole({ 
+		name: `s3-${read ? 'read' : 'write'}-for-${baseDef.name}`, 
+		apiGatewayRole, 
+		grants: [read ? grantRead(bucket) : grantWrite(bucket)], 
+		protect 
+	})
+
+	// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/integration/
+	const integration = new aws.apigateway.Integration(def.name, def, {
+		protect,
+		dependsOn: [policy, ...(isResource(bucket) ? [bucket] : [])]
+	})
+
+	// Forwards the object's content type when it is read.
+	const responses = getDefaultResponses(responseTemplates).map(r => r.code == 200 && read 
+		? { ...r, responseParameters:{ 'method.response.header.Content-Type':'integration.response.header.Content-Type' } } 
+		: r)
+
+	const { integrationResponses, methodResponses } = createResponses({ 
+		restApi, 
+		resourcePrefix, 
+		resourceId:baseDef.resourceId, 
+		httpMethod:baseDef.httpMethod, 
+		integration, 
+		responses,
+		cors,
+		tags:baseDef.tags, 
+		protect 
+	})
+
+	return {
+		integration,
+		integrationResponses,
+		methodResponses
+	}
+}
+
+module.exports = {
+	create
+}
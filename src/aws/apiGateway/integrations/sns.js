@@ -8,6 +8,7 @@ LICENSE file in the root directory of this source tree.
 
 const pulumi = require('@pulumi/pulumi')
 const aws = require('@pulumi/aws')
+const { addCorsHeaders } = require('./utils')
 
 const REGION = aws.config.region
 const RESPONSE_CODES = [null,200,400,401,404] // null is the default response, which is 500
@@ -28,6 +29,7 @@ const RESPONSE_CODES = [null,200,400,401,404] // null is the default response, w
  * @param	{Output<Topic>}					topic
  * @param	{String}						region
  * @param	{Output<Role>}					apiGatewayRole
+ * @param	{Object}						cors					Optional. Adds the CORS headers to the responses.
  * @param	{[type]} 						restApi
  * @param	{String}							.name				e.g., 'my-rest-api'
  * @param	{Output<String>}					.id
@@ -38,7 +40,7 @@ const RESPONSE_CODES = [null,200,400,401,404] // null is the default response, w
  * @return	{[Output<IntegrationResponse>]}		.integrationResponses
  * @return	{[Output<MethodResponse>]}			.methodResponses
  */
-const create = ({ baseDef, restApi, topic, region, resourcePrefix, contentTypes, passthroughBehavior, apiGatewayRole, protect }) => {
+const create = ({ baseDef, restApi, topic, region, resourcePrefix, contentTypes, passthroughBehavior, apiGatewayRole, cors, protect }) => {
 	if (!topic || !topic.arn)
 		throw new Error('Missing required argument \'topic.arn\'. This argument is required when the integration type is \'sns\'.')
 
@@ -111,7 +113,7 @@ const create = ({ baseDef, restApi, topic, region, resourcePrefix, contentTypes,
 		dependsOn: [apiGatewayPolicy.roleAttachement]
 	})
 
-	const _createIntegrationResponses = _createResourceResponses({ restApi, resourcePrefix, resourceId:baseDef.resourceId, httpMethod:baseDef.httpMethod, integration, tags:baseDef.tags, protect })
+	const _createIntegrationResponses = _createResourceResponses({ restApi, resourcePrefix, resourceId:baseDef.resourceId, httpMethod:baseDef.httpMethod, integration, cors, tags:baseDef.tags, protect })
 	
 	const [integrationResponses, methodResponses] = RESPONSE_CODES.reduce((acc, code) => {
 		const resp = _createIntegrationResponses(code)
@@ -136,12 +138,13 @@ const create = ({ baseDef, restApi, topic, region, resourcePrefix, contentTypes,
  * @param	{Output<String>}		resourceId		
  * @param	{Output<Integration>}	integration		The request integration 
  * @param	{String}				httpMethod	e.g., 'GET', 'POST'
+ * @param	{Object}				cors			Optional. Returned by 'getCorsConfig'.
  * @param	{Object}				tags			
  * @param	{Boolean}				protect	
  * 		
  * @return	{Function}
  */
-const _createResourceResponses = ({ restApi, resourcePrefix, resourceId, httpMethod, integration, tags, protect }) => {
+const _createResourceResponses = ({ restApi, resourcePrefix, resourceId, httpMethod, integration, cors, tags, protect }) => {
 	if (!restApi)
 		throw new Error('Missing required argument \'restApi\'')
 	if (!restApi.id)
@@ -168,6 +171,7 @@ const _createResourceResponses = ({ restApi, resourcePrefix, resourceId, httpMet
 	 * @return {Output<IntegrationResponse>} 		.integration	
 	 */
 	return code => {
+		const [{ responseParameters, responseTemplates }] = addCorsHeaders([{}], cors)
 		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/methodresponse/
 		const methodName = _createMethodName(code)
 		const method = new aws.apigateway.MethodResponse(methodName, {
@@ -176,6 +180,9 @@ const _createResourceResponses = ({ restApi, resourcePrefix, resourceId, httpMet
 			resourceId,
 			httpMethod,
 			statusCode: `${code||500}`,
+			responseParameters: responseParameters
+				? Object.keys(responseParameters).reduce((params,k) => ({ ...params, [k]:true }), {})
+				: undefined,
 			tags: {
 				...(tags||{}),
 				Name: methodName
@@ -192,6 +199,8 @@ const _createResourceResponses = ({ restApi, resourcePrefix, resourceId, httpMet
 			httpMethod,
 			statusCode: method.statusCode,
 			selectionPattern: code ? `${code}` : undefined,
+			responseParameters,
+			responseTemplates,
 			tags: {
 				...(tags||{}),
 				Name: methodName
@@ -0,0 +1,94 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree. 
+*/
+
+const pulumi = require('@pulumi/pulumi')
+const aws = require('@pulumi/aws')
+const { grantSend } = require('../../iam')
+const { getRequestTemplates, getDefaultResponses, grantApiGatewayRole, createResponses, parseArn, isResource } = require('./utils')
+
+const REGION = aws.config.region
+
+/**
+ * Creates the SQS integration. The request's body is sent as the message's body.
+ * 
+ * @param	{Object}						baseDef
+ * @param	{String}							.name,
+ * @param	{Output<String>}					.restApi			REST api ID
+ * @param	{Output<String>}					.resourceId
+ * @param	{String}							.httpMethod
+ * @param	{Object}							.tags
+ * @param	{String}						resourcePrefix
+ * @param	{String}						passthroughBehavior		Valid values: 'WHEN_NO_MATCH' (default), 'WHEN_NO_TEMPLATES', 'NEVER'
+ * @param	{[String]}						contentTypes			Supported content types. Default ['application/json']
+ * @param	{Output<Queue>}					queue
+ * @param	{Output<String>}					.arn				Required.
+ * @param	{String}						requestTemplate			Optional. Overrides the default template (i.e., 'Action=SendMessage&MessageBody=$util.urlEncode($input.body)').
+ * @param	{Object}						responseTemplates		Optional. Templates of the 200 response (e.g., { 'application/json':'{ "ok":true }' }).
+ * @param	{String}						region
+ * @param	{Output<Role>}					apiGatewayRole
+ * @param	{Object}						cors					Optional. Adds the CORS headers to the responses.
+ * @param	{Object} 						restApi
+ * @param	{String}							.name				e.g., 'my-rest-api'
+ * @param	{Output<String>}					.id
+ * 
+ * @return	{Object}						output
+ * @return	{Output<Integration>}				.integration
+ * @return	{[Output<IntegrationResponse>]}		.integrationResponses
+ * @return	{[Output<MethodResponse>]}			.methodResponses
+ */
+const create = ({ baseDef, restApi, queue, requestTemplate, responseTemplates, region, resourcePrefix, contentTypes, passthroughBehavior, apiGatewayRole, cors, protect }) => {
+	if (!queue || !queue.arn)
+		throw new Error('Missing required argument \'queue.arn\'. This argument is required when the integration type is \'sqs\'.')
+
+	// Doc: https://docs.aws.amazon.com/apigateway/latest/developerguide/integrating-api-with-aws-services-sqs.html
+	const def = {
+		...baseDef,
+		type: 'AWS',
+		integrationHttpMethod: 'POST',
+		credentials: apiGatewayRole.arn,
+		uri: pulumi.output(queue.arn).apply(arn => {
+			const { accountId, resource:queueName } = parseArn(arn)
+			return `arn:aws:apigateway:${region||REGION}:sqs:path/${accountId}/${queueName}`
+		}),
+		requestParameters: {
+			'integration.request.header.Content-Type': '\'application/x-www-form-urlencoded\''
+		},
+		passthroughBehavior: passthroughBehavior||'WHEN_NO_MATCH',
+		requestTemplates: getRequestTemplates(contentTypes, requestTemplate || 'Action=SendMessage&MessageBody=$util.urlEncode($input.body)')
+	}
+
+	const policy = grantApiGatewayRole({ name:`sqs-send-for-${baseDef.name}`, apiGatewayRole, grants:[grantSend(queue)], protect })
+
+	// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/integration/
+	const integration = new aws.apigateway.Integration(def.name, def, {
+		protect,
+		dependsOn: [policy, ...(isResource(queue) ? [queue] : [])]
+	})
+
+	const { integrationResponses, methodResponses } = createResponses({ 
+		restApi, 
+		resourcePrefix, 
+		resourceId:baseDef.resourceId, 
+		httpMethod:baseDef.httpMethod, 
+		integration, 
+		responses: getDefaultResponses(responseTemplates),
+		cors,
+		tags:baseDef.tags, 
+		protect 
+	})
+
+	return {
+		integration,
+		integrationResponses,
+		methodResponses
+	}
+}
+
+module.exports = {
+	create
+}
@@ -0,0 +1,287 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+const pulumi = require('@pulumi/pulumi')
+const aws = require('@pulumi/aws')
+const { createGrantsPolicy } = require('../../iam')
+
+// null is the default response, which is 500. The other codes are selected by the HTTP status code returned by the AWS service.
+const DEFAULT_RESPONSES = [
+	{ code:null, statusCode:500 },
+	{ code:200, statusCode:200, selectionPattern:'200' },
+	{ code:400, statusCode:400, selectionPattern:'400' },
+	{ code:401, statusCode:401, selectionPattern:'401' },
+	{ code:404, statusCode:404, selectionPattern:'404' }
+]
+const CORS_DEFAULT_HEADERS = ['Content-Type', 'X-Amz-Date', 'Authorization', 'X-Api-Key', 'X-Amz-Security-Token']
+const CORS_ORIGIN_HEADER = 'method.response.header.Access-Control-Allow-Origin'
+const CORS_CREDENTIALS_HEADER = 'method.response.header.Access-Control-Allow-Credentials'
+
+/**
+ * Gets the default responses (i.e., 200, 400, 401, 404 and 500 for everything else).
+ *
+ * @param	{Object}	responseTemplates	Optional. Templates of the 200 response (e.g., { 'application/json':'{ "ok":true }' }).
+ *
+ * @return	{[Object]}	responses
+ */
+const getDefaultResponses = responseTemplates => DEFAULT_RESPONSES.map(r => r.code == 200 && responseTemplates ? { ...r, responseTemplates } : r)
+
+/**
+ * Gets the request templates for each supported content type.
+ *
+ * @param	{[String]}			contentTypes		Default ['application/json']
+ * @param	{Output<String>}	template
+ *
+ * @return	{Object}			requestTemplates	e.g., { 'application/json':template }
+ */
+const getRequestTemplates = (contentTypes, template) => {
+	if (!template)
+		return undefined
+	const _contentTypes = contentTypes && contentTypes.length ? contentTypes : ['application/json']
+	return _contentTypes.reduce((acc,t) => {
+		acc[t] = template
+		return acc
+	}, {})
+}
+
+/**
+ * Maps the path parameters used in an integration's URI (e.g., 'https://example.com/users/{id}') to the method's
+ * path parameters.
+ *
+ * @param	{String}	uri
+ * @param	{[String]}	pathParameters		Path parameters defined on the method's resource (e.g., ['id', 'proxy']).
+ *
+ * @return	{Object}	requestParameters	e.g., { 'integration.request.path.id':'method.request.path.id' }
+ */
+const getPathRequestParameters = (uri, pathParameters) => {
+	const params = ((typeof(uri) == 'string' ? uri : '').match(/{[^}]+}/g) || []).map(p => p.replace(/[{}+]/g, ''))
+	const unknownParam = params.find(p => (pathParameters||[]).indexOf(p) < 0)
+	if (unknownParam)
+		throw new Error(`Path parameter '{${unknownParam}}' is not defined in the resource path. Defined path parameters: ${pathParameters||[]}.`)
+
+	return params.reduce((acc,p) => {
+		acc[`integration.request.path.${p}`] = `method.request.path.${p}`
+		return acc
+	}, {})
+}
+
+/**
+ * Normalizes the 'cors' option.
+ *
+ * @param	{Boolean|Object}	cors				true means all origins with the default headers.
+ * @param	{String|[String]}		.origins		Default '*'.
+ * @param	{[String]}				.methods		Default is the methods defined on the resource.
+ * @param	{[String]}				.headers		Default 'CORS_DEFAULT_HEADERS'.
+ * @param	{Boolean}				.credentials	Default false.
+ * @param	{Number}				.maxAge			In seconds.
+ *
+ * @return	{Object}			cors				Null if CORS is disabled.
+ */
+const getCorsConfig = cors => {
+	if (!cors)
+		return null
+
+	const { origins, methods, headers, credentials, maxAge } = cors === true ? {} : cors
+	const _origins = !origins ? ['*'] : Array.isArray(origins) ? origins : [origins]
+	if (credentials && _origins.indexOf('*') >= 0)
+		throw new Error('Wrong argument exception. CORS \'credentials\' cannot be used with the \'*\' origin. Set explicit \'origins\' instead.')
+	if (maxAge !== undefined && (typeof(maxAge) != 'number' || maxAge < 0))
+		throw new Error(`Wrong argument exception. CORS 'maxAge' must be a positive number of seconds. Found ${maxAge} instead.`)
+
+	return {
+		origins: _origins,
+		methods: methods && methods.length ? methods : null,
+		headers: headers && headers.length ? headers : CORS_DEFAULT_HEADERS,
+		credentials: credentials ? true : false,
+		maxAge
+	}
+}
+
+/**
+ * Adds the 'Access-Control-Allow-Origin' header (and 'Access-Control-Allow-Credentials' if needed) to responses. When more 
+ * than one origin is allowed, a static header cannot be used. Instead, the request's origin is echoed back via a VTL
+ * override when it is in the allowed list.
+ *
+ * @param	{[Object]}	responses
+ * @param	{Object}	cors			Returned by 'getCorsConfig'.
+ *
+ * @return	{[Object]}	responses
+ */
+const addCorsHeaders = (responses, cors) => {
+	if (!cors)
+		return responses
+
+	const multiOrigins = cors.origins.length > 1
+	const corsParams = {
+		[CORS_ORIGIN_HEADER]: `'${cors.origins[0]}'`,
+		...(cors.credentials ? { [CORS_CREDENTIALS_HEADER]:'\'true\'' } : {})
+	}
+	const originTemplate = multiOrigins ? getCorsOriginTemplate(cors.origins) : null
+
+	return responses.map(r => ({
+		...r,
+		responseParameters: {
+			...(r.responseParameters||{}),
+			...corsParams
+		},
+		responseTemplates: !multiOrigins 
+			? r.responseTemplates 
+			: r.responseTemplates
+				? Object.keys(r.responseTemplates).reduce((acc,t) => {
+					acc[t] = pulumi.interpolate `${originTemplate}${r.responseTemplates[t]}`
+					return acc
+				}, {})
+				: { 'application/json':`${originTemplate}$input.body` }
+	}))
+}
+
+/**
+ * Gets the VTL snippet that echoes the request's 'Origin' header if it is in the allowed origins.
+ *
+ * @param	{[String]}	origins
+ *
+ * @return	{String}	template
+ */
+const getCorsOriginTemplate = origins => [
+	'#set($origin = $input.params("Origin"))',
+	'#if($origin == "")#set($origin = $input.params("origin"))#end',
+	`#if(${JSON.stringify(origins)}.contains($origin))#set($context.responseOverride.header.Access-Control-Allow-Origin = $origin)#end`,
+	''
+].join('\n')
+
+/**
+ * Attaches an inline policy with the integration's grants to the shared API Gateway role.
+ *
+ * @param	{String}				name
+ * @param	{Output<Role>}			apiGatewayRole
+ * @param	{[Object]}				grants					Grants created with the 'aws.iam' helpers.
+ * @param	{Boolean}				protect
+ *
+ * @return	{Output<RolePolicy>}	policy
+ */
+const grantApiGatewayRole = ({ name, apiGatewayRole, grants, protect }) => createGrantsPolicy({
+	name,
+	role: apiGatewayRole,
+	grants,
+	protect
+})
+
+/**
+ * Creates the method responses and the integration responses of an integration.
+ *
+ * @param	{Object}				restApi
+ * @param	{String}					.name				e.g., 'my-rest-api'
+ * @param	{Output<String>}			.id
+ * @param	{String}				resourcePrefix
+ * @param	{Output<String>}		resourceId
+ * @param	{String}				httpMethod				e.g., 'GET', 'POST'
+ * @param	{Output<Integration>}	integration				The request integration
+ * @param	{[Object]}				responses				Default 'getDefaultResponses()'.
+ * @param	{Number}					.code				Used to name the resources. null means the default response.
+ * @param	{Number}					.statusCode
+ * @param	{String}					.selectionPattern
+ * @param	{Object}					.responseTemplates
+ * @param	{Object}					.responseParameters	e.g., { 'method.response.header.Content-Type':'integration.response.header.Content-Type' }
+ * @param	{Object}				cors					Optional. Returned by 'getCorsConfig'. Adds the CORS headers to all the responses.
+ * @param	{Object}				tags
+ * @param	{Boolean}				protect
+ *
+ * @return	{Object}				output
+ * @return	{[Output<IntegrationResponse>]}	.integrationResponses
+ * @return	{[Output<MethodResponse>]}		.methodResponses
+ */
+const createResponses = ({ restApi, resourcePrefix, resourceId, httpMethod, integration, responses, cors, tags, protect }) => {
+	if (!restApi)
+		throw new Error('Missing required argument \'restApi\'')
+	if (!restApi.id)
+		throw new Error('Missing required argument \'restApi.id\'')
+	if (!restApi.name)
+		throw new Error('Missing required argument \'restApi.name\'')
+	if (!resourceId)
+		throw new Error('Missing required argument \'resourceId\'')
+	if (!httpMethod)
+		throw new Error('Missing required argument \'httpMethod\'')
+	if (!integration)
+		throw new Error('Missing required argument \'integration\'')
+	if (!(integration instanceof pulumi.Resource || integration instanceof pulumi.CustomResource))
+		throw new Error(`Wrong argument exception. 'integration' is expected to be of type 'pulumi.Resource' or 'pulumi.CustomResource'. Found '${typeof(integration)}' instead.`)
+
+	return addCorsHeaders(responses || getDefaultResponses(), cors).reduce((acc, { code, statusCode, selectionPattern, responseTemplates, responseParameters }) => {
+		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/methodresponse/
+		const methodName = `${resourcePrefix||''}${httpMethod.toLowerCase()}-resp-${code||'default'}-${restApi.name}`
+		const method = new aws.apigateway.MethodResponse(methodName, {
+			name: methodName,
+			restApi: restApi.id,
+			resourceId,
+			httpMethod,
+			statusCode: `${statusCode}`,
+			responseParameters: responseParameters
+				? Object.keys(responseParameters).reduce((params,k) => ({ ...params, [k]:true }), {})
+				: undefined,
+			tags: {
+				...(tags||{}),
+				Name: methodName
+			}
+		}, {
+			protect,
+			dependsOn:[integration] // Need to wait until the integration is provisioned before creating the integration response
+		})
+		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/apigateway/integrationresponse/
+		const integrationResp = new aws.apigateway.IntegrationResponse(methodName, {
+			name: methodName,
+			restApi: restApi.id,
+			resourceId,
+			httpMethod,
+			statusCode: method.statusCode,
+			selectionPattern,
+			responseTemplates,
+			responseParameters,
+			tags: {
+				...(tags||{}),
+				Name: methodName
+			}
+		}, {
+			protect,
+			dependsOn:[integration, method]
+		})
+
+		acc.methodResponses.push(method)
+		acc.integrationResponses.push(integrationResp)
+		return acc
+	}, { integrationResponses:[], methodResponses:[] })
+}
+
+/**
+ * Gets the AWS region and account ID from an ARN.
+ *
+ * @param	{String}	arn		e.g., 'arn:aws:sqs:ap-southeast-2:123456789:my-queue'
+ *
+ * @return	{Object}	parts
+ * @return	{String}		.region
+ * @return	{String}		.accountId
+ * @return	{String}		.resource	e.g., 'my-queue'
+ */
+const parseArn = arn => {
+	const [,,,region, accountId, ...resource] = (arn||'').split(':')
+	return { region, accountId, resource:resource.join(':') }
+}
+
+const isResource = r => r instanceof pulumi.Resource || r instanceof pulumi.CustomResource
+
+module.exports = {
+	getDefaultResponses,
+	getRequestTemplates,
+	getPathRequestParameters,
+	getCorsConfig,
+	addCorsHeaders,
+	getCorsOriginTemplate,
+	grantApiGatewayRole,
+	createResponses,
+	parseArn,
+	isResource
+}
@@ -0,0 +1,378 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+const fs = require('fs')
+const path = require('path')
+const pulumi = require('@pulumi/pulumi')
+const aws = require('@pulumi/aws')
+const { getPathRequestParameters } = require('./integrations/utils')
+
+const PULUMIX_INTEGRATION_KEY = 'x-pulumix-integration'
+const AWS_INTEGRATION_KEY = 'x-amazon-apigateway-integration'
+const ANY_METHOD_KEY = 'x-amazon-apigateway-any-method'
+const OPERATIONS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch']
+
+// Converts each 'x-pulumix-integration' type into an 'x-amazon-apigateway-integration' object.
+// Doc: https://docs.aws.amazon.com/apigateway/latest/developerguide/api-gateway-swagger-extensions-integration.html
+const INTEGRATIONS = {
+	lambda_proxy: ({ config, httpMethod, pathKey, location, lambdaPermissions }) => {
+		const { lambda, alias } = config || {}
+		if (!lambda || !lambda.invokeArn)
+			throw new Error(`Missing required argument '${location}.lambda_proxy.lambda.invokeArn'.`)
+		if (!lambda.name)
+			throw new Error(`Missing required argument '${location}.lambda_proxy.lambda.name'.`)
+		if (alias && (!lambda.aliases || !lambda.aliases[alias]))
+			throw new Error(`Alias '${alias}' not found in '${location}.lambda_proxy.lambda.aliases'. When 'alias' is set, the alias must be defined in the Lambda's 'aliases'.`)
+
+		const target = alias ? lambda.aliases[alias] : lambda
+		lambdaPermissions.push({ lambda, alias, target, httpMethod, pathKey })
+
+		return {
+			type: 'aws_proxy',
+			httpMethod: 'POST',
+			uri: target.invokeArn,
+			passthroughBehavior: 'when_no_match'
+		}
+	},
+	http_proxy: ({ config, pathKey, location }) => {
+		const { uri, method, vpcLinkId, timeoutInMillis } = config || {}
+		if (!uri)
+			throw new Error(`Missing required argument '${location}.http_proxy.uri'.`)
+
+		return {
+			type: 'http_proxy',
+			httpMethod: method || 'ANY',
+			uri,
+			connectionType: vpcLinkId ? 'VPC_LINK' : undefined,
+			connectionId: vpcLinkId,
+			timeoutInMillis,
+			requestParameters: getPathRequestParameters(uri, _getPathParameters(pathKey)),
+			passthroughBehavior: 'when_no_match'
+		}
+	},
+	http: ({ config, httpMethod, pathKey, location }) => {
+		const { uri, method, vpcLinkId, timeoutInMillis, requestTemplate, responseTemplates } = config || {}
+		if (!uri)
+			throw new Error(`Missing required argument '${location}.http.uri'.`)
+
+		return {
+			type: 'http',
+			httpMethod: method || httpMethod,
+			uri,
+			connectionType: vpcLinkId ? 'VPC_LINK' : undefined,
+			connectionId: vpcLinkId,
+			timeoutInMillis,
+			requestParameters: getPathRequestParameters(uri, _getPathParameters(pathKey)),
+			requestTemplates: requestTemplate ? { 'application/json':requestTemplate } : undefined,
+			passthroughBehavior: 'when_no_match',
+			responses: {
+				default: {
+					statusCode: '200',
+					responseTemplates
+				}
+			}
+		}
+	}
+}
+
+/**
+ * Loads an OpenAPI 3 document.
+ *
+ * @param	{Object|String}		openApi		Object, JSON string or path to a JSON file (relative to the current working directory).
+ *
+ * @return	{Object}			document
+ */
+const loadDocument = openApi => {
+	if (!openApi)
+		throw new Error('Missing required argument \'openApi\'.')
+
+	let document = openApi
+	if (typeof(openApi) == 'string') {
+		const text = openApi.trim()[0] == '{' ? openApi : _readFile(openApi)
+		try {
+			document = JSON.parse(text)
+		} catch(err) {
+			throw new Error(`Failed to parse the 'openApi' document. Only JSON is supported. ${err.message}`)
+		}
+	}
+
+	if (typeof(document) != 'object')
+		throw new Error(`Wrong argument exception. 'openApi' is expected to be an object, a JSON string or a path to a JSON file. Found '${typeof(document)}' instead.`)
+	if (!document.openapi || !`${document.openapi}`.startsWith('3.'))
+		throw new Error(`Wrong argument exception. 'openApi' must be an OpenAPI 3 document (i.e., 'openapi' must be '3.x.x'). Found '${document.openapi}' instead.`)
+	if (!document.paths || typeof(document.paths) != 'object')
+		throw new Error('Missing required \'paths\' in the \'openApi\' document.')
+
+	return document
+}
+
+/**
+ * Replaces all the 'x-pulumix-integration' vendor extensions with their 'x-amazon-apigateway-integration' equivalent.
+ * The supported integration types are 'lambda_proxy', 'http_proxy' and 'http', e.g.,
+ * 	paths: {
+ * 		'/users/{id}': {
+ * 			get: {
+ * 				'x-pulumix-integration': { lambda_proxy: { lambda:myLambda } }
+ * 			}
+ * 		}
+ * 	}
+ *
+ * @param	{Object|String}		openApi
+ *
+ * @return	{Object}			output
+ * @return	{Output<String>}		.body					JSON string that can be used as the RestApi's body.
+ * @return	{[Object]}				.lambdaPermissions		Lambdas that must allow API Gateway to invoke them (see 'createLambdaPermissions').
+ */
+const resolveDocument = openApi => {
+	const document = loadDocument(openApi)
+	const lambdaPermissions = []
+
+	const paths = Object.keys(document.paths).reduce((acc,pathKey) => {
+		const pathItem = document.paths[pathKey] || {}
+		acc[pathKey] = Object.keys(pathItem).reduce((ops,op) => {
+			const operation = pathItem[op]
+			const isOperation = OPERATIONS.indexOf(op) >= 0 || op == ANY_METHOD_KEY
+			if (!isOperation || !operation || !operation[PULUMIX_INTEGRATION_KEY]) {
+				ops[op] = operation
+				return ops
+			}
+
+			const location = `paths.${pathKey}.${op}.${PULUMIX_INTEGRATION_KEY}`
+			const { [PULUMIX_INTEGRATION_KEY]:pulumixIntegration, ...rest } = operation
+			const [type, ...otherTypes] = Object.keys(pulumixIntegration || {})
+			if (!type || otherTypes.length)
+				throw new Error(`Wrong argument exception. '${location}' must define exactly one integration type (e.g., { lambda_proxy:{ lambda } }).`)
+			if (!INTEGRATIONS[type])
+				throw new Error(`'${location}.${type}' integration not supported in OpenAPI documents. Supported types are ${Object.keys(INTEGRATIONS)}. Use '${AWS_INTEGRATION_KEY}' instead.`)
+
+			ops[op] = {
+				...rest,
+				[AWS_INTEGRATION_KEY]: _removeUndefined(INTEGRATIONS[type]({
+					config: pulumixIntegration[type],
+					httpMethod: op == ANY_METHOD_KEY ? 'ANY' : op.toUpperCase(),
+					pathKey,
+					location,
+					lambdaPermissions
+				}))
+			}
+			return ops
+		}, {})
+		return acc
+	}, {})
+
+	return {
+		body: pulumi.output({ ...document, paths }).apply(doc => JSON.stringify(doc)),
+		lambdaPermissions
+	}
+}
+
+/**
+ * Allows API Gateway to invoke the Lambdas referenced in an OpenAPI document.
+ * Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/permission/
+ *
+ * @param	{String}					name					RestApi's name.
+ * @param	{Output<String>}			executionArn			RestApi's execution ARN.
+ * @param	{[Object]}					lambdaPermissions		Returned by 'resolveDocument'.
+ * @param	{Boolean}					protect
+ *
+ * @return	{[Output<Permission>]}		permissions
+ */
+const createLambdaPermissions = ({ name, executionArn, lambdaPermissions, protect }) => (lambdaPermissions||[]).map(({ lambda, alias, target, httpMethod, pathKey }) => {
+	const permissionName = `lambda-invoke-perm-for-${httpMethod.toLowerCase()}${pathKey.toLowerCase().replace(/[^0-9a-z]+/g,'-')}-${name}`
+	const resourcePath = pathKey.replace(/{[^}]+}/g, '*')
+	return new aws.lambda.Permission(permissionName, {
+		action: 'lambda:InvokeFunction',
+		function: lambda.name,
+		qualifier: alias ? target.name : undefined,
+		principal: 'apigateway.amazonaws.com',
+		sourceArn: pulumi.interpolate `${executionArn}/*/${httpMethod == 'ANY' ? '*' : httpMethod}${resourcePath}`
+	}, {
+		protect
+	})
+})
+
+/**
+ * Creates the OpenAPI 3 document equivalent to the resources provisioned from a RestApi's 'resources' map.
+ *
+ * @param	{String}						name
+ * @param	{String}						description
+ * @param	{[Object]}						operations					Collected while the methods are created.
+ * @param	{String}							.path					e.g., '/users/{id}'
+ * @param	{String}							.httpMethod				e.g., 'GET'
+ * @param	{Object}							.config					Method's config from the 'resources' map.
+ * @param	{Output<Integration>}				.integration
+ * @param	{[Output<IntegrationResponse>]}		.integrationResponses
+ * @param	{[Output<MethodResponse>]}			.methodResponses
+ * @param	{Object}						authorizers					e.g., { 'check-token':Output<Authorizer> }
+ * @param	{Output<Authorizer>}			cognitoAuthorizer
+ *
+ * @return	{Output<Object>}				document
+ */
+const toOpenApi = ({ name, description, operations, authorizers, cognitoAuthorizer }) => {
+	const _authorizers = authorizers || {}
+	const authorizerNames = Object.keys(_authorizers)
+
+	return pulumi.all([
+		pulumi.all((operations||[]).map(op => pulumi.all([
+			_getIntegrationProps(op.integration),
+			pulumi.all((op.integrationResponses||[]).map(r => pulumi.all([r.statusCode, r.selectionPattern, r.responseTemplates, r.responseParameters]))),
+			pulumi.all((op.methodResponses||[]).map(r => pulumi.all([r.statusCode, r.responseParameters])))
+		]))),
+		pulumi.all(authorizerNames.map(n => pulumi.all([
+			_authorizers[n].type,
+			_authorizers[n].authorizerUri,
+			_authorizers[n].identitySource,
+			_authorizers[n].authorizerResultTtlInSeconds,
+			_authorizers[n].identityValidationExpression
+		]))),
+		cognitoAuthorizer ? cognitoAuthorizer.providerArns : null
+	]).apply(([resolvedOperations, resolvedAuthorizers, providerArns]) => {
+		const securitySchemes = {}
+		const paths = (operations||[]).reduce((acc,op,i) => {
+			const [integration, integrationResponses, methodResponses] = resolvedOperations[i]
+			const { apiKeyRequired, authorizer, headers, queryStrings } = op.config || {}
+			const pathParameters = _getPathParameters(op.path)
+
+			const security = []
+			if (apiKeyRequired) {
+				securitySchemes.api_key = { type:'apiKey', name:'x-api-key', in:'header' }
+				security.push({ api_key:[] })
+			}
+			if (authorizer && authorizer.type == 'CUSTOM' && authorizer.name)
+				security.push({ [authorizer.name]:[] })
+			if (authorizer && authorizer.type == 'COGNITO_USER_POOLS')
+				security.push({ cognito:[] })
+			if (authorizer && authorizer.type == 'AWS_IAM') {
+				securitySchemes.sigv4 = { type:'apiKey', name:'Authorization', in:'header', 'x-amazon-apigateway-authtype':'awsSigv4' }
+				security.push({ sigv4:[] })
+			}
+
+			const parameters = [
+				...pathParameters.map(p => ({ name:p, in:'path', required:true, schema:{ type:'string' } })),
+				...Object.keys(headers||{}).map(h => ({ name:h, in:'header', required:headers[h] ? true : false, schema:{ type:'string' } })),
+				...Object.keys(queryStrings||{}).map(q => ({ name:q, in:'query', required:queryStrings[q] ? true : false, schema:{ type:'string' } }))
+			]
+
+			const responses = methodResponses.length
+				? methodResponses.reduce((resps,[statusCode, responseParameters]) => {
+					resps[statusCode] = _removeUndefined({
+						description: `${statusCode} response`,
+						headers: responseParameters
+							? Object.keys(responseParameters).reduce((hs,k) => ({ ...hs, [k.replace('method.response.header.', '')]:{ schema:{ type:'string' } } }), {})
+							: undefined
+					})
+					return resps
+				}, {})
+				: { default: { description:'Default response' } }
+
+			const op_key = op.httpMethod == 'ANY' ? ANY_METHOD_KEY : op.httpMethod.toLowerCase()
+			acc[op.path] = acc[op.path] || {}
+			acc[op.path][op_key] = _removeUndefined({
+				parameters: parameters.length ? parameters : undefined,
+				security: security.length ? security : undefined,
+				responses,
+				[AWS_INTEGRATION_KEY]: _removeUndefined({
+					...integration,
+					responses: integrationResponses.length
+						? integrationResponses.reduce((resps,[statusCode, selectionPattern, responseTemplates, responseParameters]) => {
+							resps[selectionPattern || 'default'] = _removeUndefined({ statusCode, responseTemplates, responseParameters })
+							return resps
+						}, {})
+						: undefined
+				})
+			})
+			return acc
+		}, {})
+
+		authorizerNames.forEach((n,i) => {
+			const [type, authorizerUri, identitySource, authorizerResultTtlInSeconds, identityValidationExpression] = resolvedAuthorizers[i]
+			securitySchemes[n] = {
+				type: 'apiKey',
+				name: type == 'TOKEN' ? (identitySource||'').replace('method.request.header.', '') : 'Unused',
+				in: 'header',
+				'x-amazon-apigateway-authtype': 'custom',
+				'x-amazon-apigateway-authorizer': _removeUndefined({
+					type: type.toLowerCase(),
+					authorizerUri,
+					identitySource,
+					identityValidationExpression,
+					authorizerResultTtlInSeconds
+				})
+			}
+		})
+
+		if (providerArns)
+			securitySchemes.cognito = {
+				type: 'apiKey',
+				name: 'Authorization',
+				in: 'header',
+				'x-amazon-apigateway-authtype': 'cognito_user_pools',
+				'x-amazon-apigateway-authorizer': {
+					type: 'cognito_user_pools',
+					providerARNs: providerArns
+				}
+			}
+
+		return _removeUndefined({
+			openapi: '3.0.1',
+			info: _removeUndefined({
+				title: name,
+				description,
+				version: '1.0'
+			}),
+			paths,
+			components: Object.keys(securitySchemes).length ? { securitySchemes } : undefined
+		})
+	})
+}
+
+const _getIntegrationProps = integration => pulumi.all([
+	integration.type,
+	integration.integrationHttpMethod,
+	integration.uri,
+	integration.credentials,
+	integration.connectionType,
+	integration.connectionId,
+	integration.requestTemplates,
+	integration.requestParameters,
+	integration.passthroughBehavior,
+	integration.timeoutMilliseconds
+]).apply(([type, httpMethod, uri, credentials, connectionType, connectionId, requestTemplates, requestParameters, passthroughBehavior, timeoutInMillis]) => ({
+	type: (type||'').toLowerCase(),
+	httpMethod,
+	uri,
+	credentials,
+	connectionType: connectionType && connectionType != 'INTERNET' ? connectionType : undefined,
+	connectionId,
+	requestTemplates: requestTemplates && Object.keys(requestTemplates).length ? requestTemplates : undefined,
+	requestParameters: requestParameters && Object.keys(requestParameters).length ? requestParameters : undefined,
+	passthroughBehavior: passthroughBehavior ? passthroughBehavior.toLowerCase() : undefined,
+	timeoutInMillis
+}))
+
+const _getPathParameters = p => ((p||'').match(/{[^}]+}/g) || []).map(x => x.replace(/[{}+]/g, ''))
+
+const _removeUndefined = obj => Object.keys(obj).reduce((acc,k) => {
+	if (obj[k] !== undefined && obj[k] !== null)
+		acc[k] = obj[k]
+	return acc
+}, {})
+
+const _readFile = filePath => {
+	const fullPath = path.resolve(filePath)
+	if (!fs.existsSync(fullPath))
+		throw new Error(`'openApi' file '${fullPath}' not found.`)
+	return fs.readFileSync(fullPath).toString()
+}
+
+module.exports = {
+	loadDocument,
+	resolveDocument,
+	createLambdaPermissions,
+	toOpenApi
+}
@@ -9,8 +9,13 @@ const REGION = aws.config.region
 const outputSchema = {
 	deploymentId: undefined,
 	version: undefined,
+	activeVersion: undefined,
 	restApiId: undefined,
 	description: undefined,
+	rollbackTo: undefined,
+	maxHistory: undefined,
+	canaryVersion: undefined,
+	canaryDeploymentId: undefined,
 	hash: undefined,
 	history: undefined
 }
@@ -21,48 +26,94 @@ const outputSchema = {
  * @param  {String} 	.description
  * @param  {String} 	.version		
  * @param  {String} 	.restApiId
+ * @param  {String} 	.rollbackTo			Version of a previous snapshot. When set, that snapshot is used instead of 'version' (no new deployment).
+ * @param  {Number} 	.maxHistory			Max number of snapshots kept in the history. The oldest deployments are deleted.
+ * @param  {String} 	.canaryVersion		Version of the canary's snapshot. Reuses the deployment from the history or creates a new one.
  * @param  {[Object]} 	.previousSnapshots[]
  * @param  {String} 		.id
  * @param  {String} 		.version
+ * @param  {String} 		.createdAt
  * 
  * @return {Object}	output
  * @return {String}		.deploymentId
  * @return {String}		.version
+ * @return {String}		.activeVersion		Version of the 'deploymentId' (i.e., 'rollbackTo' if set, 'version' otherwise).
  * @return {String}		.description
  * @return {String}		.restApiId
- * @return {String}		.hash				SHA1 hash of the { version, description } object.
+ * @return {String}		.rollbackTo
+ * @return {Number}		.maxHistory
+ * @return {String}		.canaryVersion
+ * @return {String}		.canaryDeploymentId	Null if 'canaryVersion' is not set.
+ * @return {String}		.hash				SHA1 hash of the { version, description, rollbackTo, maxHistory, canaryVersion } object.
  * @return {String}		.history			Stringify version of the updated 'previousSnapshots' including the new 'deploymentId'.
  */
 const _createOutputs = async (props, previousSnapshots) => {
-	const { version, description, restApiId } = props || {}
+	const { version, description, restApiId, rollbackTo, maxHistory, canaryVersion } = props || {}
 	if (!restApiId)
 		throw new Error('Missing required \'restApiId\'.')
 	if (!version)
 		throw new Error('Missing required \'version\'.')
+	if (maxHistory !== undefined && maxHistory !== null && (typeof(maxHistory) != 'number' || maxHistory < 1))
+		throw new Error(`Wrong argument exception. 'maxHistory' must be a number greater than 0. Found ${maxHistory} instead.`)
 
 	const hash = _getPropsHash(props)
 	previousSnapshots = previousSnapshots || []
 	let snapshot = null
+	const activeVersion = rollbackTo || version
+	if (canaryVersion && canaryVersion == activeVersion)
+		throw new Error(`Wrong argument exception. The canary version must be different from the stage's version (${activeVersion}).`)
 
 	// If the version already exists, revert to that version
-	const previousSnapshotId = (previousSnapshots.find(d => d && d.id && d.version == version)||{}).id
+	const previousSnapshotId = (previousSnapshots.find(d => d && d.id && d.version == activeVersion)||{}).id
 	if (previousSnapshotId)
 		snapshot = await _getSnapshot({ id:previousSnapshotId, restApiId })
+	else if (rollbackTo)
+		throw new Error(`Cannot roll back to version '${rollbackTo}'. That version is not in the snapshot history. Available versions: ${previousSnapshots.map(s => s.version).join(', ')||'none'}.`)
 	else {
 		snapshot = await _createSnapshot({ restApiId, description:`version:${version}${description ? ` - ${description}` : ''}` })
 		previousSnapshots.push({
 			id: snapshot.id,
-			version
+			version,
+			createdAt: snapshot.createdDate ? new Date(snapshot.createdDate).toISOString() : new Date().toISOString()
 		})
 	}
 
+	// The canary uses the same history so that promoting it (i.e., setting 'version' to the 'canaryVersion') does not redeploy.
+	let canarySnapshot = null
+	if (canaryVersion) {
+		const canarySnapshotId = (previousSnapshots.find(d => d && d.id && d.version == canaryVersion)||{}).id
+		if (canarySnapshotId)
+			canarySnapshot = await _getSnapshot({ id:canarySnapshotId, restApiId })
+		else {
+			canarySnapshot = await _createSnapshot({ restApiId, description:`version:${canaryVersion} (canary)${description ? ` - ${description}` : ''}` })
+			previousSnapshots.push({
+				id: canarySnapshot.id,
+				version: canaryVersion,
+				createdAt: canarySnapshot.createdDate ? new Date(canarySnapshot.createdDate).toISOString() : new Date().toISOString()
+			})
+		}
+	}
+
+	if (maxHistory && previousSnapshots.length > maxHistory)
+		previousSnapshots = await _pruneSnapshots({ 
+			restApiId, 
+			snapshots:previousSnapshots, 
+			maxHistory, 
+			activeIds:[snapshot.id, ...(canarySnapshot ? [canarySnapshot.id] : [])] 
+		})
+
 	return {
 		deploymentId: snapshot.id, 
 		version,
+		activeVersion,
 		description: description||null,
 		restApiId: restApiId||null,
+		rollbackTo: rollbackTo||null,
+		maxHistory: maxHistory||null,
+		canaryVersion: canaryVersion||null,
+		canaryDeploymentId: canarySnapshot ? canarySnapshot.id : null,
 		hash,
-		history:JSON.stringify(previousSnapshots.map(s => ([s.id,s.version])))
+		history:JSON.stringify(previousSnapshots.map(s => ([s.id,s.version,s.createdAt||null])))
 	}
 }
 
@@ -73,15 +124,20 @@ const snapshotProvider = {
 	 * @param  {String} 	.description
 	 * @param  {String} 	.version	
 	 * @param  {String} 	.restApiId
+	 * @param  {String} 	.rollbackTo
+	 * @param  {Number} 	.maxHistory
+	 * @param  {String} 	.canaryVersion
 	 * 
 	 * @return {Object} output
 	 * @return {String} 	.id
 	 * @return {Object} 	.outs
 	 * @return {String}			.deploymentId
 	 * @return {String}			.version
+	 * @return {String}			.activeVersion
+	 * @return {String}			.canaryDeploymentId
 	 * @return {String}			.description
 	 * @return {String}			.restApiId
-	 * @return {String}			.hash				SHA1 hash of the { version, description } object.
+	 * @return {String}			.hash				SHA1 hash of the { version, description, rollbackTo, maxHistory, canaryVersion } object.
 	 * @return {String}			.history			Stringify version of the updated 'previousSnapshots' including the new 'deploymentId'.
 	 */
 	async create(props) {
@@ -102,12 +158,15 @@ const snapshotProvider = {
 	 * @param	{String}		.version
 	 * @param	{String}		.description
 	 * @param	{String}		.restApiId
-	 * @param	{String}		.hash				SHA1 hash of the { version, description } object.
+	 * @param	{String}		.hash				SHA1 hash of the { version, description, rollbackTo, maxHistory, canaryVersion } object.
 	 * @param	{String}		.history			Stringify version of the updated 'previousSnapshots' including the new 'deploymentId'.
 	 * @param	{Object}	props
 	 * @param	{String} 		.version	
 	 * @param	{String}		.description
 	 * @param	{String}		.restApiId
+	 * @param	{String}		.rollbackTo
+	 * @param	{Number}		.maxHistory
+	 * @param	{String}		.canaryVersion
 	 * 
 	 * @return	{Object}	output
 	 * @return	{Boolean}		.changes
@@ -134,18 +193,23 @@ const snapshotProvider = {
 	 * @param	{String} 		.version	
 	 * @param	{String}		.description
 	 * @param	{String}		.restApiId
+	 * @param	{String}		.rollbackTo
+	 * @param	{Number}		.maxHistory
+	 * @param	{String}		.canaryVersion
 	 *
 	 * @return	{Object}	output
 	 * @return	{Object} 		.outs
 	 * @return	{String}			.deploymentId
 	 * @return	{String}			.version
+	 * @return	{String}			.activeVersion
+	 * @return	{String}			.canaryDeploymentId
 	 * @return	{String}			.description
 	 * @return	{String}			.restApiId
-	 * @return	{String}			.hash				SHA1 hash of the { version, description } object.
+	 * @return	{String}			.hash				SHA1 hash of the { version, description, rollbackTo, maxHistory, canaryVersion } object.
 	 * @return	{String}			.history			Stringify version of the updated 'previousSnapshots' including the new 'deploymentId'.
 	 */
 	async update(id, currentOuts, props) {
-		const previousSnapshots = _parseHistory((currentOuts||{}).history)
+		const previousSnapshots = parseHistory((currentOuts||{}).history)
 		const outs = await _createOutputs(props, previousSnapshots)
 		outs.restApiId = currentOuts.restApiId
 
@@ -186,10 +250,23 @@ const _getHash = obj => {
  * @param  {Object} obj
  * @param  {String} 	.version
  * @param  {String} 	.description
+ * @param  {String} 	.rollbackTo
+ * @param  {Number} 	.maxHistory
+ * @param  {String} 	.canaryVersion
  * 
  * @return {String} hash
  */
-const _getPropsHash = obj => _getHash({ version:(obj||{}).version, description:(obj||{}).description })
+const _getPropsHash = obj => {
+	const { version, description, rollbackTo, maxHistory, canaryVersion } = obj || {}
+	// 'rollbackTo', 'maxHistory' and 'canaryVersion' are only added when set so that existing snapshots keep the same hash.
+	return _getHash({ 
+		version, 
+		description, 
+		...(rollbackTo ? { rollbackTo } : {}), 
+		...(maxHistory ? { maxHistory } : {}), 
+		...(canaryVersion ? { canaryVersion } : {}) 
+	})
+}
 
 /**
  * Creates a new API Gateway snapshot, aka deployment in the broken AWS jargon.
@@ -282,14 +359,89 @@ const _getSnapshot = async ({id, restApiId}) => {
 	throw new Error('Max amount of API Gateway \'getDeployment\' retries exceeded (max 10).')
 }
 
-const _parseHistory = history => {
+/**
+ * Deletes the oldest snapshots (aka API Gateway Deployments) so that the history does not exceed 'maxHistory'. The active
+ * snapshots (i.e., the stage's and the canary's) are never deleted. Snapshots that are still used by another stage cannot be deleted and are kept in the history.
+ * 
+ * @param  {String}		restApiId
+ * @param  {[Object]}	snapshots
+ * @param  {Number}		maxHistory
+ * @param  {[String]}	activeIds
+ * 
+ * @return {[Object]}	snapshots		Remaining snapshots.
+ */
+const _pruneSnapshots = async ({ restApiId, snapshots, maxHistory, activeIds }) => {
+	const remaining = [...snapshots]
+	const candidates = snapshots.filter(s => activeIds.indexOf(s.id) < 0)
+	let excess = remaining.length - maxHistory
+	for (let i=0;i<candidates.length && excess > 0;i++) {
+		const deleted = await _deleteSnapshot({ id:candidates[i].id, restApiId })
+		if (deleted) {
+			remaining.splice(remaining.findIndex(s => s.id == candidates[i].id), 1)
+			excess--
+		}
+	}
+
+	return remaining
+}
+
+/**
+ * Deletes an API Gateway snapshot, aka deployment in the broken AWS jargon.
+ * 
+ * @param  {String}		id
+ * @param  {String}		restApiId
+ * 
+ * @return {Boolean}	deleted			False if the deployment is still used by a stage.
+ */
+const _deleteSnapshot = async ({ id, restApiId }) => {
+	const apigateway = new AWS.APIGateway({ region:REGION })
+
+	let retryCount = 0
+	while (retryCount < 10) {
+		// Doc: https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/APIGateway.html#deleteDeployment-property
+		const [error] = await apigateway.deleteDeployment({
+			deploymentId:id,
+			restApiId,
+		}).promise().then(d => ([null, d])).catch(err => ([err,null]))
+
+		if (error) {
+			const tooManyRequests = /oo many requests/.test((error.message||'').toLowerCase())
+			if (tooManyRequests) {
+				await delay([1000, 3000])
+				retryCount++
+			} else if (error.code == 'NotFoundException')
+				return true
+			else if (error.code == 'BadRequestException') // Active stages are pointing to this deployment.
+				return false
+			else
+				throw error 
+		} else
+			return true
+	}
+
+	throw new Error('Max amount of API Gateway \'deleteDeployment\' retries exceeded (max 10).')
+}
+
+/**
+ * Parses the 'history' output of a Snapshot. 
+ * 
+ * @param  {String}		history			e.g., '[["abc123","1.0.0","2024-03-01T01:02:03.000Z"],["def456","1.1.0",null]]'
+ * 
+ * @return {[Object]}	snapshots
+ * @return {String}			.id			Deployment ID.
+ * @return {String}			.version
+ * @return {String}			.createdAt	ISO date. Null for snapshots created before that date was tracked.
+ */
+const parseHistory = history => {
 	if (!history)
 		throw new Error('Missing required argument \'history\'')
-	const array = JSON.parse(history)
-	return array.map(([id,version]) => ({ id, version }))
-
+	const array = typeof(history) == 'string' ? JSON.parse(history) : history
+	if (!Array.isArray(array))
+		throw new Error(`Wrong argument exception. 'history' is expected to be a stringified array. Found ${typeof(array)} instead.`)
+	return array.map(([id,version,createdAt]) => ({ id, version, createdAt:createdAt||null }))
 }
 
 module.exports = {
-	Snapshot
+	Snapshot,
+	parseHistory
 }
\ No newline at end of file
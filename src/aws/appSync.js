@@ -10,6 +10,7 @@ const pulumi = require('@pulumi/pulumi')
 const aws = require('@pulumi/aws')
 const { parse } = require('graphql')
 const { keepResourcesOnly } = require('../utils')
+const { createGrantsPolicy } = require('./iam')
 
 class Api extends aws.appsync.GraphQLApi {
 	/**
@@ -17,13 +18,15 @@ class Api extends aws.appsync.GraphQLApi {
 	 * Resources:
 	 * 	1. IAM role.
 	 * 	2. (Optional) IAM Policy with the 'lambda:InvokeFunction' permission if 'resolver.lambdaArns' is defined.
-	 * 	2. GraphQL API.
+	 * 	3. (Optional) Inline IAM policy if 'grants' is defined.
+	 * 	4. GraphQL API.
 	 * 	
 	 * @param  {String}				name	
 	 * @param  {String}				description		
 	 * @param  {String}				schema							GraphQL schema	
 	 * @param  {Object}				resolver
 	 * @param  {[Output<String>]}		.lambdaArns					Lambda ARNs. This is needed to create 'invoke' policies
+	 * @param  {[Object]}			grants							Least-privilege grants created with the 'aws.iam' helpers (e.g., [iam.grantInvoke(lambda)]).
 	 * @param  {Object}				authConfig						Default { apiKey:true }
 	 * @param  {Boolean}				.apiKey						Default true if none of the other methods are enabled.
 	 * @param  {Boolean}				.iam
@@ -50,13 +53,14 @@ class Api extends aws.appsync.GraphQLApi {
 	 * @return {Output<String>}				.REALTIME			Websocket endpoint for subscriptions (e.g., 'wss://1234.appsync-realtime-api.ap-southeast-2.amazonaws.com/graphql')
 	 * @return {Output<Policy>}			.invokeLambdaPolicy	
 	 * @return {Output<Role>}			.role		
+	 * @return {Output<RolePolicy>}		.grantsPolicy					Null if 'grants' is not set.
 	 *
 	 * (1) AuthConfig:
 	 * 		- type: Default ['API_KEY']. Valid values: 'API_KEY', 'AWS_IAM', 'AMAZON_COGNITO_USER_POOLS', 'OPENID_CONNECT' 
 	 * 		- openidConnectConfig: https://www.pulumi.com/docs/reference/pkg/aws/appsync/graphqlapi/#graphqlapiadditionalauthenticationprovideropenidconnectconfig
 	 * 		- userPoolConfig: https://www.pulumi.com/docs/reference/pkg/aws/appsync/graphqlapi/#graphqlapiadditionalauthenticationprovideruserpoolconfig 		
 	 */
-	constructor({ name, description, schema, resolver, authConfig, cloudwatch, tags, parent, dependsOn, protect }) {
+	constructor({ name, description, schema, resolver, grants, authConfig, cloudwatch, tags, parent, dependsOn, protect }) {
 		tags = tags || {}
 		dependsOn = dependsOn || []
 		
@@ -85,6 +89,10 @@ class Api extends aws.appsync.GraphQLApi {
 			}
 		})
 
+		const grantsPolicy = createGrantsPolicy({ name:canonicalName, role:appSyncRole, grants, protect })
+		if (grantsPolicy)
+			dependsOn.push(grantsPolicy)
+
 		// cloudwatch
 		let logConfig
 		if (cloudwatch) {
@@ -151,6 +159,7 @@ class Api extends aws.appsync.GraphQLApi {
 
 		this.invokeLambdaPolicy = asyncData.invokeLambdaPolicy
 		this.role = appSyncRole
+		this.grantsPolicy = grantsPolicy
 	}
 }
 
@@ -11,6 +11,7 @@ LICENSE file in the root directory of this source tree.
 
 const aws = require('@pulumi/aws')
 const { keepResourcesOnly } = require('../utils')
+const { createGrantsPolicy } = require('./iam')
 
 class EC2 extends aws.ec2.Instance {
 	/**
@@ -18,10 +19,11 @@ class EC2 extends aws.ec2.Instance {
 	 * Resources:
 	 * 	1. IAM role.
 	 * 	2. (Optional) Attach the 'AmazonSSMManagedInstanceCore' AWS managed policies if 'ssm' is set.
-	 * 	3. Instance profile to attach the IAM role to the EC2 instance.
-	 * 	4. (Optional) Security Group to allow SSM access if 'ssm' is set.
-	 * 	5. (Optional) KeyPair is 'publicKey' is provided.
-	 * 	6. EC2 instance.
+	 * 	3. (Optional) Inline IAM policy if 'grants' is defined.
+	 * 	4. Instance profile to attach the IAM role to the EC2 instance.
+	 * 	5. (Optional) Security Group to allow SSM access if 'ssm' is set.
+	 * 	6. (Optional) KeyPair is 'publicKey' is provided.
+	 * 	7. EC2 instance.
 	 * 
 	 * @param  {String}				name			
 	 * @param  {String}				ami								e.g., 'ami-02dc2e45afd1dc0db' (Amazon Linux 2 for 64-bits ARM)
@@ -35,6 +37,7 @@ class EC2 extends aws.ec2.Instance {
 	 * @param  {Object}				ssm								Default null. When set, the AWS managed policy 'AmazonSSMManagedInstanceCore' is attached to the instance to allow SSM to connect.
 	 * @param  {string}					.vpcId							
 	 * @param  {string}					.vpcDefaultSecurityGroupId	The EC2 instance needs to be configured with a security group that can talk to this SG.
+	 * @param  {[Object]}			grants							Least-privilege grants created with the 'aws.iam' helpers (e.g., [iam.grantRead(bucket)]).
 	 * @param  {Object}				tags
 	 * @param  {Output<Resource>}	parent
 	 * @param  {Output<[Resource]>}	dependsOn
@@ -57,8 +60,10 @@ class EC2 extends aws.ec2.Instance {
 	 * @return {Output<[String]>}			.arn
 	 * @return {Output<[String]>}			.name
 	 * @return {Output<[String]>}			.keyPairId
+	 * @return {Output<Role>}			.role
+	 * @return {Output<RolePolicy>}		.grantsPolicy				Null if 'grants' is not set.
 	 */
-	constructor({ name, ami, instanceType, availabilityZone, subnetId, vpcSecurityGroupIds, userData, userDataBase64, publicKey, ssm, tags, protect, parent, dependsOn }) {
+	constructor({ name, ami, instanceType, availabilityZone, subnetId, vpcSecurityGroupIds, userData, userDataBase64, publicKey, ssm, grants, tags, protect, parent, dependsOn }) {
 		if (!name)
 			throw new Error('Missing required \'name\' argument.')
 		if (ssm) {
@@ -105,6 +110,10 @@ class EC2 extends aws.ec2.Instance {
 		if (ssmAttachedPolicy)
 			dependsOn.push(ssmAttachedPolicy)
 
+		const grantsPolicy = createGrantsPolicy({ name:roleName, role, grants, protect })
+		if (grantsPolicy)
+			dependsOn.push(grantsPolicy)
+
 		// IAM instance profile. We need this to associated an IAM role to an EC2 instance.
 		// Doc: https://www.pulumi.com/docs/reference/pkg/aws/iam/instanceprofile/
 		const iamInstanceProfile = new aws.iam.InstanceProfile(`${name}-instanceprofile`, {
@@ -175,6 +184,8 @@ class EC2 extends aws.ec2.Instance {
 		})
 
 		this.keyPair = keyPair
+		this.role = role
+		this.grantsPolicy = grantsPolicy
 	}
 }
 
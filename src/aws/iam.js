@@ -0,0 +1,185 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+const pulumi = require('@pulumi/pulumi')
+const aws = require('@pulumi/aws')
+
+/**
+ * Grants are plain objects that describe a scoped IAM statement. They are passed to components via their 'grants'
+ * option (e.g., new Lambda({ ..., grants:[grantRead(bucket), grantPublish(topic)] })) which merges them into a single
+ * inline policy attached to the component's role. Custom grants can be created with the same shape:
+ * 	{
+ * 		actions: ['dynamodb:GetItem'],
+ * 		resources: [table.arn]
+ * 	}
+ *
+ * All the 'grantXxx' functions accept either the resource (i.e., an object with an 'arn' property) or its ARN.
+ */
+
+/**
+ * Grants read access to an S3 bucket's objects.
+ *
+ * @param  {Output<Bucket>}		bucket
+ * @param  {String}				prefix		Optional. Restricts 'GetObject' to the keys under that prefix (e.g., 'uploads/').
+ *
+ * @return {Object}				grant
+ */
+const grantRead = (bucket, prefix) => {
+	const arn = _getArn(bucket, 'grantRead')
+	return {
+		actions: ['s3:GetObject', 's3:ListBucket', 's3:GetBucketLocation'],
+		resources: [arn, pulumi.interpolate`${arn}/${prefix||''}*`]
+	}
+}
+
+/**
+ * Grants write access to an S3 bucket's objects.
+ *
+ * @param  {Output<Bucket>}		bucket
+ * @param  {String}				prefix		Optional. Restricts the access to the keys under that prefix (e.g., 'uploads/').
+ *
+ * @return {Object}				grant
+ */
+const grantWrite = (bucket, prefix) => {
+	const arn = _getArn(bucket, 'grantWrite')
+	return {
+		actions: ['s3:PutObject', 's3:DeleteObject'],
+		resources: [pulumi.interpolate`${arn}/${prefix||''}*`]
+	}
+}
+
+/**
+ * Grants permission to publish to an SNS topic.
+ *
+ * @param  {Output<Topic>}		topic
+ *
+ * @return {Object}				grant
+ */
+const grantPublish = topic => ({
+	actions: ['sns:Publish'],
+	resources: [_getArn(topic, 'grantPublish')]
+})
+
+/**
+ * Grants permission to send messages to an SQS queue.
+ *
+ * @param  {Output<Queue>}		queue
+ *
+ * @return {Object}				grant
+ */
+const grantSend = queue => ({
+	actions: ['sqs:SendMessage', 'sqs:GetQueueUrl', 'sqs:GetQueueAttributes'],
+	resources: [_getArn(queue, 'grantSend')]
+})
+
+/**
+ * Grants permission to invoke a Lambda, incl. its versions and aliases.
+ *
+ * @param  {Output<Function>}	lambda
+ *
+ * @return {Object}				grant
+ */
+const grantInvoke = lambda => {
+	const arn = _getArn(lambda, 'grantInvoke')
+	return {
+		actions: ['lambda:InvokeFunction'],
+		resources: [arn, pulumi.interpolate`${arn}:*`]
+	}
+}
+
+/**
+ * Grants permission to read a Secrets Manager secret.
+ *
+ * @param  {Output<Secret>}		secret
+ *
+ * @return {Object}				grant
+ */
+const grantSecretRead = secret => ({
+	actions: ['secretsmanager:GetSecretValue', 'secretsmanager:DescribeSecret'],
+	resources: [_getArn(secret, 'grantSecretRead')]
+})
+
+/**
+ * Grants permission to post to, get and delete the connections of a WebSocket API (i.e., '@connections' callback API).
+ *
+ * @param  {Output<Api>}		api			Object with an 'executionArn' or the execution ARN.
+ * @param  {String}				stage		Optional. Restricts the access to a single stage (e.g., 'prod'). Default is all the stages.
+ *
+ * @return {Object}				grant
+ */
+const grantManageConnections = (api, stage) => {
+	if (!api)
+		throw new Error('Missing required resource in \'grantManageConnections\'.')
+	const executionArn = typeof(api) == 'string' ? api : api.executionArn
+	if (!executionArn)
+		throw new Error('Missing required \'executionArn\' in the resource passed to \'grantManageConnections\'.')
+	return {
+		actions: ['execute-api:ManageConnections'],
+		resources: [pulumi.interpolate`${executionArn}/${stage||'*'}/*/@connections/*`]
+	}
+}
+
+/**
+ * Creates a single inline policy that contains all the grants and attaches it to a role.
+ * Doc: https://www.pulumi.com/registry/packages/aws/api-docs/iam/rolepolicy/
+ *
+ * @param  {String}				name
+ * @param  {Output<Role>}		role
+ * @param  {[Object]}			grants
+ * @param  {[String]}				.actions
+ * @param  {[Output<String>]}		.resources
+ * @param  {Boolean}			protect
+ *
+ * @return {Output<RolePolicy>}	policy			Null if there are no grants.
+ */
+const createGrantsPolicy = ({ name, role, grants, protect }) => {
+	if (!name)
+		throw new Error('Missing required argument \'name\'.')
+	if (!role)
+		throw new Error('Missing required argument \'role\'.')
+	if (!grants || !grants.length)
+		return null
+
+	const invalidGrantIndex = grants.findIndex(g => !g || !g.actions || !g.actions.length || !g.resources || !g.resources.length)
+	if (invalidGrantIndex >= 0)
+		throw new Error(`Wrong argument exception. 'grants[${invalidGrantIndex}]' in ${name} must define both 'actions' and 'resources'.`)
+
+	return new aws.iam.RolePolicy(`${name}-grants`, {
+		role: role.id,
+		policy: pulumi.all(grants.map(g => pulumi.all(g.resources))).apply(resources => JSON.stringify({
+			Version: '2012-10-17',
+			Statement: grants.map((g, i) => ({
+				Effect: 'Allow',
+				Action: g.actions,
+				Resource: resources[i]
+			}))
+		}))
+	}, {
+		protect
+	})
+}
+
+const _getArn = (resource, fnName) => {
+	if (!resource)
+		throw new Error(`Missing required resource in '${fnName}'.`)
+	const arn = typeof(resource) == 'string' ? resource : resource.arn
+	if (!arn)
+		throw new Error(`Missing required 'arn' in the resource passed to '${fnName}'.`)
+	return arn
+}
+
+module.exports = {
+	grantRead,
+	grantWrite,
+	grantPublish,
+	grantSend,
+	grantInvoke,
+	grantSecretRead,
+	grantManageConnections,
+	createGrantsPolicy
+}
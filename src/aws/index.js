@@ -13,6 +13,7 @@ module.exports = {
 	...require('./ec2'),
 	ecr: require('./ecr'),
 	efs: require('./efs'),
+	iam: require('./iam'),
 	...require('./lambda'),
 	rds: require('./rds'),
 	s3: require('./s3'),
@@ -22,5 +23,6 @@ module.exports = {
 	sqs: require('./sqs'),
 	ssm: require('./ssm'),
 	stepFunction: require('./stepFunction'),
-	...require('./vpc')
+	...require('./vpc'),
+	waf: require('./waf')
 }
\ No newline at end of file
@@ -0,0 +1,1932 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree. 
+*/
+
+// Version: 0.1.1
+
+const pulumi = require('@pulumi/pulumi')
+const aws = require('@pulumi/aws')
+const fs = require('fs')
+const path = require('path')
+const { Image } = require('../ecr')
+const { error: { mergeErrors } } = require('puffy')
+const { unwrap, keepResourcesOnly } = require('../../utils')
+const { buildArchive, buildLayerArchive } = require('./utils')
+const { SecurityGroup } = require('../securityGroup')
+const { createLogFilters } = require('../utils')
+const { createGrantsPolicy } = require('../iam')
+const sns = require('../sns')
+
+const VALID_EVENT_SOURCES = ['schedule', 'eventbridge', 'sqs', 'dynamodb', 'kinesis', 'msk', 'kafka', 'aws_mq', 'sns']
+// Event sources provisioned with an EventSourceMapping. 'prop' is the event source's property that holds the source resource
+// and 'arnProp' is the name of that resource's property that must be used as the mapping's 'eventSourceArn'.
+const EVENT_SOURCE_MAPPINGS = {
+	sqs: { prop:'queue', arnProp:'arn' },
+	dynamodb: { prop:'table', arnProp:'streamArn' },
+	kinesis: { prop:'stream', arnProp:'arn' },
+	msk: { prop:'cluster', arnProp:'arn' },
+	aws_mq: { prop:'broker', arnProp:'arn' },
+	kafka: { prop:null }
+}
+const STREAM_EVENT_SOURCES = ['dynamodb', 'kinesis', 'msk', 'kafka'] // Those event sources require a 'startingPosition'
+const FUNCTION_URL_AUTH_TYPES = ['AWS_IAM', 'NONE']
+const TRACING_MODES = ['Active', 'PassThrough']
+const SNAPSTART_RUNTIMES = /^(java(1[1-9]|[2-9]\d)|python3\.(1[2-9]|[2-9]\d)|dotnet([8-9]|\d{2}))/ // Java 11+, Python 3.12+ and .NET 8+
+// Schedule options only supported by EventBridge Scheduler (i.e., 'scheduler' is true).
+const SCHEDULER_ONLY_OPTIONS = ['timezone', 'flexibleWindow', 'startDate', 'endDate', 'group']
+// IAM action required to send records to a destination based on the service found in the destination's ARN.
+const DESTINATION_ACTIONS = {
+	sqs: 'sqs:SendMessage',
+	sns: 'sns:Publish',
+	lambda: 'lambda:InvokeFunction',
+	events: 'events:PutEvents'
+}
+
+class Lambda extends aws.lambda.Function {
+	/**
+	 * Creates an AWS Lambda. Doc: https://www.pulumi.com/docs/reference/pkg/aws/lambda/function/
+	 * Resources:
+	 * 	1. IAM role
+	 * 	2. (Optional) Log group if 'cloudwatch' is true.
+	 * 	3. (Optional) Up to 2 policies which are attached to the IAM role:
+	 * 		- If the Lambda is configured in a VPC (i.e., 'vpcConfig' exists), then the AWS managed policy 'AWSLambdaVPCAccessExecutionRole' is added. This policy automatically grant 'send-to' cloudwatch access.
+	 * 		- If 'cloudwatch' is true, then the AWS managed policy 'AWSLambdaBasicExecutionRole' is added.
+	 * 		- If 'fileSystemConfig' is configured, then the AWS managed policy 'AmazonElasticFileSystemClientFullAccess' is added.
+	 * 		- If 'eventSources' contains 'sqs', 'dynamodb', 'kinesis' or 'msk' sources, then their AWS managed execution role policy is added.
+	 * 		- If 'eventSources' contains 'kafka' or 'aws_mq' sources, then a new policy that grants access to their broker, secrets and VPC is added.
+	 * 		- If 'async' defines destinations, then a new policy that grants access to those destinations is added.
+	 * 		- If 'tracing' is set, then the AWS managed policy 'AWSXRayDaemonWriteAccess' is added.
+	 * 		- If 'deadLetterQueue' is set, then a new policy that grants 'sqs:SendMessage' on that queue is added.
+	 * 		- If 'grants' is set, then a single inline policy that contains all the grants is added.
+	 * 	4. Lambda.
+	 * 	5. (Optional) Aliases (incl. their provisioned concurrency config) if 'aliases' is set.
+	 * 	6. (Optional) Function URL if 'functionUrl' is set. When its 'authType' is 'NONE', the public invoke permissions are also added.
+	 * 	7. (Optional) Asynchronous invocation config if 'async' is set.
+	 * 	8. (Optional) Event source mappings for the 'sqs', 'dynamodb', 'kinesis', 'msk', 'kafka' and 'aws_mq' event sources.
+	 * 	9. (Optional) CloudWatch alarms and dashboard if 'monitoring' is set.
+	 * 	10. (Optional) EventBridge rule, target and invoke permission for each 'eventbridge' event source.
+	 * 	
+	 * @param  {String}						name	
+	 * @param  {String}						description		
+	 * @param  {Object}						environment							Key value pairs for env. variables (e.g., { hello:'WORLD' })
+	 * @param  {String}						architecture						Valid values: 'x86_64', 'arm64'(default) WARNING (3)
+	 * @param  {Output<Object>}				fn
+	 * @param  {Output<String>}					.dir							The absolute path to the local folder containing the Lambda code that will be zipped.
+	 * @param  {Output<String>}					.type							Valid values: 'zip' (default), 'image' (1)											
+	 * @param  {Output<String>}					.runtime						Only required if 'fn.type' is 'zip'. e.g., 'nodejs14.x'. All runtimes: https://docs.aws.amazon.com/lambda/latest/dg/API_CreateFunction.html#SSS-CreateFunction-request-Runtime
+	 * @param  {Output<Object>}					.args							Only valid when 'fn.type' is 'image' (1). This is what would be passed in the --build-arg option of `docker build`.
+	 * @param  {Output<Object>}					.env							Environment variables for that fn. It works a bit differently when 'fn.type' is 'image' (2).
+	 * @param  {Output<Boolean|Object>}			.build							Only valid when 'fn.type' is 'zip'. Default false. When set, 'fn.dir' is built into a deterministic zip (9).
+	 * @param  {Boolean}							.install					Default true. Runs 'npm ci --omit=dev' (or 'npm install') when 'fn.dir' contains a 'package.json'.
+	 * @param  {Boolean|Object}						.bundle						Default false. Bundles the code with esbuild instead of installing the dependencies.
+	 * @param  {String}									.entryPoint				Default 'index.js'.
+	 * @param  {[String]}								.external				e.g., ['@aws-sdk/*']
+	 * @param  {Boolean}								.minify					Default false.
+	 * @param  {Boolean}								.sourcemap				Default false.
+	 * @param  {[String]}							.ignore						Glob patterns relative to 'fn.dir' (e.g., ['docs/**']). Dotfiles and tests are always ignored.
+	 * @param  {String}								.outDir						Folder where the archives are built and cached. Default is a 'pulumix-lambda-builds' folder in the OS temp folder.
+	 * @param  {[Output<String>]}			layers								Layer ARNS.
+	 * @param  {Number}						timeout								Unit seconds. Default is 3 and max is 900 (15 minutes).
+	 * @param  {Number}						memorySize							Unit is MB. Default is 128 and max is 10,240
+	 * @param  {Number|Object}				ephemeralStorage					Unit is MB. Size of the '/tmp' folder. Default is 512 and max is 10,240. Also accepts the native { size } object.
+	 * @param  {Number}						reservedConcurrency					Number of concurrent executions reserved for this Lambda. 0 disables the Lambda.
+	 * @param  {Boolean|String}				tracing								Default false. X-Ray tracing. Valid values: true (i.e., 'Active'), 'Active', 'PassThrough'
+	 * @param  {Boolean|Object}				snapStart							Default false. Only valid for Java 11+, Python 3.12+ and .NET 8+ runtimes. True enables SnapStart on published versions (forces 'publish' to true). Also accepts the native { applyOn } object.
+	 * @param  {Output<Queue>}				deadLetterQueue						Queue that receives the events of failed asynchronous invocations. Can be any object with an 'arn' property.
+	 * @param  {String}						handler								Default is 'index.handler'.
+	 * @param  {[Output<Policy>]}			policies							Policies to attach to the lambda role.
+	 * @param  {Output<Object>}				vpcConfig
+	 * @param  {Output<String>}					.vpcId							Only required if 'vpcConfig.allResponsesAllowed' is true.
+	 * @param  {Output<[Subnet]>}				.subnets
+	 * @param  {Output<[String]>}				.subnetIds
+	 * @param  {Output<[SecurityGroup]>}		.securityGroups
+	 * @param  {Output<[String]>}				.securityGroupIds				
+	 * @param  {Boolean}						.allResponsesAllowed			Default false. When true, a new security group with an egress allowing all traffic is created and associted with this lambda.
+	 * @param  {[Object]}					grants								Least-privilege grants created with the 'aws.iam' helpers (e.g., [iam.grantRead(bucket)]).
+	 * @param  {Output<Object>}				fileSystemConfig
+	 * @param  {Output<String>}					.arn							Used to mount an AWS EFS access point.
+	 * @param  {Output<String>}					.localMountPath					Used to mount an AWS EFS access point.
+	 * @param  {Object}						schedule							DEPRECATED. Use the 'eventSources'				
+	 * @param  {String}							.expression						e.g., 'rate(1 minute)'. Full doc at https://docs.aws.amazon.com/AmazonCloudWatch/latest/events/ScheduledEvents.html
+	 * @param  {Object}							.payload						(4) Optional. When specified, the object is passed to the Lambda's event. Otherwise, the default object is passed as the event.
+	 * @param  {[EventSource]}				eventSources[]						(5)
+	 * @param  {Boolean}					publish								Default false. True publishes the lambda to a new version. Forced to true when an alias relies on the published version (6).
+	 * @param  {[Object]}					aliases[]							(6)
+	 * @param  {String}							.name							Required. e.g., 'live'
+	 * @param  {String}							.description
+	 * @param  {Output<String>}					.version						Default is the version published by this Lambda (i.e., 'lambda.version').
+	 * @param  {Object}							.routing						Splits the alias' traffic between 'version' and another version.
+	 * @param  {Output<String>}						.version					Required. e.g., '3'
+	 * @param  {Number}								.weight						Required. Percentage of traffic routed to 'routing.version' (between 0 and 1, e.g., 0.1 for 10%).
+	 * @param  {Number}							.provisionedConcurrency			Number of provisioned concurrent executions for that alias.
+	 * @param  {Boolean|Object}				functionUrl							Default false. True provisions a function URL with the default settings (7).
+	 * @param  {String}							.authType						Valid values: 'AWS_IAM' (default), 'NONE'
+	 * @param  {String}							.alias							Optional. Name of the alias (defined in 'aliases') the URL targets instead of '$LATEST'.
+	 * @param  {Boolean}						.streaming						Default false. True sets the invoke mode to 'RESPONSE_STREAM'.
+	 * @param  {Object}							.cors
+	 * @param  {[String]}							.allowOrigins				e.g., ['https://example.com']. Default ['*']
+	 * @param  {[String]}							.allowMethods				e.g., ['GET', 'POST']. Default ['*']
+	 * @param  {[String]}							.allowHeaders				e.g., ['content-type']
+	 * @param  {[String]}							.exposeHeaders				
+	 * @param  {Boolean}							.allowCredentials			Default false.
+	 * @param  {Number}								.maxAge						Unit seconds. Max is 86400.
+	 * @param  {Object}						async								Configures the asynchronous invocations (e.g., schedules, SNS).
+	 * @param  {Number}							.maximumRetryAttempts			Valid values: 0, 1 or 2 (AWS default).
+	 * @param  {Number}							.maximumEventAgeInSeconds		Between 60 and 21600 (AWS default).
+	 * @param  {String}							.alias							Optional. Name of the alias (defined in 'aliases') this config applies to instead of '$LATEST'.
+	 * @param  {Output<Resource>}				.onSuccess						(8) Destination for successful invocations.
+	 * @param  {Output<Resource>}				.onFailure						(8) Destination for failed invocations.
+	 * @param  {Boolean}					cloudwatch 							Default false. When true, cloudwatch is enabled.
+	 * @param  {Boolean}					cloudWatch 							Deprecated. Use 'cloudwatch' instead.
+	 * @param  {Number}						logsRetentionInDays					Default 0 (i.e., never expires). Only applies when 'cloudwatch' is true.
+	 * @param  {[Object]}					logSubscriptions					(11) Forwards the logs to a Lambda, a Kinesis stream or a Firehose. Sets 'cloudwatch' to true.
+	 * @param  {[Object]}					metricFilters						(11) Turns JSON log fields into CloudWatch metrics. Sets 'cloudwatch' to true.
+	 * @param  {Boolean|Object}				monitoring							Default false. True creates the default alarms and dashboard (10).
+	 * @param  {Output<Topic>}					.topic							Optional. SNS topic notified when any alarm changes state.
+	 * @param  {Boolean|Object}					.errors							Default true. Alarm when 'Errors' (sum) >= 'threshold' (default 1).
+	 * @param  {Boolean|Object}					.throttles						Default true. Alarm when 'Throttles' (sum) >= 'threshold' (default 1).
+	 * @param  {Boolean|Object}					.duration						Default true. Alarm when 'Duration' (p95) >= 'percentOfTimeout' (default 0.8) x 'timeout'.
+	 * @param  {Boolean|Object}					.iteratorAge					Default true. Only for stream event sources. Alarm when 'IteratorAge' (max) >= 'threshold' (default 60000 ms).
+	 * @param  {Boolean}						.dashboard						Default true. Creates a CloudWatch dashboard for this Lambda.
+	 * @param  {String}						tags	
+	 * @param  {Output<Resource>}			parent
+	 * @param  {Output<[Resource]>}			dependsOn
+	 * @param  {Boolean}					protect	
+	 * @param  {Object}						...rest								All the other props that are not covered above
+	 * 				
+	 * @return {Output<Lambda>}				lambda
+	 * @return {Output<String>} 				.id
+	 * @return {Output<String>} 				.name
+	 * @return {Output<String>} 				.arn
+	 * @return {Output<Object>} 				...
+	 * @return {Function}						.attachPolicy					(policy: Output<Policy>) => Output<RolePolicyAttachment> or
+	 *                              		           							(attachName:String, policy: Output<Policy>) => Output<RolePolicyAttachment>				
+	 * @return {Output<Role>}					.role
+	 * @return {Output<RolePolicy>}				.grantsPolicy					Null if 'grants' is not set.
+	 * @return {Output<LogGroup>}				.logGroup
+	 * @return {[Output<LogSubscriptionFilter>]}	.logSubscriptions
+	 * @return {[Output<LogMetricFilter>]}		.metricFilters
+	 * @return {Output<String>}					.url							Function URL (e.g., 'https://abcdefg.lambda-url.ap-southeast-2.on.aws/'). Null if 'functionUrl' is not set.
+	 * @return {Output<FunctionUrl>}			.functionUrl
+	 * @return {[Output<Permission>]}			.functionUrlPermissions			Public invoke permissions. Empty unless the function URL's 'authType' is 'NONE'.
+	 * @return {Output<FunctionEventInvokeConfig>}	.asyncConfig
+	 * @return {Object}							.alarms							Key value pairs where the key is the alarm type (e.g., { errors:Output<MetricAlarm> }).
+	 * @return {Output<Dashboard>}				.dashboard
+	 * @return {Output<[Object]>}				.dashboardWidgets				CloudWatch dashboard widgets. Can be reused to build other dashboards.
+	 * @return {Object}							.schedule						DEPRECATED. Use the 'schedules'				
+	 * @return {Output<EventRule>}					.eventRule						
+	 * @return {Output<EventTarget>}				.eventTarget
+	 * @return {Output<Permission>}					.permission
+	 * @return {[Object]}						.schedules[]	
+	 * @return {Output<EventRule>}					.eventRule						Only set for legacy schedules (i.e., 'scheduler' is false).
+	 * @return {Output<EventTarget>}				.eventTarget
+	 * @return {Output<Permission>}					.permission
+	 * @return {Output<Schedule>}					.schedule						Only set for EventBridge Scheduler schedules (i.e., 'scheduler' is true).
+	 * @return {Output<Role>}					.schedulerRole					Role assumed by EventBridge Scheduler to invoke this Lambda. Null if no schedule uses 'scheduler'.
+	 * @return {[Object]}						.eventRules[]					'eventbridge' event sources.
+	 * @return {Output<EventRule>}					.eventRule						
+	 * @return {Output<EventTarget>}				.eventTarget
+	 * @return {Output<Permission>}					.permission
+	 * @return {Output<QueuePolicy>}				.queuePolicy					Null if the event source has no 'deadLetterQueue'.
+	 * @return {[Output<EventSourceMapping>]}	.eventSources[]
+	 * @return {Object}							.aliases						Key value pairs where the key is the alias name (e.g., { live:Output<Alias> }).
+	 * @return {Output<ProvisionedConcurrencyConfig>}	.[name].provisionedConcurrency
+	 *
+	 * Example (there are more properties, but the following are the usual suspects):
+	 * {
+	 * 		id: '1st-step',
+	 * 		name: '1st-step',
+	 * 		arn: 'arn:aws:lambda:ap-southeast-2:123456:function:1st-step',
+	 * 		role: {
+	 * 			id: '1st-step-lambda-bd84160',
+	 * 			name: '1st-step-lambda-bd84160',
+	 * 			arn: 'arn:aws:iam::123456:role/1st-step-lambda-bd84160'
+	 * 		},
+	 * 		logGroup: {
+	 * 			id: '/aws/lambda/1st-step',
+	 * 			name: '/aws/lambda/1st-step',
+	 * 			arn: 'arn:aws:logs:ap-southeast-2:123456:log-group:/aws/lambda/1st-step'
+	 * 		}
+	 * }
+	 *
+	 * (1) 'fn.type' is not required. If it is not set and 'fn.dir' contains a 'Dockerfile', the type is 'image'.
+	 * (2) When 'fn.env' is set and 'fn.type' is 'image'(1), then this object is merged with the 'fn.arg'. This 
+	 * means there is an extra manual step to convert the docker ARG into ENV in the Dockerfile.
+	 * (3) If the lambda uses Docker, the architecture MUST BE COMPATIBLE with the Docker image. For a list of all the 
+	 * lambda images with their associated OS, please refer to https://hub.docker.com/r/amazon/aws-lambda-nodejs/tags?page=1&ordering=last_updated
+	 * (4) The default object is:
+	 * {
+	 * 	version: '0',
+	 * 	id: 'cee5b84f-57b6-c60b-2c8c-9e1867b7e9ac',
+	 * 	'detail-type': 'Scheduled Event',
+	 * 	source: 'aws.events',
+	 * 	account: '12345677',
+	 * 	time: '2022-01-27T02:18:59Z',
+	 * 	region: 'ap-southeast-2',
+	 * 	resources: [
+	 *  	'arn:aws:events:ap-southeast-2:12345677:rule/some-event-name'
+	 * 	],
+	 * 	detail: {}
+	 * }
+	 * (5) All event sources support an optional 'alias' property (e.g., alias: 'live'). When set, the event source targets 
+	 * that alias instead of '$LATEST'. That alias must be defined in 'aliases'. EventSource object example:
+	 * 	- schedule: 
+	 * 		{
+	 * 			name: 'schedule',
+	 * 			resourceName: 'hello', // Optional. Override the default Pulumi resource name. Useful when the default name is too long.
+	 * 			expression: 'rate(1 minute)', // e.g., 'rate(1 minute)'. Full doc at https://docs.aws.amazon.com/AmazonCloudWatch/latest/events/ScheduledEvents.html
+	 * 			payload: { hello:'world' }	// (4) Optional. When specified, the object is passed to the Lambda's event. Otherwise, the default object is passed as the event.
+	 * 		}
+	 * 	- schedule (EventBridge Scheduler): 
+	 * 		{
+	 * 			name: 'schedule',
+	 * 			scheduler: true, // Uses EventBridge Scheduler instead of an EventBridge rule. Required by all the options below.
+	 * 			expression: 'cron(0 9 * * ? *)', // 'rate()', 'cron()' or one-off 'at(2030-01-01T09:00:00)'. Doc: https://docs.aws.amazon.com/scheduler/latest/UserGuide/schedule-types.html
+	 * 			// timezone: 'Australia/Sydney', // Optional. IANA time zone. Default 'UTC'.
+	 * 			// flexibleWindow: 15, // Optional. Maximum window in minutes (1 to 1440) in which the schedule can be invoked. Default off.
+	 * 			// startDate: '2030-01-01T00:00:00Z', // Optional. String or Date.
+	 * 			// endDate: '2030-12-31T00:00:00Z', // Optional. String or Date.
+	 * 			// group: 'my-group', // Optional. Default is the 'default' schedule group.
+	 * 			// payload: { hello:'world' } // Optional. When not set, the Lambda receives an empty event.
+	 * 		}
+	 * 	- eventbridge: 
+	 * 		{
+	 * 			name: 'eventbridge',
+	 * 			resourceName: 'hello', // Optional. Override the default Pulumi resource name. Useful when the default name is too long.
+	 * 			eventPattern: { source:['orders'], 'detail-type':['OrderPlaced'] }, // Required. Doc: https://docs.aws.amazon.com/eventbridge/latest/userguide/eb-event-patterns.html
+	 * 			// eventBus: 'orders', // Optional. Default is the account's default bus. Name, ARN or EventBus resource.
+	 * 			// inputTransformer: { inputPaths:{ id:'$.detail.id' }, inputTemplate:'{"orderId":<id>}' }, // Optional.
+	 * 			// retryPolicy: { maximumEventAgeInSeconds:3600, maximumRetryAttempts:3 }, // Optional.
+	 * 			// deadLetterQueue: queue, // Optional. Queue resource or object with 'arn' and 'url' properties. A queue policy that allows this rule to 'sqs:SendMessage' is created (WARNING: it replaces the queue's existing policy).
+	 * 		}
+	 * 	- sqs: 
+	 * 		{
+	 * 			name: 'sqs',
+	 * 			resourceName: 'hello', // Optional. Override the default Pulumi resource name. Useful when the default name is too long.
+	 * 			queue: queue, // This can be the actual Queue resource or an object as long as that object contains an 'arn' property
+	 * 			// filterCriteria: ... // Optional. Refer to doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/eventsourcemapping/#sqs-with-event-filter
+	 * 		}
+	 * 	- sns: 
+	 * 		{
+	 * 			name: 'sns',
+	 * 			resourceName: 'hello', // Optional. Override the default Pulumi resource name. Useful when the default name is too long.
+	 * 			topic: topic, // This can be the actual Queue resource or an object as long as that object contains an 'arn' property
+	 * 			// deadLetterQueue: ... // Optional Boolean. Refer to doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/eventsourcemapping/#sqs-with-event-filter
+	 * 			// filterPolicy: ... // Optional Object. Refer to doc: https://docs.aws.amazon.com/sns/latest/dg/sns-message-filtering.html
+	 * 			// deliveryPolicy: ... // Optional Object. Refer to doc: https://docs.aws.amazon.com/sns/latest/dg/sns-message-delivery-retries.html
+	 * 		}
+	 * 	- dynamodb: 
+	 * 		{
+	 * 			name: 'dynamodb',
+	 * 			resourceName: 'hello', // Optional. Override the default Pulumi resource name. Useful when the default name is too long.
+	 * 			table: table, // This can be the actual Table resource (with streams enabled) or an object as long as that object contains a 'streamArn' property
+	 * 			// startingPosition: ... // Optional. Default 'LATEST'. Valid values: 'LATEST', 'TRIM_HORIZON'
+	 * 			// batchSize, filterCriteria, ... // Optional. Refer to doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/eventsourcemapping/
+	 * 		}
+	 * 	- kinesis: 
+	 * 		{
+	 * 			name: 'kinesis',
+	 * 			resourceName: 'hello', // Optional. Override the default Pulumi resource name. Useful when the default name is too long.
+	 * 			stream: stream, // This can be the actual Stream resource or an object as long as that object contains an 'arn' property
+	 * 			// startingPosition: ... // Optional. Default 'LATEST'. Valid values: 'LATEST', 'TRIM_HORIZON', 'AT_TIMESTAMP'
+	 * 		}
+	 * 	- msk: 
+	 * 		{
+	 * 			name: 'msk',
+	 * 			resourceName: 'hello', // Optional. Override the default Pulumi resource name. Useful when the default name is too long.
+	 * 			cluster: cluster, // This can be the actual MSK Cluster resource or an object as long as that object contains an 'arn' property
+	 * 			topics: ['orders'], // Required.
+	 * 			// startingPosition: ... // Optional. Default 'LATEST'. Valid values: 'LATEST', 'TRIM_HORIZON'
+	 * 		}
+	 * 	- kafka: (self-managed Apache Kafka)
+	 * 		{
+	 * 			name: 'kafka',
+	 * 			resourceName: 'hello', // Optional. Override the default Pulumi resource name. Useful when the default name is too long.
+	 * 			bootstrapServers: ['kafka1.example.com:9092', 'kafka2.example.com:9092'], // Required.
+	 * 			topics: ['orders'], // Required.
+	 * 			// startingPosition: ... // Optional. Default 'LATEST'. Valid values: 'LATEST', 'TRIM_HORIZON'
+	 * 			// sourceAccessConfigurations: [{ type:'SASL_SCRAM_512_AUTH', uri:secret.arn }, { type:'VPC_SUBNET', uri:'subnet:subnet-1234' }] // Optional.
+	 * 		}
+	 * 	- aws_mq: 
+	 * 		{
+	 * 			name: 'aws_mq',
+	 * 			resourceName: 'hello', // Optional. Override the default Pulumi resource name. Useful when the default name is too long.
+	 * 			broker: broker, // This can be the actual Amazon MQ Broker resource or an object as long as that object contains an 'arn' property
+	 * 			queues: ['orders'], // Required. Only one queue is supported by AWS.
+	 * 			secret: secret, // Required. Secret that contains the broker's credentials. This can be the actual Secret resource or an object as long as that object contains an 'arn' property
+	 * 		}
+	 * (6) Aliases example. This sends 90% of the 'live' traffic to the newly published version and 10% to version 4:
+	 * 	[{
+	 * 		name: 'live',
+	 * 		routing: { version:'4', weight:0.1 },
+	 * 		provisionedConcurrency: 5
+	 * 	}]
+	 * (7) Function URL example:
+	 * 	{
+	 * 		authType: 'NONE',
+	 * 		cors: {
+	 * 			allowOrigins: ['https://example.com'],
+	 * 			allowMethods: ['GET', 'POST'],
+	 * 			allowHeaders: ['content-type'],
+	 * 			maxAge: 3600
+	 * 		}
+	 * 	}
+	 * (8) A destination can be a pulumix Queue, Topic or Lambda or any object as long as that object contains an 'arn' 
+	 * property. The permission added to the Lambda role depends on the destination's ARN (e.g., 'sqs:SendMessage' for an SQS ARN).
+	 * (9) The build copies 'fn.dir' to a staging folder (skipping dotfiles, tests and 'fn.build.ignore'), installs the production
+	 * dependencies or bundles the code, and zips the result with fixed timestamps. The archive's hash is used as the Lambda's 
+	 * 'sourceCodeHash'. This means that the Lambda is only redeployed when the content of the files changes.
+	 * (10) Monitoring example. Each alarm accepts 'threshold', 'evaluationPeriods' (default 1), 'period' (default 60 seconds) 
+	 * and 'topic' (overrides 'monitoring.topic'):
+	 * 	{
+	 * 		topic: alertsTopic,
+	 * 		errors: { threshold:5, evaluationPeriods:2 },
+	 * 		throttles: false,
+	 * 		duration: { percentOfTimeout:0.9 }
+	 * 	}
+	 * (11) Both options are documented in the 'createLogFilters' function (src/aws/utils.js). Examples:
+	 * 	logSubscriptions: [{ lambda: logProcessor, filterPattern: { level:'ERROR' } }]
+	 * 	metricFilters: [{ pattern: { event:'order_placed' }, metricName:'OrdersPlaced', namespace:'Shop' }]
+	 */
+	constructor({ name, description, environment, architecture, fn, layers, timeout=3, memorySize=128, handler, policies:_policies, grants, vpcConfig:_vpcConfig, fileSystemConfig, schedule, eventSources, publish, aliases, functionUrl, async:asyncInvocation, ephemeralStorage, reservedConcurrency, tracing, snapStart, deadLetterQueue, monitoring, cloudWatch, cloudwatch, logsRetentionInDays, logSubscriptions, metricFilters, tags, parent, dependsOn:_dependsOn, protect, imageOpts, ...rest }) {
+		tags = tags || {}
+		if (cloudWatch !== undefined && cloudwatch === undefined)
+			cloudwatch = cloudWatch
+		// Log filters need the log group
+		if ((logSubscriptions && logSubscriptions.length) || (metricFilters && metricFilters.length))
+			cloudwatch = true
+		
+		if (!name)
+			throw new Error('Missing required argument \'name\'.')
+		if (!fn)
+			throw new Error('Missing required argument \'fn\'.')
+		if (!fn.dir)
+			throw new Error('Missing required argument \'fn.dir\'.')
+		if (eventSources && eventSources.length) {
+			const missingNameIndex = eventSources.findIndex(e => !e || !e.name)
+			if (missingNameIndex >= 0)
+				throw new Error(`Missing required 'eventSources[${missingNameIndex}].name'`)
+
+			const invalidEventSources = eventSources.filter(e => VALID_EVENT_SOURCES.indexOf(e.name) < 0).map(e => e.name)
+			if (invalidEventSources.length)
+				throw new Error(`The following event sources are invalid: ${invalidEventSources}. Valid Lambda event sources are: ${VALID_EVENT_SOURCES}.`)
+
+			// Validates the event source mappings before any resource is created.
+			eventSources.filter(e => EVENT_SOURCE_MAPPINGS[e.name]).forEach(e => _getEventSourceMappingProps(e.name, e))
+		}
+		
+		const aliasNames = _validateAliases(aliases)
+		const invalidAliasIndex = [schedule, ...(eventSources||[])].findIndex(e => e && e.alias && aliasNames.indexOf(e.alias) < 0)
+		if (invalidAliasIndex >= 0)
+			throw new Error(`Alias '${[schedule, ...(eventSources||[])][invalidAliasIndex].alias}' is not defined in 'aliases'. Defined aliases: ${aliasNames}.`)
+		const functionUrlConfig = _getFunctionUrlConfig(functionUrl)
+		if (functionUrlConfig && functionUrlConfig.alias && aliasNames.indexOf(functionUrlConfig.alias) < 0)
+			throw new Error(`Alias '${functionUrlConfig.alias}' referenced in 'functionUrl.alias' is not defined in 'aliases'. Defined aliases: ${aliasNames}.`)
+		_validateAsyncInvocation(asyncInvocation, aliasNames)
+		const tracingMode = _getTracingMode(tracing)
+		const ephemeralStorageSize = ephemeralStorage && typeof(ephemeralStorage) == 'object' ? ephemeralStorage.size : ephemeralStorage
+		if (ephemeralStorageSize !== undefined && (typeof(ephemeralStorageSize) != 'number' || ephemeralStorageSize < 512 || ephemeralStorageSize > 10240))
+			throw new Error(`Wrong argument exception. 'ephemeralStorage' must be a number between 512 and 10240 (MB). Found ${ephemeralStorageSize} instead.`)
+		if (reservedConcurrency !== undefined && (typeof(reservedConcurrency) != 'number' || reservedConcurrency < 0))
+			throw new Error(`Wrong argument exception. 'reservedConcurrency' must be a number equal to 0 or more. Found ${reservedConcurrency} instead.`)
+		if (snapStart) {
+			if (fn.type == 'image')
+				throw new Error('\'snapStart\' is not supported by Docker images.')
+			if (typeof(fn.runtime) == 'string' && !SNAPSTART_RUNTIMES.test(fn.runtime))
+				throw new Error(`'snapStart' is only supported by the Java 11+, Python 3.12+ and .NET 8+ runtimes. Found runtime '${fn.runtime}' instead.`)
+		}
+		if (deadLetterQueue && !deadLetterQueue.arn)
+			throw new Error('Missing required argument \'deadLetterQueue.arn\'.')
+		const monitoringConfig = _getMonitoringConfig(monitoring, { 
+			timeout, 
+			streamEventSource: (eventSources||[]).some(e => STREAM_EVENT_SOURCES.indexOf(e.name) >= 0)
+		})
+		// Aliases that do not explicitly set their 'version' point to the version published by this deployment. SnapStart
+		// only applies to published versions.
+		if ((aliases||[]).some(a => !a.version) || snapStart)
+			publish = true
+		
+		const canonicalName = `${name}-lambda`
+
+		// IAM role. Doc: https://www.pulumi.com/docs/reference/pkg/aws/iam/role/
+		const lambdaRole = new aws.iam.Role(canonicalName, {
+			name: canonicalName,
+			description: `Role for lambda '${name}'`,
+			assumeRolePolicy: {
+				Version: '2012-10-17',
+				Statement: [{
+					Action: 'sts:AssumeRole',
+					Principal: {
+						Service: 'lambda.amazonaws.com'
+					},
+					Effect: 'Allow',
+					Sid: ''
+				}],
+			},
+			tags: {
+				...tags,
+				Name: canonicalName
+			}
+		})
+
+		const grantsPolicy = createGrantsPolicy({ name:canonicalName, role:lambdaRole, grants, protect })
+
+		// Configure cloudwatch
+		let logGroup = null
+		if (cloudwatch) {
+			// Creates the log group where the logs are sent. Doc: https://www.pulumi.com/docs/reference/pkg/aws/cloudwatch/loggroup/
+			const logGroupId = `/aws/lambda/${name}`
+			logGroup = new aws.cloudwatch.LogGroup(logGroupId, { 
+				name: logGroupId,
+				retentionInDays: logsRetentionInDays || 0,
+				tags: {
+					...tags,
+					Name: name
+				}
+			})
+		}
+		const logFilters = logGroup 
+			? createLogFilters({ name, logGroup, logSubscriptions, metricFilters, tags, protect }) 
+			: { logSubscriptions:[], metricFilters:[] }
+
+		const asyncData = unwrap(fn).apply(_fn => pulumi.all([
+			_fileExists(_fn.dir), 
+			_fileExists(path.join(_fn.dir, 'Dockerfile')),
+			_fn.dir, 
+			_fn.type, 
+			_fn.runtime, 
+			_fn.args, 
+			_fn.env,
+			_fn.build,
+			_parseVpcConfig({ ...(_vpcConfig||{}), name, tags }),
+			_dependsOn,
+			_policies
+		]).apply(([fnDirFound, dockerFileFound, dir, type, runtime, args, env, build, { config:vpcConfig, securityGroups, subnets, allowAllResponsesSg }, dependsOn, policies]) => {
+			dependsOn = dependsOn || []
+			dependsOn.push(...(eventSources||[]).filter(e => e.topic).map(e => e.topic))
+			dependsOn.push(...(eventSources||[]).filter(e => EVENT_SOURCE_MAPPINGS[e.name] && e[EVENT_SOURCE_MAPPINGS[e.name].prop]).map(e => e[EVENT_SOURCE_MAPPINGS[e.name].prop]))
+			if (!fnDirFound)
+				throw new Error(`Function folder '${dir}' not found.`)	
+
+			if (grantsPolicy)
+				dependsOn.push(grantsPolicy)
+			if (securityGroups && securityGroups.length)
+				dependsOn.push(...securityGroups)
+			if (subnets && subnets.length)
+				dependsOn.push(...subnets)
+
+			// ECR images. Doc:
+			// 	- buildAndPushImage API: https://www.pulumi.com/docs/reference/pkg/nodejs/pulumi/awsx/ecr/#buildAndPushImage
+			// 	- 2nd argument is a DockerBuild object: https://www.pulumi.com/docs/reference/pkg/docker/image/#dockerbuild
+			// image = awsx.ecr.buildAndPushImage(canonicalName, {
+			// 	context: dir,
+			// 	args,
+			// 	tags: {
+			// 		...tags,
+			// 		Name: canonicalName
+			// 	}
+			// })
+			if (!imageOpts)
+				imageOpts = {}
+			if (!imageOpts.platform)
+				imageOpts.platform = architecture == 'x86_64' ? 'linux/amd64' : 'linux/arm64'
+
+			const image = type == 'image' || dockerFileFound 
+				? new Image({ 
+					name: canonicalName,
+					dir: dir,
+					args: args || env ? { ...(args||{}), ...(env||{}) } : undefined,
+					tags,
+					extraOptions: imageOpts
+				})
+				: null
+
+			const imageUri = image ? image.imageValues[0] : null
+			const archive = !image && build && runtime ? _buildArchive({ name, dir, runtime, build }) : null
+
+			// Attach policies
+			const updatedPolicies = _configurePolicies(policies, canonicalName, { 
+				cloudwatch, 
+				vpcConfig, 
+				fileSystemConfig, 
+				eventSources,
+				asyncInvocation,
+				tracing: tracingMode,
+				deadLetterQueue,
+				protect
+			})
+
+			return pulumi.all([imageUri, archive, ...updatedPolicies.map(p => unwrap(p))]).apply(([_imageUri, _archive, ..._policies]) => {
+
+				for (let i=0;i<_policies.length;i++) {
+					const policy = _policies[i]
+					if (!policy.name)
+						throw new Error(`Invalid argument exception. Some policies in lambda ${name} don't have a name.`)	
+					if (!policy.arn)
+						throw new Error(`Invalid argument exception. Some policies in lambda ${name} don't have an arn.`)	
+						
+					dependsOn.push(new aws.iam.RolePolicyAttachment(`${canonicalName}-${policy.name}`, {
+						role: lambdaRole.name,
+						policyArn: policy.arn
+					}))
+				}
+
+				// Configure the function code used for that lambda
+				if (!_imageUri && !runtime)
+					throw new Error('Missing required argument \'fn.runtime\'. Please select one amongst the list at https://docs.aws.amazon.com/lambda/latest/dg/API_CreateFunction.html#SSS-CreateFunction-request-Runtime')
+				
+				return {
+					image: _leanifyImage(image),
+					functionCode: _imageUri 
+						? {
+							packageType: 'Image',
+							imageUri: _imageUri
+						} : {
+							runtime,
+							code: _archive 
+								? new pulumi.asset.FileArchive(_archive.file)
+								: new pulumi.asset.AssetArchive({
+									'.': new pulumi.asset.FileArchive(dir),
+								}),
+							sourceCodeHash: _archive ? _archive.hash : rest.sourceCodeHash,
+							handler: handler || 'index.handler'
+						},
+					allowAllResponsesSg,
+					vpcConfig,
+					dependsOn: keepResourcesOnly(dependsOn)
+				}
+			})
+		}))
+
+		const environmentVariables = environment ? { variables:environment } : undefined
+
+		// Create tha Lambda. Doc: https://www.pulumi.com/docs/reference/pkg/aws/lambda/function/ 
+		super(name, {
+			...rest,
+			name,
+			description,
+			environment:environmentVariables,
+			architectures: [architecture == 'x86_64' ? 'x86_64' : 'arm64'],
+			packageType: asyncData.functionCode.packageType,
+			imageUri: asyncData.functionCode.imageUri,
+			runtime: asyncData.functionCode.runtime,
+			code: asyncData.functionCode.code,
+			sourceCodeHash: asyncData.functionCode.sourceCodeHash,
+			vpcConfig: asyncData.vpcConfig,
+			handler: asyncData.functionCode.handler,
+			timeout,
+			memorySize,
+			layers: layers && layers.length ? layers : undefined,
+			role: lambdaRole.arn,
+			fileSystemConfig,
+			// The native values passed via 'rest' are kept when the equivalent option is not set.
+			ephemeralStorage: ephemeralStorageSize ? { size:ephemeralStorageSize } : undefined,
+			reservedConcurrentExecutions: reservedConcurrency !== undefined ? reservedConcurrency : rest.reservedConcurrentExecutions,
+			tracingConfig: tracingMode ? { mode:tracingMode } : rest.tracingConfig,
+			snapStart: snapStart === true ? { applyOn:'PublishedVersions' } : snapStart || undefined,
+			deadLetterConfig: deadLetterQueue ? { targetArn:deadLetterQueue.arn } : rest.deadLetterConfig,
+			publish,
+			tags: {
+				...tags,
+				Name: name
+			},
+		}, {
+			parent,
+			dependsOn: asyncData.dependsOn,
+			protect
+		})
+
+		// Create the aliases
+		this.aliases = {}
+		for (let i=0;i<(aliases||[]).length;i++) {
+			const { name:aliasName, description:aliasDescription, version, routing, provisionedConcurrency } = aliases[i]
+			const aliasResourceName = `${name}-alias-${aliasName}`
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/alias/
+			const alias = new aws.lambda.Alias(aliasResourceName, {
+				name: aliasName,
+				description: aliasDescription || `Alias '${aliasName}' for lambda ${name}`,
+				functionName: this.name,
+				functionVersion: version || this.version,
+				routingConfig: routing ? {
+					additionalVersionWeights: pulumi.output(routing.version).apply(v => ({ [v]:routing.weight }))
+				} : undefined
+			}, {
+				protect,
+				dependsOn:[this]
+			})
+
+			if (provisionedConcurrency) {
+				const concurrencyName = `${aliasResourceName}-concurrency`
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/provisionedconcurrencyconfig/
+				alias.provisionedConcurrency = new aws.lambda.ProvisionedConcurrencyConfig(concurrencyName, {
+					functionName: this.name,
+					qualifier: alias.name,
+					provisionedConcurrentExecutions: provisionedConcurrency
+				}, {
+					protect,
+					dependsOn:[alias]
+				})
+			}
+
+			this.aliases[aliasName] = alias
+		}
+
+		// Create the function URL
+		let _functionUrl = null
+		const functionUrlPermissions = []
+		if (functionUrlConfig) {
+			const { authType, alias, streaming, cors } = functionUrlConfig
+			const functionUrlName = `${name}-url`
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/functionurl/
+			_functionUrl = new aws.lambda.FunctionUrl(functionUrlName, {
+				functionName: this.name,
+				qualifier: alias ? this.aliases[alias].name : undefined,
+				authorizationType: authType,
+				invokeMode: streaming ? 'RESPONSE_STREAM' : 'BUFFERED',
+				cors
+			}, {
+				protect,
+				dependsOn:[this]
+			})
+
+			if (authType == 'NONE') {
+				// Public function URLs require a resource-based policy that allows anyone to invoke them. Both the 
+				// 'lambda:InvokeFunctionUrl' and 'lambda:InvokeFunction' actions must be granted.
+				// Doc: https://docs.aws.amazon.com/lambda/latest/dg/urls-auth.html#urls-auth-none
+				const qualifier = alias ? this.aliases[alias].name : undefined
+				functionUrlPermissions.push(new aws.lambda.Permission(`${name}-url-permission`, {
+					action: 'lambda:InvokeFunctionUrl',
+					function: this.name,
+					qualifier,
+					principal: '*',
+					functionUrlAuthType: 'NONE'
+				}, {
+					protect,
+					dependsOn:[_functionUrl]
+				}))
+				functionUrlPermissions.push(new aws.lambda.Permission(`${name}-url-invoke-permission`, {
+					action: 'lambda:InvokeFunction',
+					function: this.name,
+					qualifier,
+					principal: '*'
+				}, {
+					protect,
+					dependsOn:[_functionUrl]
+				}))
+			}
+		}
+
+		// Configures the asynchronous invocations
+		let asyncConfig = null
+		if (asyncInvocation) {
+			const { maximumRetryAttempts, maximumEventAgeInSeconds, alias, onSuccess, onFailure } = asyncInvocation
+			const asyncConfigName = `${name}-async-config`
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/functioneventinvokeconfig/
+			asyncConfig = new aws.lambda.FunctionEventInvokeConfig(asyncConfigName, {
+				functionName: this.name,
+				qualifier: alias ? this.aliases[alias].name : undefined,
+				maximumRetryAttempts,
+				maximumEventAgeInSeconds,
+				destinationConfig: onSuccess || onFailure ? {
+					onSuccess: onSuccess ? { destination:onSuccess.arn } : undefined,
+					onFailure: onFailure ? { destination:onFailure.arn } : undefined
+				} : undefined
+			}, {
+				protect,
+				dependsOn: keepResourcesOnly([this, onSuccess, onFailure])
+			})
+		}
+
+		// Create schedule trigger
+		// Supporting legacy 'schedule' input.
+		let _schedule = null
+		let _schedules = schedule ? [schedule] : []
+		const schedules = []
+		const scheduleEventSource = (eventSources||[]).find(e => e && e.name == 'schedule')
+		if (!schedule && scheduleEventSource)
+			schedule = scheduleEventSource
+		if (schedule && schedule.expression) {
+			_schedules = _schedules.length ? _schedules : (eventSources||[]).filter(e => e && e.name == 'schedule')
+			for (let i=0;i<_schedules.length;i++) {
+				const sched = _schedules[i]
+				const schedSuffix = i ? `-${i}` : '' // This weird `i ? `-${i}` : ''` is to support legacy API
+				if (sched.scheduler) {
+					const schedulerSchedule = this._createSchedulerSchedule(sched, { name, suffix:schedSuffix, tags, protect })
+					schedules.push(schedulerSchedule)
+					if (i == 0)
+						_schedule = schedulerSchedule
+					continue
+				}
+				const schedulerOnlyOption = SCHEDULER_ONLY_OPTIONS.find(opt => sched[opt] !== undefined) || (/^at\(/.test(sched.expression) ? 'at()' : null)
+				if (schedulerOnlyOption)
+					throw new Error(`Schedule option '${schedulerOnlyOption}' is only supported by EventBridge Scheduler. Set 'scheduler' to true in schedule ${i} of lambda ${name}.`)
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/cloudwatch/eventrule/
+				const scheduleResourceName = sched.resourceName
+				const eventRuleName = scheduleResourceName || `${name}-eventrule${schedSuffix}` 
+				const eventRule = new aws.cloudwatch.EventRule(eventRuleName, {
+					name: eventRuleName,
+					description: `Fire lambda ${name} on a schedule`,
+					scheduleExpression: sched.expression,
+					tags: {
+						...tags,
+						Name: eventRuleName
+					}
+				}, { 
+					protect, 
+					dependsOn:[this] 
+				})
+
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/cloudwatch/eventtarget/
+				const eventTargetName = scheduleResourceName || `${name}-eventtarget${schedSuffix}`
+				const alias = sched.alias ? this.aliases[sched.alias] : null
+				const eventTargetConfig = {
+					rule: eventRule.name,
+					arn: alias ? alias.arn : this.arn,
+					tags: {
+						...tags,
+						Name: eventTargetName
+					}
+				}
+				if (sched.payload) {
+					if (typeof(sched.payload) != 'object')
+						throw new Error(`Wrong argument exception. 'schedules[${i}].payload' is expecting an object. Found ${typeof(sched.payload)} instead.`)
+					eventTargetConfig.input = JSON.stringify(sched.payload)
+				}
+				const eventTarget = new aws.cloudwatch.EventTarget(eventTargetName, eventTargetConfig, { 
+					protect, 
+					dependsOn:[this] 
+				})
+
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/permission/
+				const schedulePermissionName = scheduleResourceName || `${name}-schedule-permission${schedSuffix}`
+				const permission = new aws.lambda.Permission(schedulePermissionName, {
+					action: 'lambda:invokeFunction',
+					function: this.name,
+					qualifier: alias ? alias.name : undefined,
+					principal: 'events.amazonaws.com',
+					sourceArn: eventRule.arn
+				}, { 
+					protect, 
+					dependsOn:[this] 
+				})
+
+				schedules.push({
+					eventRule,
+					eventTarget,
+					permission
+				})
+
+				// Support legacy API
+				if (i == 0)
+					_schedule = {
+						eventRule,
+						eventTarget,
+						permission
+					}
+			}
+		}
+
+		// Create the EventBridge rules
+		const eventRules = []
+		const eventBridgeSources = (eventSources||[]).filter(e => e && e.name == 'eventbridge')
+		for (let i=0;i<eventBridgeSources.length;i++) {
+			const { resourceName, alias:aliasName, eventPattern, eventBus, inputTransformer, retryPolicy, deadLetterQueue:dlq } = eventBridgeSources[i]
+			if (!eventPattern)
+				throw new Error(`Missing required 'eventPattern' in 'eventbridge' event source ${i} of lambda ${name}.`)
+			if (typeof(eventPattern) != 'object')
+				throw new Error(`Wrong argument exception. 'eventPattern' in 'eventbridge' event source ${i} of lambda ${name} is expecting an object. Found ${typeof(eventPattern)} instead.`)
+			if (inputTransformer && !inputTransformer.inputTemplate)
+				throw new Error(`Missing required 'inputTransformer.inputTemplate' in 'eventbridge' event source ${i} of lambda ${name}.`)
+			if (dlq && !dlq.arn)
+				throw new Error(`Missing required 'deadLetterQueue.arn' in 'eventbridge' event source ${i} of lambda ${name}.`)
+			if (dlq && !dlq.url)
+				throw new Error(`Missing required 'deadLetterQueue.url' in 'eventbridge' event source ${i} of lambda ${name}.`)
+
+			const suffix = i ? `-${i}` : ''
+			// EventBridge accepts both the bus' name and ARN
+			const eventBusName = !eventBus ? undefined : eventBus.arn || eventBus
+			const alias = aliasName ? this.aliases[aliasName] : null
+
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/cloudwatch/eventrule/
+			const eventRuleName = resourceName || `${name}-eventbridge-rule${suffix}`
+			const eventRule = new aws.cloudwatch.EventRule(eventRuleName, {
+				name: eventRuleName,
+				description: `Fire lambda ${name} on events`,
+				eventBusName,
+				eventPattern: JSON.stringify(eventPattern),
+				tags: {
+					...tags,
+					Name: eventRuleName
+				}
+			}, { 
+				protect, 
+				dependsOn: keepResourcesOnly([this, eventBus])
+			})
+
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/cloudwatch/eventtarget/
+			const eventTargetName = resourceName || `${name}-eventbridge-target${suffix}`
+			const eventTarget = new aws.cloudwatch.EventTarget(eventTargetName, {
+				rule: eventRule.name,
+				eventBusName,
+				arn: alias ? alias.arn : this.arn,
+				inputTransformer: inputTransformer ? {
+					inputPaths: inputTransformer.inputPaths,
+					inputTemplate: inputTransformer.inputTemplate
+				} : undefined,
+				retryPolicy: retryPolicy ? {
+					maximumEventAgeInSeconds: retryPolicy.maximumEventAgeInSeconds,
+					maximumRetryAttempts: retryPolicy.maximumRetryAttempts
+				} : undefined,
+				deadLetterConfig: dlq ? { arn:dlq.arn } : undefined
+			}, { 
+				protect, 
+				dependsOn: keepResourcesOnly([this, eventRule, dlq])
+			})
+
+			// Allows this rule to send the undelivered events to the dead-letter queue. 
+			// Doc: https://docs.aws.amazon.com/eventbridge/latest/userguide/eb-rule-dlq.html#eb-dlq-perms
+			let queuePolicy = null
+			if (dlq) {
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/sqs/queuepolicy/
+				const queuePolicyName = resourceName || `${name}-eventbridge-dlq-policy${suffix}`
+				queuePolicy = new aws.sqs.QueuePolicy(queuePolicyName, {
+					queueUrl: dlq.url,
+					policy: pulumi.all([dlq.arn, eventRule.arn]).apply(([dlqArn, ruleArn]) => JSON.stringify({
+						Version: '2012-10-17',
+						Statement: [{
+							Effect: 'Allow',
+							Principal: {
+								Service: 'events.amazonaws.com'
+							},
+							Action: 'sqs:SendMessage',
+							Resource: dlqArn,
+							Condition: {
+								ArnEquals: {
+									'aws:SourceArn': ruleArn
+								}
+							}
+						}]
+					}))
+				}, {
+					protect,
+					dependsOn: keepResourcesOnly([eventRule, dlq])
+				})
+			}
+
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/permission/
+			const permissionName = resourceName || `${name}-eventbridge-permission${suffix}`
+			const permission = new aws.lambda.Permission(permissionName, {
+				action: 'lambda:invokeFunction',
+				function: this.name,
+				qualifier: alias ? alias.name : undefined,
+				principal: 'events.amazonaws.com',
+				sourceArn: eventRule.arn
+			}, { 
+				protect, 
+				dependsOn:[this] 
+			})
+
+			eventRules.push({
+				eventRule,
+				eventTarget,
+				permission,
+				queuePolicy
+			})
+		}
+
+		this.eventSources = []
+		
+		// Provisions the event source mappings
+		const mappingCounts = {}
+		const mappingEventSources = (eventSources||[]).filter(e => e && EVENT_SOURCE_MAPPINGS[e.name])
+		for (let i=0;i<mappingEventSources.length;i++) {
+			const { name:type, resourceName, alias, ...eventSourceProps } = mappingEventSources[i]
+			const idx = mappingCounts[type] = mappingCounts[type] === undefined ? 0 : mappingCounts[type] + 1
+			
+			// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/eventsourcemapping/
+			const eventSourceName = resourceName || `${type}-eventsource-for-${name}${idx ? `-${idx}` : ''}`
+			const { eventSourceArn, ...nativeProps } = _getEventSourceMappingProps(type, eventSourceProps)
+			const eventSourceMapping = new aws.lambda.EventSourceMapping(eventSourceName, {
+				name: eventSourceName,
+				eventSourceArn,
+				functionName: alias ? this.aliases[alias].arn : this.arn,
+				...nativeProps,
+				tags: {
+					...tags,
+					Name: eventSourceName
+				}
+			}, {
+				protect
+			})
+
+			this.eventSources.push(eventSourceMapping)
+		}
+
+		// Subsribing to SNS topic
+		this.snsSubscriptions = []
+		const snsEventSources = (eventSources||[]).filter(e => e && e.name == 'sns')
+		if (snsEventSources && snsEventSources.length) {
+			for (let i=0;i<snsEventSources.length;i++) {
+				const { topic, resourceName, deadLetterQueue, alias, ...nativeProps } = snsEventSources[i]||{}
+				if (!topic)
+					throw new Error('Missing required eventSources[name=\'sns\'].topic')
+				if (!topic.arn)
+					throw new Error('Missing required eventSources[name=\'sns\'].topic.arn')
+
+				const eventSourceName = resourceName || `snssub-${i}-${name}`
+				const subscription = sns.Topic.createTopicSubscription(topic, {
+					...nativeProps,
+					name: eventSourceName,
+					lambda: alias ? { name:this.name, arn:this.aliases[alias].arn, qualifier:this.aliases[alias].name } : this,
+					deadLetterQueue,
+					tags:{
+						...tags,
+						Name: eventSourceName
+					},
+					protect
+				})
+
+				this.snsSubscriptions.push(subscription)
+			}
+		}
+
+		this.image = asyncData.image
+		this.role = lambdaRole
+		this.grantsPolicy = grantsPolicy
+		this.logGroup = logGroup
+		this.logSubscriptions = logFilters.logSubscriptions
+		this.metricFilters = logFilters.metricFilters
+		this.functionUrl = _functionUrl
+		this.functionUrlPermissions = functionUrlPermissions
+		this.url = _functionUrl ? _functionUrl.functionUrl : null
+		this.asyncConfig = asyncConfig
+		this.alarms = {}
+		this.dashboard = null
+		this.dashboardWidgets = null
+
+		// Configures the alarms and the dashboard
+		if (monitoringConfig) {
+			for (let alarmType in monitoringConfig.alarms) {
+				const { metricName, statistic, extendedStatistic, threshold, evaluationPeriods, period, topic } = monitoringConfig.alarms[alarmType]
+				const alarmName = `${name}-${alarmType.toLowerCase()}-alarm`
+				const actions = topic ? [topic.arn] : undefined
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/cloudwatch/metricalarm/
+				this.alarms[alarmType] = new aws.cloudwatch.MetricAlarm(alarmName, {
+					name: alarmName,
+					alarmDescription: `${metricName} alarm for lambda ${name}`,
+					namespace: 'AWS/Lambda',
+					metricName,
+					dimensions: { FunctionName:this.name },
+					statistic,
+					extendedStatistic,
+					comparisonOperator: 'GreaterThanOrEqualToThreshold',
+					threshold,
+					evaluationPeriods,
+					period,
+					treatMissingData: 'notBreaching',
+					alarmActions: actions,
+					okActions: actions,
+					tags: {
+						...tags,
+						Name: alarmName
+					}
+				}, {
+					protect,
+					dependsOn: keepResourcesOnly([this, topic])
+				})
+			}
+
+			this.dashboardWidgets = this.name.apply(functionName => _getDashboardWidgets({ 
+				functionName, 
+				region: aws.config.region, 
+				streamEventSource: monitoringConfig.streamEventSource
+			}))
+
+			if (monitoringConfig.dashboard) {
+				const dashboardName = `${name}-dashboard`
+				// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/cloudwatch/dashboard/
+				this.dashboard = new aws.cloudwatch.Dashboard(dashboardName, {
+					dashboardName,
+					dashboardBody: this.dashboardWidgets.apply(widgets => JSON.stringify({ widgets }))
+				}, {
+					protect,
+					dependsOn:[this]
+				})
+			}
+		}
+		this.schedule = _schedule
+		this.schedules = schedules
+		this.schedulerRole = this.schedulerRole || null
+		this.eventRules = eventRules
+		this.allowAllResponsesSg = asyncData.allowAllResponsesSg
+	}
+
+	/**
+	 * Attach a  policy to a Lambda role. Potentially creates a new Policy. This API supports multiple signatures:
+	 * 
+	 * ('policy-attachement-123', { name:'xxx', description:'xxx', policy:'xxxx' }) => ... or
+	 * ('policy-attachement-123', policyOutput) => ... or
+	 * ({ name:'xxx', description:'xxx', policy:'xxxx' }) => ... or
+	 * (policyOutput) => ... or
+	 *
+	 * When the 'attachName' is not specified, its default is `${lambdaRoleName}-${policyName}`.
+	 * 
+	 * @param  {Object} 						attachName|policyDef|policy	
+	 * @param  {Object} 						policyDef|policy	
+	 * 
+	 * @return {Output<Object>}					output
+	 * @return {Output<Policy>}						.policy
+	 * @return {Output<RolePolicyAttachment>}		.rolePolicyAttachment
+	 */
+	static attachPolicy(lambda, ...args) {
+		if (!lambda)
+			throw new Error('Missing 1st argument \'lambda\'.')
+		if (!lambda.role)
+			throw new Error('Wrong argument exception. \'lambda\' argument is missing its required \'role\' property.')
+
+		const [attachName, policyDef] = args.length == 1 ? [null, args[0]] : args
+		if (!policyDef)
+			throw new Error('Missing required argument \'policyDef\'')
+		if (!policyDef.name)
+			throw new Error('Missing required argument \'policyDef.name\'.')
+		
+		const policyDefExists = !policyDef.arn && policyDef.policy
+
+		const policy = policyDefExists
+			? new aws.iam.Policy(policyDef.name, policyDef)
+			: policyDef
+		
+		if (!policy.arn)
+			throw new Error('Missing required argument \'policy.arn\'')
+
+		return pulumi.all([lambda.role.name, policy.name, policy.arn]).apply(([role, policyName, policyArn]) => {
+			if (!role)
+				throw new Error('Missing required argument \'lambda.role.name\'')
+
+			const name = attachName && typeof(attachName) == 'string' 
+				? attachName
+				: `${role}-${policyName}`
+			return {
+				policy,
+				rolePolicyAttachment: new aws.iam.RolePolicyAttachment(name, { 
+					role, 
+					policyArn 
+				}, {
+					dependsOn:[policy]
+				})
+			}
+		})
+	}
+
+	/**
+	 * Creates an EventBridge Scheduler schedule that invokes this Lambda. The scheduler's execution role is created once
+	 * and shared by all the schedules of this Lambda. Doc: https://www.pulumi.com/registry/packages/aws/api-docs/scheduler/schedule/
+	 * 
+	 * @param  {Object}				sched
+	 * @param  {String}					.expression			'rate()', 'cron()' or 'at()'
+	 * @param  {String}					.timezone			IANA time zone (e.g., 'Australia/Sydney').
+	 * @param  {Number}					.flexibleWindow		Minutes.
+	 * @param  {String|Date}			.startDate
+	 * @param  {String|Date}			.endDate
+	 * @param  {String}					.group
+	 * @param  {Object}					.payload
+	 * @param  {String}					.alias
+	 * @param  {String}					.resourceName
+	 * @param  {Object}				options
+	 * @param  {String}					.name				Lambda's name.
+	 * @param  {String}					.suffix
+	 * @param  {Object}					.tags
+	 * @param  {Boolean}				.protect
+	 * 
+	 * @return {Object}				output
+	 * @return {Output<Schedule>}		.schedule
+	 */
+	_createSchedulerSchedule(sched, { name, suffix, tags, protect }) {
+		const { resourceName, expression, timezone, flexibleWindow, startDate, endDate, group, payload, alias:aliasName } = sched
+		if (!expression)
+			throw new Error(`Missing required 'expression' in scheduler schedule of lambda ${name}.`)
+		if (timezone) {
+			try {
+				new Intl.DateTimeFormat('en-US', { timeZone:timezone })
+			} catch(err) {
+				throw new Error(`Wrong argument exception. '${timezone}' is not a valid IANA time zone (e.g., 'Australia/Sydney').`)
+			}
+		}
+		if (flexibleWindow !== undefined && (typeof(flexibleWindow) != 'number' || flexibleWindow < 1 || flexibleWindow > 1440))
+			throw new Error(`Wrong argument exception. 'flexibleWindow' must be a number of minutes between 1 and 1440. Found ${flexibleWindow} instead.`)
+		if (payload && typeof(payload) != 'object')
+			throw new Error(`Wrong argument exception. 'payload' is expecting an object. Found ${typeof(payload)} instead.`)
+
+		const alias = aliasName ? this.aliases[aliasName] : null
+
+		if (!this.schedulerRole) {
+			const roleName = `${name}-scheduler`
+			// Doc: https://docs.aws.amazon.com/scheduler/latest/UserGuide/setting-up.html#setting-up-execution-role
+			this.schedulerRole = new aws.iam.Role(roleName, {
+				description: `Role assumed by EventBridge Scheduler to invoke lambda '${name}'`,
+				assumeRolePolicy: {
+					Version: '2012-10-17',
+					Statement: [{
+						Action: 'sts:AssumeRole',
+						Principal: {
+							Service: 'scheduler.amazonaws.com'
+						},
+						Effect: 'Allow',
+						Sid: ''
+					}],
+				},
+				tags: {
+					...tags,
+					Name: roleName
+				}
+			}, { 
+				protect 
+			})
+			this._schedulerPolicy = new aws.iam.RolePolicy(roleName, {
+				role: this.schedulerRole.id,
+				policy: this.arn.apply(arn => JSON.stringify({
+					Version: '2012-10-17',
+					Statement: [{
+						Effect: 'Allow',
+						Action: 'lambda:InvokeFunction',
+						Resource: [arn, `${arn}:*`] // Includes the aliases and versions
+					}]
+				}))
+			}, { 
+				protect 
+			})
+		}
+
+		const scheduleName = resourceName || `${name}-schedule${suffix}`
+		const _date = d => d instanceof Date ? d.toISOString().replace(/\.\d{3}Z$/, 'Z') : d
+		const schedule = new aws.scheduler.Schedule(scheduleName, {
+			name: scheduleName,
+			description: `Fire lambda ${name} on a schedule`,
+			groupName: group,
+			scheduleExpression: expression,
+			scheduleExpressionTimezone: timezone,
+			startDate: _date(startDate),
+			endDate: _date(endDate),
+			flexibleTimeWindow: flexibleWindow 
+				? { mode:'FLEXIBLE', maximumWindowInMinutes:flexibleWindow } 
+				: { mode:'OFF' },
+			target: {
+				arn: alias ? alias.arn : this.arn,
+				roleArn: this.schedulerRole.arn,
+				input: payload ? JSON.stringify(payload) : undefined
+			}
+		}, {
+			protect,
+			dependsOn: [this, this.schedulerRole, this._schedulerPolicy]
+		})
+
+		return {
+			schedule
+		}
+	}
+}
+
+class LambdaLayer extends aws.lambda.LayerVersion {
+	/**
+	 * Creates a new Lambda layer. Doc: https://www.pulumi.com/docs/reference/pkg/aws/lambda/layerversion/
+	 * 
+	 * @param  {String}					name        
+	 * @param  {String}					runtime					e.g., 'nodejs12.x', 'nodejs14.x'. Full list at https://docs.aws.amazon.com/lambda/latest/dg/API_PublishLayerVersion.html#SSS-PublishLayerVersion-request-CompatibleRuntimes
+	 * @param  {[String]}				runtimes				Use this instead of 'runtime' when the layer is compatible with multiple runtimes.
+	 * @param  {[String]}				architectures			e.g., ['x86_64'], ['arm64'] or ['x86_64', 'arm64']
+	 * @param  {String}					dir						Absolute path to the folder that contains the layer's code. Required if 'manifest' is not set.
+	 * @param  {String}					manifest				(2) Absolute path to a 'package.json' or a 'requirements.txt'. Required if 'dir' is not set.
+	 * @param  {String}					outDir					Only applies to 'manifest'. Default is the 'pulumix-lambda-builds' folder in the OS temp folder.
+	 * @param  {Object}					sharing					(3)
+	 * @param  {[String]}					.accounts			AWS account IDs allowed to use this layer.
+	 * @param  {String}						.organizationId		AWS Organization ID (e.g., 'o-1234abcd') whose accounts are allowed to use this layer.
+	 * @param  {String}					description		
+	 * @param  {String}					licenseInfo 			e.g., 'BSD-3-Clause' (or 'https://opensource.org/licenses/BSD-3-Clause'), 'MIT' (or 'https://opensource.org/licenses/MIT') doc: https://docs.aws.amazon.com/lambda/latest/dg/API_PublishLayerVersion.html#SSS-PublishLayerVersion-request-LicenseInfo
+	 * @param  {Object}					tags
+	 * @param  {Output<Resource>}		parent
+	 * @param  {Output<[Resource]>}		dependsOn
+	 * @param  {Boolean}				protect		
+	 * 
+	 * @return {Output<LayerVersion>}	layer
+	 * @return {Output<String>} 			.id
+	 * @return {Output<String>} 			.name
+	 * @return {Output<String>} 			.arn
+	 * @return {Output<Object>} 			...
+	 * @return {Output<String>}				.version			e.g., '1', '2'
+	 * @return {Output<String>}				.layerArn			Different from the 'arn'. The 'arn' includes the version (1). 
+	 * @return {[Output<LayerVersionPermission>]}	.permissions
+	 *
+	 * (1) 'arn' vs 'layerArn': 
+	 * 		- arn: 		'arn:aws:lambda:ap-southeast-2:1234:layer:aws-layer-dev-layer-01:1' 
+	 * 		- layerArn: 'arn:aws:lambda:ap-southeast-2:1234:layer:aws-layer-dev-layer-01' 
+	 * (2) The dependencies are installed in the folder expected by the runtime (i.e., 'nodejs/node_modules' or 'python'). 
+	 * A new layer version is only published when the manifest, its lock file, the runtimes or the architectures change. 
+	 * WARNING: Dependencies compiled during the install (e.g., npm native modules) may differ between builds. Keep the 
+	 * 'outDir' between deployments (e.g., CI cache) to avoid publishing a new version each time they are rebuilt.
+	 * (3) Sharing only applies to the current layer version. Doc: https://docs.aws.amazon.com/lambda/latest/dg/permissions-layer-cross-account.html
+	 */
+	constructor({ name, runtime, runtimes, architectures, dir, manifest, outDir, sharing, description, licenseInfo, tags, parent, dependsOn, protect }) {
+		if (!name)
+			throw new Error('Missing required \'name\' argument .')
+		if (!runtime && !(runtimes && runtimes.length))
+			throw new Error('Missing required \'runtime\' argument .')
+		if (!dir && !manifest)
+			throw new Error('Missing required \'dir\' argument .')
+		if (dir && manifest)
+			throw new Error('Wrong argument exception. \'dir\' and \'manifest\' cannot be set at the same time.')
+
+		tags = tags || {}
+		const compatibleRuntimes = [...new Set([...(runtime ? [runtime] : []), ...(runtimes||[])])]
+		const { accounts, organizationId } = sharing || {}
+
+		let code, sourceCodeHash
+		if (manifest) {
+			const archive = _buildLayerArchive({ name, manifest, runtimes:compatibleRuntimes, architectures, outDir })
+			code = archive.apply(a => new pulumi.asset.FileArchive(a.file))
+			// The archive is content-addressed (i.e., its file name contains the dependency hash) and excludes the files that 
+			// differ between installs, so a new version is only published when the manifest, its lock file, the runtimes or 
+			// the architectures change (except for dependencies compiled during the install, see 'buildLayerArchive').
+			sourceCodeHash = archive.dependencyHash
+		} else {
+			const asyncCheck = pulumi.output(_fileExists(dir)).apply(dirFound => {
+				if (!dirFound)
+					throw new Error(`Directory '${dir}' not found.`)
+			})
+			code = asyncCheck.apply(() => new pulumi.asset.AssetArchive({
+				'.': new pulumi.asset.FileArchive(dir),
+			}))
+		}
+
+		// Lambda layer doc: https://www.pulumi.com/docs/reference/pkg/aws/lambda/layerversion/
+		super(name, {
+			layerName: name,
+			compatibleRuntimes,
+			compatibleArchitectures: architectures,
+			description,
+			licenseInfo,
+			code,
+			sourceCodeHash,
+			// code: new pulumi.asset.FileArchive("lambda_layer_payload.zip"),
+			tags: {
+				...tags,
+				Name: name
+			}
+		}, {
+			parent, 
+			dependsOn, 
+			protect
+		})
+
+		// Sharing. Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/layerversionpermission/
+		const versionNumber = this.version.apply(v => Number(v))
+		this.permissions = [
+			...(accounts||[]).map(account => ({ suffix:account, principal:account })),
+			...(organizationId ? [{ suffix:'org', principal:'*', organizationId }] : [])
+		].map(({ suffix, principal, organizationId }) => new aws.lambda.LayerVersionPermission(`${name}-share-${suffix}`, {
+			layerName: this.layerArn,
+			versionNumber,
+			statementId: `share-${suffix}`,
+			action: 'lambda:GetLayerVersion',
+			principal,
+			organizationId
+		}, {
+			protect,
+			dependsOn: [this]
+		}))
+	}
+}
+
+/**
+ * 
+ * 
+ * @param  {Object}						vpcConfig
+ * @param  {String}							.name							Lambda's name.
+ * @param  {Object}							.tags							Lambda's tags.
+ * @param  {Output<String>}					.vpcId							Only required if 'vpcConfig.allResponsesAllowed' is true.
+ * @param  {Output<[Subnet]>}				.subnets
+ * @param  {Output<[String]>}				.subnetIds
+ * @param  {Output<[SecurityGroup]>}		.securityGroups
+ * @param  {Output<[String]>}				.securityGroupIds				
+ * @param  {Boolean}						.allResponsesAllowed			Default false. When true, a new security group with an egress allowing all traffic is created and associted with this lambda.
+ * 
+ * @return {Output<Object>}				output
+ * @return {Output<Object>}					.config
+ * @return {Output<[String]>}						.subnetIds
+ * @return {Output<[String]>}						.securityGroupIds
+ * @return {Output<[SecurityGroup]>}		.securityGroups					All security groups. They will be used to create a dependency on the Lambda to avoid deleting conflicts and the stack is destroyed.
+ * @return {Output<[Subnet]>}				.subnets						vpcConfig.subnets
+ * @return {Output<SecurityGroup>}			.allowAllResponsesSg			New security group created to allow all responses from the Lambda. It is also included in the 'output.securityGroups'
+ */
+const _parseVpcConfig = vpcConfig => {
+	vpcConfig = vpcConfig || {}
+	return pulumi.all([
+		vpcConfig.vpcId,
+		vpcConfig.allResponsesAllowed,
+		pulumi.output(vpcConfig.subnets).apply(subnets => {
+			return [
+				subnets||[],
+				pulumi.all((subnets||[]).map(s => s.id))
+			]
+		}),
+		pulumi.output(vpcConfig.subnetIds).apply(ids => pulumi.all(ids||[])),
+		pulumi.output(vpcConfig.securityGroups).apply(groups => pulumi.all(groups||[])),
+		pulumi.output(vpcConfig.securityGroupIds).apply(ids => pulumi.all(ids||[]))
+	]).apply(([vpcId, allResponsesAllowed, [subnets, implicitSubnetIds], explicitSubnetIds, securityGroups, securityGroupIds]) => {
+		let allowAllResponsesSg = null
+		if (allResponsesAllowed) {
+			if (!vpcId)
+				throw new Error('Missing required argument \'vpcConfig.vpcId\'. When \'vpcConfig.allResponsesAllowed\' is set to true, \'vpcConfig.vpcId\' is required.')
+
+			securityGroups = securityGroups || []
+			// Creates new Security Group to allow all responses from the Lambda.
+			allowAllResponsesSg = new SecurityGroup({
+				name: `allow-all-response-sg-${vpcConfig.name}`, 
+				description: `Allow all responses for Lambda ${vpcConfig.name}.`, 
+				vpcId, 
+				egress: [{  
+					protocol: '-1',  
+					fromPort:0, toPort:65535, cidrBlocks: ['0.0.0.0/0'],  
+					ipv6CidrBlocks: ['::/0'],  
+					description:'Allow all traffic' 
+				}], 
+				tags: vpcConfig.tags
+			})
+			securityGroups.push(allowAllResponsesSg)
+		}
+
+		const subnetIds = [...(implicitSubnetIds||[]), ...(explicitSubnetIds||[])]
+
+		const common = {
+			subnets,
+			securityGroups,
+			allowAllResponsesSg
+		}
+
+		if (!subnetIds || !subnetIds.length)
+			return common
+		else if (!securityGroups || !securityGroups.length)
+			return { config: { subnetIds, securityGroupIds }, ...common }
+		else 
+			return pulumi.all(securityGroups.map(sg => sg.id)).apply(sgIds => ({
+				config: {
+					subnetIds,
+					securityGroupIds: sgIds.reduce((acc, id) => {
+						if (id)
+							acc.push(id)
+						return acc
+					}, securityGroupIds || [])
+				},
+				...common
+			}))
+	})
+}
+
+/**
+ * Validates the 'aliases' input.
+ * 
+ * @param  {[Object]}	aliases
+ * 
+ * @return {[String]}	aliasNames
+ */
+const _validateAliases = aliases => {
+	if (!aliases)
+		return []
+	if (!Array.isArray(aliases))
+		throw new Error(`Wrong argument exception. 'aliases' is expected to be an array. Found ${typeof(aliases)} instead.`)
+
+	return aliases.reduce((acc, alias, idx) => {
+		if (!alias || !alias.name)
+			throw new Error(`Missing required 'aliases[${idx}].name'`)
+		if (acc.indexOf(alias.name) >= 0)
+			throw new Error(`Alias '${alias.name}' defined more than once`)
+		if (alias.routing) {
+			if (!alias.routing.version)
+				throw new Error(`Missing required 'aliases[${idx}].routing.version'`)
+			if (typeof(alias.routing.weight) != 'number' || alias.routing.weight < 0 || alias.routing.weight > 1)
+				throw new Error(`Wrong argument exception. 'aliases[${idx}].routing.weight' must be a number between 0 and 1. Found ${alias.routing.weight} instead.`)
+		}
+		if (alias.provisionedConcurrency !== undefined && (typeof(alias.provisionedConcurrency) != 'number' || alias.provisionedConcurrency < 1))
+			throw new Error(`Wrong argument exception. 'aliases[${idx}].provisionedConcurrency' must be a positive number. Found ${alias.provisionedConcurrency} instead.`)
+
+		acc.push(alias.name)
+		return acc
+	}, [])
+}
+
+/**
+ * Gets the function URL config with its default values.
+ * 
+ * @param  {Boolean|Object}		functionUrl
+ * 
+ * @return {Object}				config			Null if the function URL is not required.
+ * @return {String}					.authType		'AWS_IAM' or 'NONE'
+ * @return {String}					.alias
+ * @return {Boolean}				.streaming
+ * @return {Object}					.cors
+ */
+const _getFunctionUrlConfig = functionUrl => {
+	if (!functionUrl)
+		return null
+
+	const { authType:_authType, alias, streaming, cors } = functionUrl === true ? {} : functionUrl
+	const authType = (_authType || 'AWS_IAM').trim().toUpperCase()
+	if (FUNCTION_URL_AUTH_TYPES.indexOf(authType) < 0)
+		throw new Error(`Wrong argument exception. 'functionUrl.authType' must be one of those values: ${FUNCTION_URL_AUTH_TYPES}. Found ${_authType} instead.`)
+	if (cors && cors.maxAge !== undefined && (typeof(cors.maxAge) != 'number' || cors.maxAge < 0 || cors.maxAge > 86400))
+		throw new Error(`Wrong argument exception. 'functionUrl.cors.maxAge' must be a number between 0 and 86400. Found ${cors.maxAge} instead.`)
+
+	return {
+		authType,
+		alias,
+		streaming: streaming ? true : false,
+		cors: cors ? {
+			allowOrigins: cors.allowOrigins && cors.allowOrigins.length ? cors.allowOrigins : ['*'],
+			allowMethods: cors.allowMethods && cors.allowMethods.length ? cors.allowMethods : ['*'],
+			allowHeaders: cors.allowHeaders,
+			exposeHeaders: cors.exposeHeaders,
+			allowCredentials: cors.allowCredentials ? true : false,
+			maxAge: cors.maxAge
+		} : undefined
+	}
+}
+
+/**
+ * Validates the 'async' input.
+ * 
+ * @param  {Object}		asyncInvocation
+ * @param  {[String]}	aliasNames
+ * 
+ * @return {Void}
+ */
+const _validateAsyncInvocation = (asyncInvocation, aliasNames) => {
+	if (!asyncInvocation)
+		return
+
+	const { maximumRetryAttempts, maximumEventAgeInSeconds, alias, onSuccess, onFailure } = asyncInvocation
+	if (maximumRetryAttempts !== undefined && [0,1,2].indexOf(maximumRetryAttempts) < 0)
+		throw new Error(`Wrong argument exception. 'async.maximumRetryAttempts' must be 0, 1 or 2. Found ${maximumRetryAttempts} instead.`)
+	if (maximumEventAgeInSeconds !== undefined && (typeof(maximumEventAgeInSeconds) != 'number' || maximumEventAgeInSeconds < 60 || maximumEventAgeInSeconds > 21600))
+		throw new Error(`Wrong argument exception. 'async.maximumEventAgeInSeconds' must be a number between 60 and 21600. Found ${maximumEventAgeInSeconds} instead.`)
+	if (alias && aliasNames.indexOf(alias) < 0)
+		throw new Error(`Alias '${alias}' referenced in 'async.alias' is not defined in 'aliases'. Defined aliases: ${aliasNames}.`)
+	if (onSuccess && !onSuccess.arn)
+		throw new Error('Missing required \'async.onSuccess.arn\'.')
+	if (onFailure && !onFailure.arn)
+		throw new Error('Missing required \'async.onFailure.arn\'.')
+}
+
+/**
+ * Builds the zip archive of a 'zip' Lambda. Doc: ./utils.js
+ * 
+ * @param  {String}				name
+ * @param  {String}				dir
+ * @param  {String}				runtime
+ * @param  {Boolean|Object}		build
+ * 
+ * @return {Output<Object>}		archive
+ * @return {Output<String>}			.file
+ * @return {Output<String>}			.hash
+ */
+const _buildArchive = ({ name, dir, runtime, build }) => pulumi.output(buildArchive({ name, dir, runtime, build }).then(([errors, archive]) => {
+	if (errors)
+		throw mergeErrors(errors)
+	return archive
+}))
+
+/**
+ * Builds the layer zip archive from a dependency manifest.
+ * 
+ * @param  {String}				name
+ * @param  {String}				manifest
+ * @param  {[String]}			runtimes
+ * @param  {[String]}			architectures
+ * @param  {String}				outDir
+ * 
+ * @return {Output<Object>}		archive
+ * @return {Output<String>}			.file
+ * @return {Output<String>}			.hash
+ * @return {Output<String>}			.dependencyHash
+ */
+const _buildLayerArchive = props => pulumi.output(buildLayerArchive(props).then(([errors, archive]) => {
+	if (errors)
+		throw mergeErrors(errors)
+	return archive
+}))
+
+/**
+ * Gets the X-Ray tracing mode.
+ * 
+ * @param  {Boolean|String}		tracing		Valid values: true, false, 'Active', 'PassThrough'
+ * 
+ * @return {String}				mode		null, 'Active' or 'PassThrough'
+ */
+const _getTracingMode = tracing => {
+	if (!tracing)
+		return null
+	if (tracing === true)
+		return 'Active'
+
+	const mode = TRACING_MODES.find(m => m.toLowerCase() == `${tracing}`.trim().toLowerCase())
+	if (!mode)
+		throw new Error(`Wrong argument exception. 'tracing' must be a boolean or one of those values: ${TRACING_MODES}. Found ${tracing} instead.`)
+	
+	return mode
+}
+
+/**
+ * Gets the monitoring config with its default values.
+ * 
+ * @param  {Boolean|Object}		monitoring
+ * @param  {Object}				options
+ * @param  {Number}					.timeout				Lambda's timeout in seconds.
+ * @param  {Boolean}				.streamEventSource		True if the Lambda uses a stream event source (e.g., 'kinesis').
+ * 
+ * @return {Object}				config						Null if monitoring is off.
+ * @return {Object}					.alarms					Key value pairs where the key is the alarm type (e.g., 'errors').
+ * @return {Boolean}				.dashboard
+ * @return {Boolean}				.streamEventSource
+ */
+const _getMonitoringConfig = (monitoring, { timeout, streamEventSource }) => {
+	if (!monitoring)
+		return null
+
+	const { topic, dashboard=true, ...alarmConfigs } = monitoring === true ? {} : monitoring
+	if (topic && !topic.arn)
+		throw new Error('Missing required argument \'monitoring.topic.arn\'.')
+
+	const defaultAlarms = {
+		errors: { metricName:'Errors', statistic:'Sum', threshold:1 },
+		throttles: { metricName:'Throttles', statistic:'Sum', threshold:1 },
+		duration: { metricName:'Duration', extendedStatistic:'p95', percentOfTimeout:0.8 },
+		iteratorAge: { metricName:'IteratorAge', statistic:'Maximum', threshold:60000 }
+	}
+
+	const alarms = {}
+	for (let alarmType in defaultAlarms) {
+		const alarmConfig = alarmConfigs[alarmType]
+		if (alarmConfig === false || (alarmType == 'iteratorAge' && !streamEventSource))
+			continue
+
+		const { percentOfTimeout, ...alarm } = { 
+			...defaultAlarms[alarmType], 
+			evaluationPeriods: 1,
+			period: 60,
+			topic,
+			...(alarmConfig && typeof(alarmConfig) == 'object' ? alarmConfig : {}) 
+		}
+		if (alarm.topic && !alarm.topic.arn)
+			throw new Error(`Missing required argument 'monitoring.${alarmType}.topic.arn'.`)
+		if (percentOfTimeout !== undefined && alarm.threshold === undefined) {
+			if (typeof(percentOfTimeout) != 'number' || percentOfTimeout <= 0 || percentOfTimeout > 1)
+				throw new Error(`Wrong argument exception. 'monitoring.${alarmType}.percentOfTimeout' must be a number between 0 and 1. Found ${percentOfTimeout} instead.`)
+			alarm.threshold = Math.round(timeout * 1000 * percentOfTimeout) // 'Duration' unit is milliseconds
+		}
+		if (typeof(alarm.threshold) != 'number')
+			throw new Error(`Wrong argument exception. 'monitoring.${alarmType}.threshold' must be a number. Found ${alarm.threshold} instead.`)
+
+		alarms[alarmType] = alarm
+	}
+
+	return {
+		alarms,
+		dashboard: dashboard ? true : false,
+		streamEventSource
+	}
+}
+
+/**
+ * Gets the CloudWatch dashboard widgets for a Lambda. Doc: https://docs.aws.amazon.com/AmazonCloudWatch/latest/APIReference/CloudWatch-Dashboard-Body-Structure.html
+ * 
+ * @param  {String}		functionName
+ * @param  {String}		region
+ * @param  {Boolean}	streamEventSource		True adds an 'IteratorAge' widget.
+ * 
+ * @return {[Object]}	widgets
+ */
+const _getDashboardWidgets = ({ functionName, region, streamEventSource }) => {
+	const metric = (metricName, stat) => ['AWS/Lambda', metricName, 'FunctionName', functionName, { stat }]
+	const widget = (title, metrics, x, y) => ({
+		type: 'metric',
+		x,
+		y,
+		width: 12,
+		height: 6,
+		properties: {
+			title: `${functionName} - ${title}`,
+			region,
+			view: 'timeSeries',
+			stacked: false,
+			period: 60,
+			metrics
+		}
+	})
+
+	const widgets = [
+		widget('Invocations', [metric('Invocations', 'Sum'), metric('Errors', 'Sum'), metric('Throttles', 'Sum')], 0, 0),
+		widget('Duration', [metric('Duration', 'p50'), metric('Duration', 'p95'), metric('Duration', 'Maximum')], 12, 0),
+		widget('Concurrency', [metric('ConcurrentExecutions', 'Maximum')], 0, 6)
+	]
+	if (streamEventSource)
+		widgets.push(widget('Iterator age', [metric('IteratorAge', 'Maximum')], 12, 6))
+
+	return widgets
+}
+
+const _leanifyImage = resource => {
+	const { imageValue, repository } = resource || {}	
+	if (!imageValue || !repository || !repository.repository)
+		return resource
+
+	const { id, arn, name, registryId, repositoryUrl } = repository.repository
+	return {
+		uri: imageValue,
+		repository: {
+			id, 
+			arn, 
+			name, 
+			registryId, 
+			url: repositoryUrl
+		}
+	}
+}
+
+/**
+ * Adds the policies based on the config. 
+ * 
+ * @param  {[Policy]}					policies
+ * @param  {String}						prefix
+ * @param  {Object}						config
+ * @param  {Boolean}						.cloudwatch
+ * @param  {Output<Object>}					.vpcConfig
+ * @param  {Output<[String]>}					.subnetIds
+ * @param  {Output<[SecurityGroup]>}			.securityGroups
+ * @param  {Output<[String]>}					.securityGroupIds				Not recommended. 
+ * @param  {Boolean}						.fileSystemConfig
+ * @param  {[EventSource]}					.eventSources
+ * @param  {Object}							.asyncInvocation
+ * @param  {Output<Resource>}					.onSuccess
+ * @param  {Output<Resource>}					.onFailure
+ * @param  {String}							.tracing						X-Ray tracing mode (e.g., 'Active').
+ * @param  {Output<Queue>}					.deadLetterQueue
+ * @param  {Boolean}						.protect
+ * 
+ * @return {[Policy]}					updatedPolicies
+ */
+const _configurePolicies = (policies, prefix, config) => {
+	const AWSLambdaVPCAccessExecutionRole = 'arn:aws:iam::aws:policy/service-role/AWSLambdaVPCAccessExecutionRole'
+	const AWSLambdaBasicExecutionRole = 'arn:aws:iam::aws:policy/service-role/AWSLambdaBasicExecutionRole'
+	const AmazonElasticFileSystemClientFullAccess = 'arn:aws:iam::aws:policy/AmazonElasticFileSystemClientFullAccess'
+	const AWSXRayDaemonWriteAccess = 'arn:aws:iam::aws:policy/AWSXRayDaemonWriteAccess'
+	const EVENT_SOURCE_POLICIES = {
+		sqs: 'arn:aws:iam::aws:policy/service-role/AWSLambdaSQSQueueExecutionRole',
+		dynamodb: 'arn:aws:iam::aws:policy/service-role/AWSLambdaDynamoDBExecutionRole',
+		kinesis: 'arn:aws:iam::aws:policy/service-role/AWSLambdaKinesisExecutionRole',
+		msk: 'arn:aws:iam::aws:policy/service-role/AWSLambdaMSKExecutionRole'
+	}
+
+	const updatedPolicies = [...(policies || [])]
+	const { cloudwatch, fileSystemConfig, vpcConfig, eventSources:_eventSources, asyncInvocation, tracing, deadLetterQueue, protect } = config || {}
+	const eventSources = (_eventSources || []).filter(e => e)
+
+	const efsAccess = fileSystemConfig && fileSystemConfig.arn
+	const vpcAccess = efsAccess || (vpcConfig && vpcConfig.subnetIds)
+	if (vpcAccess && !updatedPolicies.some(p => p.arn == AWSLambdaVPCAccessExecutionRole))
+		updatedPolicies.push({
+			name: `${prefix}-vpc-access`,
+			// 'AWSLambdaVPCAccessExecutionRole' contains 'AWSLambdaBasicExecutionRole'
+			arn: AWSLambdaVPCAccessExecutionRole
+		})
+	else if (cloudwatch && !updatedPolicies.some(p => p.arn == AWSLambdaBasicExecutionRole))
+		// Enables the lambda to send logs to cloudwatch
+		updatedPolicies.push({ 
+			name: `${prefix}-cloudwatch`, 
+			arn: AWSLambdaBasicExecutionRole
+		})
+
+	if (efsAccess && !updatedPolicies.some(p => p.arn == AmazonElasticFileSystemClientFullAccess))
+		// To access EFS, the execution role for the lambda function must provide those two policies:
+		// Doc: https://aws.amazon.com/blogs/compute/using-amazon-efs-for-aws-lambda-in-your-serverless-applications/
+		updatedPolicies.push({
+			name: `${prefix}-efs-access`,
+			arn: AmazonElasticFileSystemClientFullAccess
+		})
+
+	for (let type in EVENT_SOURCE_POLICIES) {
+		const policyArn = EVENT_SOURCE_POLICIES[type]
+		if (eventSources.some(e => e.name == type) && !updatedPolicies.some(p => p.arn == policyArn))
+			updatedPolicies.push({
+				name: `${prefix}-${type}-access`,
+				arn: policyArn
+			})
+	}
+
+	const brokerAccessPolicy = _createBrokerAccessPolicy(prefix, eventSources.filter(e => e.name == 'kafka' || e.name == 'aws_mq'), protect)
+	if (brokerAccessPolicy)
+		updatedPolicies.push(brokerAccessPolicy)
+
+	const { onSuccess, onFailure } = asyncInvocation || {}
+	const destinations = [onSuccess, onFailure].filter(d => d)
+	if (destinations.length)
+		updatedPolicies.push(_createDestinationsPolicy(`${prefix}-async-destinations`, destinations))
+
+	if (deadLetterQueue)
+		updatedPolicies.push(_createDestinationsPolicy(`${prefix}-dlq`, [deadLetterQueue]))
+
+	if (tracing && !updatedPolicies.some(p => p.arn == AWSXRayDaemonWriteAccess))
+		// Enables the lambda to send traces to X-Ray
+		updatedPolicies.push({
+			name: `${prefix}-xray`,
+			arn: AWSXRayDaemonWriteAccess
+		})
+
+	return updatedPolicies
+}
+
+/**
+ * Creates the policy that allows the 'kafka' and 'aws_mq' event source mappings to read their broker, their credentials
+ * stored in AWS Secrets Manager and to connect to their VPC. 
+ * Doc: https://docs.aws.amazon.com/lambda/latest/dg/with-mq.html#events-mq-permissions
+ * 
+ * @param  {String}						prefix
+ * @param  {[EventSource]}				eventSources		Only 'kafka' and 'aws_mq' event sources.
+ * @param  {Boolean}					protect
+ * 
+ * @return {Object}						policy				Null if no permissions are required.
+ * @return {String}							.name
+ * @return {Output<String>}					.arn
+ */
+const _createBrokerAccessPolicy = (prefix, eventSources, protect) => {
+	if (!eventSources || !eventSources.length)
+		return null
+
+	const brokerArns = eventSources.filter(e => e.name == 'aws_mq' && e.broker).map(e => e.broker.arn)
+	const secretArns = eventSources.reduce((acc, e) => {
+		if (e.secret && e.secret.arn)
+			acc.push(e.secret.arn)
+		acc.push(...(e.sourceAccessConfigurations||[]).filter(c => c && c.uri && !/^VPC_/.test(c.type)).map(c => c.uri))
+		return acc
+	}, [])
+	// Amazon MQ brokers are always deployed in a VPC.
+	const vpcAccess = eventSources.some(e => e.name == 'aws_mq' || (e.sourceAccessConfigurations||[]).some(c => c && /^VPC_/.test(c.type)))
+
+	if (!brokerArns.length && !secretArns.length && !vpcAccess)
+		return null
+
+	const policyName = `${prefix}-broker-access`
+	const policy = new aws.iam.Policy(policyName, {
+		name: policyName,
+		path: '/',
+		description: `Allows the event source mappings of lambda ${prefix} to access their brokers.`,
+		policy: pulumi.all([pulumi.all(brokerArns), pulumi.all(secretArns)]).apply(([brokers, secrets]) => {
+			const Statement = []
+			if (brokers.length)
+				Statement.push({
+					Effect: 'Allow',
+					Action: ['mq:DescribeBroker'],
+					Resource: brokers
+				})
+			if (secrets.length)
+				Statement.push({
+					Effect: 'Allow',
+					Action: ['secretsmanager:GetSecretValue'],
+					Resource: secrets
+				})
+			if (vpcAccess)
+				Statement.push({
+					Effect: 'Allow',
+					Action: [
+						'ec2:CreateNetworkInterface',
+						'ec2:DeleteNetworkInterface',
+						'ec2:DescribeNetworkInterfaces',
+						'ec2:DescribeSecurityGroups',
+						'ec2:DescribeSubnets',
+						'ec2:DescribeVpcs'
+					],
+					Resource: '*'
+				})
+
+			return JSON.stringify({
+				Version: '2012-10-17',
+				Statement
+			})
+		})
+	}, {
+		protect
+	})
+
+	return {
+		name: policyName,
+		arn: policy.arn
+	}
+}
+
+/**
+ * Creates the policy that allows the Lambda to send records to its destinations. The permitted action depends on the service 
+ * found in the destination's ARN. Doc: https://docs.aws.amazon.com/lambda/latest/dg/invocation-async.html#invocation-async-destinations
+ * 
+ * @param  {String}						policyName
+ * @param  {[Output<Resource>]}			destinations		Resources with an 'arn' property (e.g., Queue, Topic, Lambda).
+ * 
+ * @return {Object}						policy
+ * @return {String}							.name
+ * @return {Output<String>}					.arn
+ */
+const _createDestinationsPolicy = (policyName, destinations) => {
+	const policy = new aws.iam.Policy(policyName, {
+		name: policyName,
+		path: '/',
+		description: `Allows a lambda to send records to its destinations (${policyName}).`,
+		policy: pulumi.all(destinations.map(d => d.arn)).apply(arns => JSON.stringify({
+			Version: '2012-10-17',
+			Statement: arns.map(arn => {
+				const service = (arn||'').split(':')[2]
+				const action = DESTINATION_ACTIONS[service]
+				if (!action)
+					throw new Error(`Destination '${arn}' not supported. Supported destination services: ${Object.keys(DESTINATION_ACTIONS)}.`)
+				return {
+					Effect: 'Allow',
+					Action: [action],
+					Resource: arn
+				}
+			})
+		}))
+	})
+
+	return {
+		name: policyName,
+		arn: policy.arn
+	}
+}
+
+/**
+ * Gets the EventSourceMapping's properties for a specific event source.
+ * 
+ * @param  {String}						type				Valid values: 'sqs', 'dynamodb', 'kinesis', 'msk', 'kafka', 'aws_mq'
+ * @param  {Object}						eventSource			Event source without its 'name' and 'resourceName' properties.
+ * 
+ * @return {Object}						props				
+ * @return {Output<String>}					.eventSourceArn	Undefined for 'kafka'.
+ * @return {Object}							...				All the other EventSourceMapping's properties.
+ */
+const _getEventSourceMappingProps = (type, eventSource) => {
+	const { prop, arnProp } = EVENT_SOURCE_MAPPINGS[type]
+	const { [prop]:source, secret, bootstrapServers, ...nativeProps } = eventSource || {}
+	const props = { ...nativeProps }
+
+	if (type == 'kafka') {
+		if (!bootstrapServers || !bootstrapServers.length)
+			throw new Error('Missing required eventSources[name=\'kafka\'].bootstrapServers')
+		props.selfManagedEventSource = {
+			endpoints: {
+				KAFKA_BOOTSTRAP_SERVERS: Array.isArray(bootstrapServers) ? bootstrapServers.join(',') : bootstrapServers
+			}
+		}
+	} else {
+		if (!source)
+			throw new Error(`Missing required eventSources[name='${type}'].${prop}`)
+		if (!source[arnProp])
+			throw new Error(`Missing required eventSources[name='${type}'].${prop}.${arnProp}`)
+		props.eventSourceArn = source[arnProp]
+	}
+
+	if ((type == 'msk' || type == 'kafka') && (!props.topics || !props.topics.length))
+		throw new Error(`Missing required eventSources[name='${type}'].topics`)
+
+	if (type == 'aws_mq') {
+		if (!props.queues || !props.queues.length)
+			throw new Error('Missing required eventSources[name=\'aws_mq\'].queues')
+		if (!secret && !props.sourceAccessConfigurations)
+			throw new Error('Missing required eventSources[name=\'aws_mq\'].secret')
+		if (secret) {
+			if (!secret.arn)
+				throw new Error('Missing required eventSources[name=\'aws_mq\'].secret.arn')
+			props.sourceAccessConfigurations = [{ type:'BASIC_AUTH', uri:secret.arn }, ...(props.sourceAccessConfigurations||[])]
+		}
+	}
+
+	if (STREAM_EVENT_SOURCES.indexOf(type) >= 0 && !props.startingPosition)
+		props.startingPosition = 'LATEST'
+
+	return props
+}
+
+/**
+ * Checks if a file or folder exists
+ * 
+ * @param  {String}  filePath 	Absolute or relative path to file or folder on the local machine
+ * @return {Boolean}   
+ */
+const _fileExists = filePath => new Promise(onSuccess => fs.exists(path.resolve(filePath||''), yes => onSuccess(yes ? true : false)))
+
+module.exports = {
+	Lambda,
+	LambdaLayer
+}
+
+
+
+
@@ -0,0 +1,401 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+const fs = require('fs')
+const os = require('os')
+const zlib = require('zlib')
+const fg = require('fast-glob')
+const { join, dirname, basename, extname, sep, posix } = require('path')
+const { createHash } = require('crypto')
+const { execFile } = require('child_process')
+const { error:{ catchErrors, wrapErrors } } = require('puffy')
+
+const DEFAULT_BUILD_DIR = join(os.tmpdir(), 'pulumix-lambda-builds')
+// Files that are never deployed. 'node_modules' is only ignored when dependencies are re-installed or bundled.
+const DEFAULT_IGNORE = ['**/test/**', '**/tests/**', '**/__tests__/**', '**/*.test.js', '**/*.spec.js']
+// Files resolved by esbuild when bundling. The other files (e.g., templates, certificates) are copied as is.
+const BUNDLED_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx', '.json']
+const DOS_DATE_1980 = (1 << 5) | 1 // 1980-01-01. Oldest date supported by the zip format.
+// Layer folder expected by each runtime family. Doc: https://docs.aws.amazon.com/lambda/latest/dg/packaging-layers.html#packaging-layers-paths
+const LAYER_MANIFESTS = {
+	'package.json': { folder:'nodejs', lockFile:'package-lock.json' },
+	'requirements.txt': { folder:'python' }
+}
+// Files written by the installers that differ between builds (e.g., pip's 'bin' scripts use the build machine's Python path 
+// in their shebang). They are not needed at runtime. Dotfiles (e.g., 'node_modules/.package-lock.json') are always skipped.
+const LAYER_IGNORE = ['python/bin/**', '**/__pycache__/**', '**/*.pyc', '**/*.dist-info/RECORD', '**/*.dist-info/INSTALLER', '**/*.dist-info/direct_url.json']
+const PYTHON_PLATFORMS = {
+	x86_64: 'manylinux2014_x86_64',
+	arm64: 'manylinux2014_aarch64'
+}
+
+/**
+ * Builds a Lambda zip archive from a source folder:
+ * 	1. Copies the source folder into a staging folder (dotfiles and the 'ignore' patterns are skipped).
+ * 	2. Either bundles the code with esbuild (2) or runs a production dependency install (if a 'package.json' exists).
+ * 	3. Zips the staging folder into a deterministic archive (sorted entries and fixed timestamps).
+ *
+ * The archive is cached in 'outDir' using a hash of the source files and the build options. This means that rebuilding
+ * unchanged sources is skipped and that changing file timestamps never changes the archive.
+ *
+ * @param  {String}					name				Lambda's name. Used to name the staging folder and the archive.
+ * @param  {String}					dir					Absolute path to the source folder.
+ * @param  {String}					runtime				e.g., 'nodejs20.x'
+ * @param  {Object}					build
+ * @param  {Boolean}					.install		Default true. Runs a production install when a 'package.json' exists. Ignored when 'bundle' is set.
+ * @param  {Boolean|Object}				.bundle			Default false. Bundles the code with esbuild (must be installed in the project).
+ * @param  {String}							.entryPoint	Default 'index.js'. Relative to 'dir'.
+ * @param  {[String]}						.external	e.g., ['@aws-sdk/*']
+ * @param  {Boolean}						.minify		Default false.
+ * @param  {Boolean}						.sourcemap	Default false.
+ * @param  {[String]}					.ignore			(1) Extra glob patterns relative to 'dir'.
+ * @param  {String}						.outDir			Default is the 'pulumix-lambda-builds' folder in the OS temp folder.
+ *
+ * @return {Object}					archive
+ * @return {String}						.file			Absolute path to the zip file.
+ * @return {String}						.hash			Base64 SHA256 hash of the zip file (i.e., Lambda's 'sourceCodeHash').
+ * @return {String}						.sourceHash		SHA256 hash of the source files and the build options.
+ */
+// (1) For example, to ignore the content under the docs folder: 'docs/**'
+// (2) Only the entry point's output is added for the JS, TS and JSON files. The other files (e.g., '.html', '.pem') are 
+// 	copied next to the bundle with the same relative path.
+//
+const buildArchive = ({ name, dir, runtime, build }) => catchErrors((async () => {
+	const errMsg = `Failed to build the zip archive for lambda '${name}'`
+	if (!name)
+		throw wrapErrors(errMsg, [new Error('Missing required \'name\' argument')])
+	if (!dir)
+		throw wrapErrors(errMsg, [new Error('Missing required \'dir\' argument')])
+
+	const { install=true, bundle, ignore, outDir } = build === true ? {} : (build || {})
+	const bundleConfig = !bundle ? null : { entryPoint:'index.js', ...(bundle === true ? {} : bundle) }
+	const installOn = !bundleConfig && install && await _fileExists(join(dir, 'package.json'))
+	const buildDir = outDir || DEFAULT_BUILD_DIR
+
+	const ignorePatterns = [...DEFAULT_IGNORE, ...(typeof(ignore) == 'string' ? [ignore] : (ignore||[]))]
+	if (installOn || bundleConfig)
+		ignorePatterns.push('**/node_modules/**')
+
+	const files = await _listFiles(dir, ignorePatterns)
+	const sourceHash = await _getSourceHash(dir, files, { runtime, install:installOn, bundle:bundleConfig })
+	const file = join(buildDir, `${name}-${sourceHash.slice(0,16)}.zip`)
+
+	if (!(await _fileExists(file))) {
+		const stagingDir = join(buildDir, name)
+		await fs.promises.rm(stagingDir, { recursive:true, force:true })
+		await fs.promises.mkdir(stagingDir, { recursive:true })
+
+		if (bundleConfig)
+			await _bundle({ dir, stagingDir, runtime, ...bundleConfig })
+
+		const filesToCopy = bundleConfig ? files.filter(f => BUNDLED_EXTENSIONS.indexOf(extname(f).toLowerCase()) < 0) : files
+		for (let f of filesToCopy) {
+			const dest = join(stagingDir, f)
+			await fs.promises.mkdir(dirname(dest), { recursive:true })
+			await fs.promises.copyFile(join(dir, f), dest)
+		}
+		if (installOn)
+			await _installDependencies(stagingDir)
+
+		const stagedFiles = await _listFiles(stagingDir, [])
+		await _zip(stagingDir, stagedFiles, file)
+	}
+
+	const zip = await fs.promises.readFile(file)
+
+	return {
+		file,
+		hash: createHash('sha256').update(zip).digest('base64'),
+		sourceHash
+	}
+})())
+
+/**
+ * Builds a Lambda layer zip archive from a dependency manifest (i.e., 'package.json' or 'requirements.txt'). The dependencies
+ * are installed in the folder expected by the runtime:
+ * 	- package.json: 'nodejs/node_modules' (the 'package-lock.json' next to the manifest is used when it exists).
+ * 	- requirements.txt: 'python'. When a single architecture and a Python runtime are set, pip downloads the binary wheels 
+ * 	for that platform (i.e., the layer can be built on a machine that is not Linux).
+ *
+ * The archive is cached in 'outDir' using a hash of the manifest, its lock file, the runtimes and the architectures (aka the 
+ * dependency hash). This hash does not change when the dependencies don't. The Lambda layer uses it as its 'sourceCodeHash'.
+ * The files that differ between installs (e.g., pip's 'bin' scripts and 'RECORD' files) are not zipped, so rebuilding the 
+ * same dependencies on another machine (e.g., a CI runner) produces the same archive (1).
+ *
+ * @param  {String}					name				Layer's name. Used to name the staging folder and the archive.
+ * @param  {String}					manifest			Absolute path to a 'package.json' or a 'requirements.txt'.
+ * @param  {[String]}				runtimes			e.g., ['python3.12']
+ * @param  {[String]}				architectures		e.g., ['arm64']
+ * @param  {String}					outDir				Default is the 'pulumix-lambda-builds' folder in the OS temp folder.
+ *
+ * @return {Object}					archive
+ * @return {String}						.file			Absolute path to the zip file.
+ * @return {String}						.hash			Base64 SHA256 hash of the zip file.
+ * @return {String}						.dependencyHash	Base64 SHA256 hash of the manifest, its lock file, the runtimes and the architectures.
+ */
+// (1) WARNING: Dependencies compiled during the install (e.g., npm native modules built with node-gyp or pip source 
+// 	distributions) are not guaranteed to be byte-identical between builds. Keep the 'outDir' between deployments to avoid 
+// 	publishing a new layer version each time they are rebuilt.
+//
+const buildLayerArchive = ({ name, manifest, runtimes, architectures, outDir }) => catchErrors((async () => {
+	const errMsg = `Failed to build the zip archive for lambda layer '${name}'`
+	if (!name)
+		throw wrapErrors(errMsg, [new Error('Missing required \'name\' argument')])
+	if (!manifest)
+		throw wrapErrors(errMsg, [new Error('Missing required \'manifest\' argument')])
+
+	const manifestName = basename(manifest)
+	const layout = LAYER_MANIFESTS[manifestName]
+	if (!layout)
+		throw wrapErrors(errMsg, [new Error(`Unsupported manifest '${manifestName}'. Valid values: ${Object.keys(LAYER_MANIFESTS).join(', ')}.`)])
+	if (!(await _fileExists(manifest)))
+		throw wrapErrors(errMsg, [new Error(`Manifest '${manifest}' not found.`)])
+
+	const lockFile = layout.lockFile ? join(dirname(manifest), layout.lockFile) : null
+	const lockFileExists = lockFile && await _fileExists(lockFile)
+	const manifestFiles = [manifest, ...(lockFileExists ? [lockFile] : [])]
+
+	const hash = createHash('sha256').update(JSON.stringify({ runtimes:runtimes||[], architectures:architectures||[] }))
+	for (let f of manifestFiles) {
+		hash.update(`\0${basename(f)}\0`)
+		hash.update(await fs.promises.readFile(f))
+	}
+	const dependencyHash = hash.digest('base64')
+	const buildDir = outDir || DEFAULT_BUILD_DIR
+	const file = join(buildDir, `${name}-layer-${Buffer.from(dependencyHash, 'base64').toString('hex').slice(0,16)}.zip`)
+
+	if (!(await _fileExists(file))) {
+		const stagingDir = join(buildDir, `${name}-layer`)
+		const layerDir = join(stagingDir, layout.folder)
+		await fs.promises.rm(stagingDir, { recursive:true, force:true })
+		await fs.promises.mkdir(layerDir, { recursive:true })
+
+		if (layout.folder == 'nodejs') {
+			for (let f of manifestFiles)
+				await fs.promises.copyFile(f, join(layerDir, basename(f)))
+			await _installDependencies(layerDir)
+		} else
+			await _installPythonDependencies({ manifest, dir:layerDir, runtimes, architectures })
+
+		const stagedFiles = await _listFiles(stagingDir, LAYER_IGNORE)
+		await _zip(stagingDir, stagedFiles, file)
+	}
+
+	const zip = await fs.promises.readFile(file)
+
+	return {
+		file,
+		hash: createHash('sha256').update(zip).digest('base64'),
+		dependencyHash
+	}
+})())
+
+/**
+ * Lists all the files (excl. dotfiles) under a folder.
+ *
+ * @param  {String}		dir			Absolute path.
+ * @param  {[String]}	ignore		Glob patterns relative to 'dir'.
+ *
+ * @return {[String]}	files		Sorted relative paths (posix separator).
+ */
+const _listFiles = async (dir, ignore) => {
+	const files = await fg('**/*', { cwd:dir, ignore, dot:false, onlyFiles:true })
+	return (files||[]).sort()
+}
+
+/**
+ * Hashes the content of the source files (not their metadata) and the build options.
+ *
+ * @param  {String}		dir
+ * @param  {[String]}	files		Relative paths.
+ * @param  {Object}		options
+ *
+ * @return {String}		hash
+ */
+const _getSourceHash = async (dir, files, options) => {
+	const hash = createHash('sha256').update(JSON.stringify(options||{}))
+	for (let f of files) {
+		hash.update(`\0${f}\0`)
+		hash.update(await fs.promises.readFile(join(dir, f)))
+	}
+	return hash.digest('hex')
+}
+
+/**
+ * Runs a production install in a folder that contains a 'package.json'. Uses 'npm ci' when a lock file exists.
+ *
+ * @param  {String}		dir
+ *
+ * @return {Void}
+ */
+const _installDependencies = async dir => {
+	const lockFileExists = await _fileExists(join(dir, 'package-lock.json'))
+	const args = [lockFileExists ? 'ci' : 'install', '--omit=dev', '--no-audit', '--no-fund']
+	await new Promise((onSuccess, onFailure) => execFile(/^win/.test(process.platform) ? 'npm.cmd' : 'npm', args, { cwd:dir }, (err, stdout, stderr) => {
+		if (err)
+			onFailure(new Error(`'npm ${args.join(' ')}' failed in ${dir}. Details: ${stderr || err.message}`))
+		else
+			onSuccess()
+	}))
+}
+
+/**
+ * Installs the dependencies listed in a 'requirements.txt' in a folder with pip. 
+ *
+ * @param  {String}		manifest			Absolute path to the 'requirements.txt'.
+ * @param  {String}		dir
+ * @param  {[String]}	runtimes			e.g., ['python3.12']
+ * @param  {[String]}	architectures		e.g., ['arm64']
+ *
+ * @return {Void}
+ */
+const _installPythonDependencies = async ({ manifest, dir, runtimes, architectures }) => {
+	const args = ['-m', 'pip', 'install', '-r', manifest, '-t', dir, '--no-compile', '--disable-pip-version-check', '--no-cache-dir']
+	// Targets the Lambda platform only when it is unambiguous. Doc: https://docs.aws.amazon.com/lambda/latest/dg/python-layers.html
+	const [,pythonVersion] = (runtimes||[]).length == 1 ? (runtimes[0].match(/^python(\d+\.\d+)/) || []) : []
+	const platform = (architectures||[]).length == 1 ? PYTHON_PLATFORMS[architectures[0]] : null
+	if (pythonVersion && platform)
+		args.push('--platform', platform, '--implementation', 'cp', '--python-version', pythonVersion, '--only-binary=:all:')
+
+	await new Promise((onSuccess, onFailure) => execFile(/^win/.test(process.platform) ? 'python' : 'python3', args, { cwd:dir }, (err, stdout, stderr) => {
+		if (err)
+			onFailure(new Error(`'pip install -r ${manifest}' failed. Details: ${stderr || err.message}`))
+		else
+			onSuccess()
+	}))
+}
+
+/**
+ * Bundles the code with esbuild. Doc: https://esbuild.github.io/api/#build
+ *
+ * @param  {String}		dir
+ * @param  {String}		stagingDir
+ * @param  {String}		runtime			e.g., 'nodejs20.x'
+ * @param  {String}		entryPoint		Relative to 'dir'
+ * @param  {[String]}	external
+ * @param  {Boolean}	minify
+ * @param  {Boolean}	sourcemap
+ *
+ * @return {Void}
+ */
+const _bundle = async ({ dir, stagingDir, runtime, entryPoint, external, minify, sourcemap }) => {
+	let esbuild
+	try {
+		esbuild = require('esbuild')
+	} catch(err) {
+		throw new Error('Missing \'esbuild\' package. \'fn.build.bundle\' requires esbuild to be installed in your project (e.g., npm i -D esbuild).')
+	}
+
+	const [,nodeVersion] = (runtime||'').match(/^nodejs(\d+)/) || []
+	const outfile = join(stagingDir, entryPoint.replace(extname(entryPoint), '.js'))
+	await esbuild.build({
+		entryPoints: [join(dir, entryPoint)],
+		outfile,
+		bundle: true,
+		platform: 'node',
+		target: nodeVersion ? `node${nodeVersion}` : undefined,
+		external: external || [],
+		minify: minify ? true : false,
+		sourcemap: sourcemap ? true : false,
+		logLevel: 'silent'
+	})
+}
+
+/**
+ * Creates a deterministic zip file (i.e., the same files always produce the same bytes).
+ *
+ * @param  {String}		dir
+ * @param  {[String]}	files		Sorted relative paths (posix separator).
+ * @param  {String}		file		Absolute path to the zip file.
+ *
+ * @return {Void}
+ */
+const _zip = async (dir, files, file) => {
+	if (files.length > 0xffff)
+		throw new Error(`Too many files to zip (${files.length}). The zip format without ZIP64 extensions supports up to 65535 files.`)
+
+	const localParts = []
+	const centralParts = []
+	let offset = 0
+
+	for (let f of files) {
+		const absFile = join(dir, ...f.split(posix.sep))
+		const [content, stat] = await Promise.all([fs.promises.readFile(absFile), fs.promises.stat(absFile)])
+		const compressed = zlib.deflateRawSync(content)
+		const fileName = Buffer.from(f.split(sep).join(posix.sep))
+		const crc = _crc32(content)
+		const mode = stat.mode & 0o111 ? 0o100755 : 0o100644
+
+		const localHeader = Buffer.alloc(30)
+		localHeader.writeUInt32LE(0x04034b50, 0)
+		localHeader.writeUInt16LE(20, 4)					// Version needed to extract
+		localHeader.writeUInt16LE(0x0800, 6)				// UTF-8 file names
+		localHeader.writeUInt16LE(8, 8)						// Deflate
+		localHeader.writeUInt16LE(0, 10)					// Time
+		localHeader.writeUInt16LE(DOS_DATE_1980, 12)		// Date
+		localHeader.writeUInt32LE(crc, 14)
+		localHeader.writeUInt32LE(compressed.length, 18)
+		localHeader.writeUInt32LE(content.length, 22)
+		localHeader.writeUInt16LE(fileName.length, 26)
+		localHeader.writeUInt16LE(0, 28)
+
+		const centralHeader = Buffer.alloc(46)
+		centralHeader.writeUInt32LE(0x02014b50, 0)
+		centralHeader.writeUInt16LE((3 << 8) | 20, 4)		// Made by UNIX
+		centralHeader.writeUInt16LE(20, 6)
+		centralHeader.writeUInt16LE(0x0800, 8)
+		centralHeader.writeUInt16LE(8, 10)
+		centralHeader.writeUInt16LE(0, 12)
+		centralHeader.writeUInt16LE(DOS_DATE_1980, 14)
+		centralHeader.writeUInt32LE(crc, 16)
+		centralHeader.writeUInt32LE(compressed.length, 20)
+		centralHeader.writeUInt32LE(content.length, 24)
+		centralHeader.writeUInt16LE(fileName.length, 28)
+		centralHeader.writeUInt32LE((mode << 16) >>> 0, 38)	// External attributes (UNIX permissions)
+		centralHeader.writeUInt32LE(offset, 42)
+
+		localParts.push(localHeader, fileName, compressed)
+		centralParts.push(centralHeader, fileName)
+		offset += localHeader.length + fileName.length + compressed.length
+	}
+
+	if (offset > 0xffffffff)
+		throw new Error('Zip archive too large. The zip format without ZIP64 extensions supports up to 4GB.')
+
+	const centralDir = Buffer.concat(centralParts)
+	const end = Buffer.alloc(22)
+	end.writeUInt32LE(0x06054b50, 0)
+	end.writeUInt16LE(files.length, 8)
+	end.writeUInt16LE(files.length, 10)
+	end.writeUInt32LE(centralDir.length, 12)
+	end.writeUInt32LE(offset, 16)
+
+	await fs.promises.mkdir(dirname(file), { recursive:true })
+	await fs.promises.writeFile(file, Buffer.concat([...localParts, centralDir, end]))
+}
+
+const CRC_TABLE = Array.from({ length:256 }, (_, n) => {
+	let c = n
+	for (let k=0;k<8;k++)
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+	return c >>> 0
+})
+
+const _crc32 = buf => {
+	let crc = 0xffffffff
+	for (let i=0;i<buf.length;i++)
+		crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8)
+	return (crc ^ 0xffffffff) >>> 0
+}
+
+const _fileExists = filePath => new Promise(onSuccess => fs.exists((filePath||''), yes => onSuccess(yes ? true : false)))
+
+module.exports = {
+	buildArchive,
+	buildLayerArchive
+}
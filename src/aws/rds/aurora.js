@@ -14,6 +14,7 @@ const aws = require('@pulumi/aws')
 const { SecurityGroup } = require('../securityGroup')
 const { DatabaseCredentials } = require('../utils')
 const { keepResourcesOnly } = require('../../utils')
+const { createGrantsPolicy } = require('../iam')
 
 class Aurora extends aws.rds.Cluster {
 	/**
@@ -28,6 +29,7 @@ class Aurora extends aws.rds.Cluster {
 	 * 	7. (Optional) RDS proxy.
 	 * 	8. (Optional) RDS proxy target group.
 	 * 	9. (Optional) RDS proxy target.
+	 * 	10. (Optional) IAM role associated with the cluster and its inline policy if 'grants' is set (e.g., S3 import/export, Lambda invoke).
 	 *
 	 * WARNING: If both an Aurora cluster and an RDS proxy are provisioned at the same time, the initial `pulumi up` will probably fail
 	 * with the following error: 
@@ -68,6 +70,7 @@ class Aurora extends aws.rds.Cluster {
 	 * @param  {Number}							proxy.idleClientTimeout		Unit seconds. Default 1800 (30 min.)
 	 * @param  {Boolean}						proxy.requireTls			Default true.
 	 * @param  {Boolean}						proxy.iam					Default false. If true, the only way to connect to the proxy is via IAM (Creds are disabled)
+	 * @param  {[Object]}						grants						Least-privilege grants created with the 'aws.iam' helpers (e.g., [iam.grantRead(bucket)]). (3)
 	 * @param  {Object}							tags
 	 * @param  {Boolean}						applyImmediately			Default true.
 	 * @param  {Boolean}						allowMajorVersionUpgrade	Default false.
@@ -97,6 +100,8 @@ class Aurora extends aws.rds.Cluster {
 	 * @return {Output<Object>} 						...
 	 * @return {Output<TargetGroup>}					.targetGroup
 	 * @return {Output<Target>}							.target	
+	 * @return {Output<Role>}						.role						Null if 'grants' is not set.
+	 * @return {Output<RolePolicy>}					.grantsPolicy				Null if 'grants' is not set.
 	 *
 	 *	(1) engineVersion: For example, '8.0' (for 'mysql') or '13.6' (for 'postgresql')
 	 * 		- PostgreSQL: This straighforward, simply use the standard PostgreSQL version. You can list them via this command:
@@ -112,6 +117,8 @@ class Aurora extends aws.rds.Cluster {
 	 *			- Aurora version 1: https://docs.aws.amazon.com/AmazonRDS/latest/AuroraMySQLReleaseNotes/AuroraMySQL.Updates.11Updates.html
 	 *			- Aurora version 2: https://docs.aws.amazon.com/AmazonRDS/latest/AuroraMySQLReleaseNotes/AuroraMySQL.Updates.20Updates.html
 	 *			- Aurora version 3: https://docs.aws.amazon.com/AmazonRDS/latest/AuroraMySQLReleaseNotes/AuroraMySQL.Updates.30Updates.html
+	 *	(3) The role is associated with the cluster via 'iamRoles'. With PostgreSQL, the role must also be associated with a
+	 *		feature (e.g., 's3Import') via an 'aws.rds.ClusterRoleAssociation'.
 	 * 
 	 */
 	constructor({ 
@@ -133,6 +140,7 @@ class Aurora extends aws.rds.Cluster {
 		allowMajorVersionUpgrade,
 		applyImmediately,
 		preferredBackupWindow,
+		grants,
 		tags,
 		protect=false, 
 		parent,
@@ -187,6 +195,30 @@ class Aurora extends aws.rds.Cluster {
 
 		const dbCreds = new DatabaseCredentials(auth.secretId)
 
+		// IAM role used by the cluster to access other AWS services. Doc: https://www.pulumi.com/docs/reference/pkg/aws/iam/role/
+		const roleName = `${clusterName}-rds`
+		const role = !grants || !grants.length ? null : new aws.iam.Role(roleName, {
+			path: '/',
+			assumeRolePolicy: JSON.stringify({
+				Version: '2012-10-17',
+				Statement: [{
+					Action: 'sts:AssumeRole',
+					Principal: {
+						Service: 'rds.amazonaws.com'
+					},
+					Effect: 'Allow',
+					Sid: ''
+				}]
+			}),
+			tags: {
+				...tags,
+				Name: roleName
+			}
+		}, {
+			protect
+		})
+		const grantsPolicy = role ? createGrantsPolicy({ name:roleName, role, grants, protect }) : null
+
 		return pulumi.all([_subnetIds, dbCreds.username, dbCreds.password, dbCreds.version.arn]).apply(([subnetIds, username, password, secretArn]) => {
 			// Extract username and password from AWS secret manager and get the secret's ARN for the RDS proxy
 			const masterUsername = username || auth.masterUsername
@@ -224,13 +256,14 @@ class Aurora extends aws.rds.Cluster {
 				allowMajorVersionUpgrade,
 				vpcSecurityGroupIds: [rdsSecurityGroup.id], // Must be set to allow traffic based on the security group
 				dbSubnetGroupName: subnetGroup ? subnetGroup.name : undefined,
+				iamRoles: role ? [role.arn] : undefined,
 				tags: {
 					...tags,
 					Name: clusterName
 				}
 			}, {
 				protect,
-				dependsOn: keepResourcesOnly(dependsOn),
+				dependsOn: keepResourcesOnly([...dependsOn, grantsPolicy]),
 				parent
 			})
 
@@ -265,6 +298,8 @@ class Aurora extends aws.rds.Cluster {
 
 			this.instanceEndpoints = clusterInstanceEndpoints,
 			this.subnetGroup = subnetGroup
+			this.role = role
+			this.grantsPolicy = grantsPolicy
 			this.securityGroups = {
 				rds: rdsSecurityGroup,
 				proxy: proxySecurityGroup
@@ -13,6 +13,7 @@ const aws = require('@pulumi/aws')
 const crypto = require('crypto')
 const { error: { mergeErrors } } = require('puffy')
 const { resolve, unwrap, keepResourcesOnly } = require('../../utils')
+const { createWebAcl } = require('../waf')
 const { getWebsiteProps, syncFiles, getDiffFiles } = require('./utils')
 const { distribution: { invalidate:invalidateDistribution, exists:distributionExists } } = require('../cloudfront/utils')
 
@@ -158,6 +159,7 @@ const _uploadFiles = async ({ bucket, content, cloudfrontDistro, cloudfront }) =
  * @param  {Output<Number>}							.default			Default 3600 (ms), i.e., 1 hour.
  * @param  {Output<String>}							.cacheControl		Default null. Example: 'max-age=86400'
  * @param  {Output<Object>}						.customHeaders			e.g., { hello:'world' }
+ * @param  {String|Object}						.waf					(6) WAFv2 web ACL's ARN or presets (e.g., { common:true, rateLimit:2000 }).
  * @param  {Output<Boolean>}			versioning						Default false.		
  * @param  {Output<String>}				tags
  * @param  {Output<Resource>}			parent
@@ -178,6 +180,7 @@ const _uploadFiles = async ({ bucket, content, cloudfrontDistro, cloudfront }) =
  * @return {Output<String>}						.hash						MD5 file hash   
  * @return {Output<Certificate>}			.acmCert						Not null when 'website.cloudfront.acmCertificateArn' is set to 'auto'.
  * @return {Output<[DnsRecord]>}			.dnsRecords
+ * @return {Output<WebAcl>}					.webAcl							Not null when 'website.cloudfront.waf' defines presets.
  * 
  */
 // (1)	For example, to ignore the content under the node_modules folder: '**/node_modules/**'
@@ -195,6 +198,7 @@ const _uploadFiles = async ({ bucket, content, cloudfrontDistro, cloudfront }) =
 //				{ match: '**/*.{js,css}', value: 'max-age=31536000, immutable' }
 //			]
 //		}
+// (6)	Same presets as the 'aws.waf.createWebAcl' function. CloudFront web ACLs must be created in 'us-east-1'.
 //
 
 const Website = function (input) {
@@ -245,7 +249,7 @@ const Website = function (input) {
 					protect
 				})
 
-				let cloudfrontDistro = null, cloudfrontResponseHeaderPolicy = null, cert = null, dnsRecords = [], originAccessControl = null
+				let cloudfrontDistro = null, cloudfrontResponseHeaderPolicy = null, cert = null, dnsRecords = [], originAccessControl = null, webAcl = null
 				if (cloudfront) {
 					const cfDependsOn = [bucket]
 					const customDomainOn = cloudfront.customDomains && cloudfront.customDomains[0]
@@ -375,6 +379,21 @@ const Website = function (input) {
 						})
 						defaultCacheBehavior.responseHeadersPolicyId = cloudfrontResponseHeaderPolicy.id
 					}
+					let webAclArn
+					if (cloudfront.waf) {
+						// CloudFront web ACLs must be hosted in 'us-east-1' (Virginia)
+						const webAclDef = createWebAcl({
+							name: `waf-for-${name}`,
+							scope: 'CLOUDFRONT',
+							waf: cloudfront.waf,
+							tags,
+							protect,
+							provider: aws.config.region != 'us-east-1' ? new aws.Provider(`waf-for-${name}`, { region: 'us-east-1' }) : undefined
+						})
+						webAcl = webAclDef.webAcl
+						webAclArn = webAclDef.arn
+					}
+
 					cloudfrontDistro = new aws.cloudfront.Distribution(cloudfrontName, {
 						name: cloudfrontName,
 						comment: cloudfront.description || `CDN for S3 bucket ${name}`,
@@ -389,6 +408,7 @@ const Website = function (input) {
 						enabled: true,
 						isIpv6Enabled: true,
 						defaultRootObject: website.indexDocument || 'index.html',
+						webAclId: webAclArn,
 						aliases: cloudfront.customDomains,
 						defaultCacheBehavior,
 						customErrorResponses: (cloudfront.customErrorResponses||[]).map(e => ({
@@ -502,7 +522,8 @@ const Website = function (input) {
 					cloudfrontResponseHeaderPolicy: cloudfrontResponseHeaderPolicy,
 					files,
 					cert,
-					dnsRecords
+					dnsRecords,
+					webAcl
 				}
 			})
 		})
@@ -514,6 +535,7 @@ const Website = function (input) {
 	this.files = output.files
 	this.acmCert = output.cert
 	this.dnsRecords = output.dnsRecords
+	this.webAcl = output.webAcl
 
 	return this
 }
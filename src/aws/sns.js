@@ -150,6 +150,7 @@ const _createTopicSubscription = (topic, subscriber) => {
 			name: permName,
 			action: 'lambda:InvokeFunction',
 			function: subscriber[protocol].name,
+			qualifier: subscriber[protocol].qualifier, // Only set when the subscriber is a Lambda alias
 			principal: 'sns.amazonaws.com',
 			sourceArn: topic.arn,
 			tags: {
@@ -10,23 +10,33 @@ LICENSE file in the root directory of this source tree.
 
 const aws = require('@pulumi/aws')
 const { resolve } = require('../utils')
+const { createLogFilters } = require('./utils')
+const { grantInvoke, createGrantsPolicy } = require('./iam')
 
 const VALID_CLOUDWATCH_LEVELS = ['ALL', 'ERROR', 'FATAL']
 
 /**
  * Creates a step function. 
  * 
+ * IAM: The step function can only invoke the Lambdas whose ARNs are referenced in 'states' (i.e., in a 'Resource' or a 
+ * 'Parameters.FunctionName'). Lambdas referenced by name or via a JSONPath must be granted with 'grants' (e.g., 
+ * [iam.grantInvoke(lambda)]).
+ * 
  * @param  {String} 		   name						
  * @param  {String} 		   description		
  * @param  {String} 		   type									Valid values: 'standard' (default) or 'express'
  * @param  {Object}  		   states								
  * @param  {[Output<Policy>]}  policies						
+ * @param  {[Object]}		   grants								Least-privilege grants created with the 'aws.iam' helpers (e.g., [iam.grantPublish(topic)]).
  * @param  {String} 		   cloudWatchLevel						Default is 'OFF'. Valid values: 'ALL', 'ERROR', 'FATAL'
  * @param  {Number}			   logsRetentionInDays					Default 0 (i.e., never expires). Only applies when 'cloudWatch' is true.
+ * @param  {[Object]}		   logSubscriptions						Forwards the logs to a Lambda, a Kinesis stream or a Firehose. Requires 'cloudWatchLevel'. 
+ *                             										Doc in the 'createLogFilters' function (src/aws/utils.js).
+ * @param  {[Object]}		   metricFilters						Turns JSON log fields into CloudWatch metrics. Requires 'cloudWatchLevel'.
  * @param  {Object} 		   tags						
  * @return {String}						
  */
-const createStateMachine = async ({ name, description, type, states, policies, cloudWatchLevel, logsRetentionInDays, tags }) => {
+const createStateMachine = async ({ name, description, type, states, policies, grants, cloudWatchLevel, logsRetentionInDays, logSubscriptions, metricFilters, tags }) => {
 	
 	if (!name)
 		throw new Error('Missing required argument \'name\'.')
@@ -35,6 +45,8 @@ const createStateMachine = async ({ name, description, type, states, policies, c
 	
 	cloudWatchLevel = (cloudWatchLevel || 'OFF').trim().toUpperCase()
 	const cloudWatch = VALID_CLOUDWATCH_LEVELS.indexOf(cloudWatchLevel) >= 0
+	if (!cloudWatch && ((logSubscriptions && logSubscriptions.length) || (metricFilters && metricFilters.length)))
+		throw new Error(`'logSubscriptions' and 'metricFilters' require 'cloudWatchLevel' to be one of ${VALID_CLOUDWATCH_LEVELS.join(', ')}.`)
 	tags = tags || {}
 	policies = policies || []
 	const dependsOn = []
@@ -63,6 +75,7 @@ const createStateMachine = async ({ name, description, type, states, policies, c
 	// Configure CloudWatch
 	let loggingConfiguration
 	let logGroup = null
+	let logFilters = { logSubscriptions:[], metricFilters:[] }
 	if (cloudWatch) {
 		// IAM: Allow step-function to log to CloudWatch. Doc: https://docs.aws.amazon.com/step-functions/latest/dg/cw-logs.html#cloudwatch-iam-policy
 		policies.push(new aws.iam.Policy(`${canonicalName}-cloudwatch`, {
@@ -99,10 +112,14 @@ const createStateMachine = async ({ name, description, type, states, policies, c
 			includeExecutionData: true,
 			level: cloudWatchLevel
 		}
+		logFilters = createLogFilters({ name:canonicalName, logGroup, logSubscriptions, metricFilters, tags })
 	}
 
-	// Allow the step function to invoke lambdas
-	policies.push({ name:`${canonicalName}-lambda`, arn:'arn:aws:iam::aws:policy/service-role/AWSLambdaRole' })
+	// Allow the step function to invoke the lambdas referenced in its states
+	const lambdaGrants = _getLambdaArns(states).map(arn => grantInvoke(arn))
+	const grantsPolicy = createGrantsPolicy({ name:canonicalName, role:stepFuncRole, grants:[...lambdaGrants, ...(grants||[])] })
+	if (grantsPolicy)
+		dependsOn.push(grantsPolicy)
 
 	// Attach policies
 	for (let i=0;i<policies.length;i++) {
@@ -139,8 +156,35 @@ const createStateMachine = async ({ name, description, type, states, policies, c
 
 	return {
 		...leanifyStepFunction(stepFunction),
-		logGroup: leanify(logGroup)
+		logGroup: leanify(logGroup),
+		grantsPolicy: leanify(grantsPolicy),
+		logSubscriptions: logFilters.logSubscriptions.map(leanify),
+		metricFilters: logFilters.metricFilters.map(leanify)
+	}
+}
+
+/**
+ * Gets all the Lambda ARNs referenced in the states (incl. nested 'Parallel' and 'Map' states).
+ * 
+ * @param  {Object}		states
+ * 
+ * @return {[String]}	arns			Unversioned ARNs (i.e., the 'grantInvoke' grant covers the versions and aliases).
+ */
+const _getLambdaArns = states => {
+	const arns = new Set()
+	const walk = obj => {
+		if (!obj || typeof(obj) != 'object')
+			return
+		for (let key in obj) {
+			const v = obj[key]
+			if ((key == 'Resource' || key == 'FunctionName') && typeof(v) == 'string' && /^arn:aws[a-z-]*:lambda:/.test(v))
+				arns.add(v.split(':').slice(0,7).join(':')) // Removes the version or alias qualifier
+			else
+				walk(v)
+		}
 	}
+	walk(states)
+	return [...arns]
 }
 
 const leanify = resource => {
@@ -66,6 +66,206 @@ const DatabaseCredentials = function (secretId) {
 	return this
 }
 
+/**
+ * Creates the subscription filters and the metric filters of a CloudWatch log group.
+ * 
+ * @param  {String}					name							Prefix used to name the filters and their IAM resources.
+ * @param  {Output<LogGroup>}		logGroup
+ * @param  {[Object]}				logSubscriptions				(1) Max 2 per log group.
+ * @param  {String}						.name						Optional.
+ * @param  {Output<Function>}			.lambda						Only one of 'lambda', 'kinesis' or 'firehose' can be set.
+ * @param  {Output<Stream>}				.kinesis
+ * @param  {Output<FirehoseDeliveryStream>}	.firehose
+ * @param  {String|Object}				.filterPattern				Default '' (i.e., all logs). Objects are converted with 'getJsonFilterPattern'.
+ * @param  {String}						.distribution				Only for 'kinesis'. Valid values: 'ByLogStream', 'Random'.
+ * @param  {[Object]}				metricFilters					(2)
+ * @param  {String}						.name						Optional.
+ * @param  {String|Object}				.pattern					Required. Objects are converted with 'getJsonFilterPattern'.
+ * @param  {String}						.metricName					Required.
+ * @param  {String}						.namespace					Required.
+ * @param  {String}						.value						Default '1'. Can also be a JSON selector (e.g., '$.latency').
+ * @param  {Number}						.defaultValue
+ * @param  {String}						.unit						e.g., 'Milliseconds', 'Count'
+ * @param  {Object}						.dimensions					Key value pairs where the value is a JSON selector (e.g., { Service:'$.service' }).
+ * @param  {Object}					tags
+ * @param  {Boolean}				protect
+ * 
+ * @return {Object}					output
+ * @return {[Output<LogSubscriptionFilter>]}	.logSubscriptions
+ * @return {[Output<LogMetricFilter>]}			.metricFilters
+ */
+// (1) Examples:
+// 	[{ lambda: logProcessor, filterPattern: { level:'ERROR' } }, { firehose: deliveryStream }]
+// (2) Example:
+// 	[{ pattern: { level:'INFO', latency:{ '>':0 } }, metricName:'Latency', namespace:'MyApp', value:'$.latency', unit:'Milliseconds' }]
+//
+const createLogFilters = ({ name, logGroup, logSubscriptions, metricFilters, tags, protect }) => {
+	if (!name)
+		throw new Error('Missing required argument \'name\'.')
+	if (!logGroup)
+		throw new Error('Missing required argument \'logGroup\'.')
+
+	tags = tags || {}
+	logSubscriptions = logSubscriptions || []
+	metricFilters = metricFilters || []
+
+	if (logSubscriptions.length > 2)
+		throw new Error(`Too many 'logSubscriptions' in ${name}. CloudWatch supports max 2 subscription filters per log group. Found ${logSubscriptions.length}.`)
+
+	const subscriptionFilters = logSubscriptions.map((subscription, idx) => {
+		const { name:subscriptionName, lambda, kinesis, firehose, filterPattern, distribution } = subscription || {}
+		const destinations = [lambda, kinesis, firehose].filter(d => d)
+		if (destinations.length != 1)
+			throw new Error(`Wrong argument exception. Each 'logSubscriptions' item in ${name} must set exactly one of 'lambda', 'kinesis' or 'firehose'.`)
+		const [destination] = destinations
+		if (!destination.arn)
+			throw new Error(`Missing required 'arn' in the 'logSubscriptions[${idx}]' destination of ${name}.`)
+		if (distribution && !kinesis)
+			throw new Error(`Wrong argument exception. 'logSubscriptions[${idx}].distribution' in ${name} only applies to 'kinesis' destinations.`)
+
+		const filterName = subscriptionName || `${name}-log-subscription${idx ? `-${idx}` : ''}`
+		const dependsOn = [destination]
+		let roleArn
+
+		if (lambda) {
+			// Allow CloudWatch Logs to invoke the lambda. Doc: https://www.pulumi.com/registry/packages/aws/api-docs/lambda/permission/
+			dependsOn.push(new aws.lambda.Permission(`${filterName}-permission`, {
+				action: 'lambda:InvokeFunction',
+				function: lambda.arn,
+				principal: 'logs.amazonaws.com',
+				sourceArn: pulumi.interpolate`${logGroup.arn}:*`
+			}, {
+				protect
+			}))
+		} else {
+			// Role assumed by CloudWatch Logs to put records in the stream. Doc: https://docs.aws.amazon.com/AmazonCloudWatch/latest/logs/SubscriptionFilters.html
+			const role = new aws.iam.Role(`${filterName}-role`, {
+				assumeRolePolicy: {
+					Version: '2012-10-17',
+					Statement: [{
+						Action: 'sts:AssumeRole',
+						Principal: {
+							Service: 'logs.amazonaws.com',
+						},
+						Effect: 'Allow',
+						Sid: ''
+					}],
+				},
+				tags: {
+					...tags,
+					Name: `${filterName}-role`
+				}
+			}, {
+				protect
+			})
+			dependsOn.push(new aws.iam.RolePolicy(`${filterName}-policy`, {
+				role: role.id,
+				policy: destination.arn.apply(arn => JSON.stringify({
+					Version: '2012-10-17',
+					Statement: [{
+						Effect: 'Allow',
+						Action: kinesis ? ['kinesis:PutRecord', 'kinesis:PutRecords'] : ['firehose:PutRecord', 'firehose:PutRecordBatch'],
+						Resource: arn
+					}]
+				}))
+			}, {
+				protect
+			}))
+			roleArn = role.arn
+		}
+
+		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/cloudwatch/logsubscriptionfilter/
+		return new aws.cloudwatch.LogSubscriptionFilter(filterName, {
+			name: filterName,
+			logGroup: logGroup.name,
+			filterPattern: _getFilterPattern(filterPattern),
+			destinationArn: destination.arn,
+			roleArn,
+			distribution
+		}, {
+			protect,
+			dependsOn: [logGroup, ...dependsOn]
+		})
+	})
+
+	const logMetricFilters = metricFilters.map((filter, idx) => {
+		const { name:filterName, pattern, metricName, namespace, value, defaultValue, unit, dimensions } = filter || {}
+		if (!pattern)
+			throw new Error(`Missing required 'pattern' in 'metricFilters[${idx}]' of ${name}.`)
+		if (!metricName)
+			throw new Error(`Missing required 'metricName' in 'metricFilters[${idx}]' of ${name}.`)
+		if (!namespace)
+			throw new Error(`Missing required 'namespace' in 'metricFilters[${idx}]' of ${name}.`)
+
+		const metricFilterName = filterName || `${name}-${metricName}-metric-filter`
+		// Doc: https://www.pulumi.com/registry/packages/aws/api-docs/cloudwatch/logmetricfilter/
+		return new aws.cloudwatch.LogMetricFilter(metricFilterName, {
+			name: metricFilterName,
+			logGroupName: logGroup.name,
+			pattern: _getFilterPattern(pattern),
+			metricTransformation: {
+				name: metricName,
+				namespace,
+				value: value === undefined || value === null ? '1' : `${value}`,
+				defaultValue: defaultValue === undefined || defaultValue === null ? undefined : `${defaultValue}`,
+				unit,
+				dimensions
+			}
+		}, {
+			protect,
+			dependsOn: [logGroup]
+		})
+	})
+
+	return {
+		logSubscriptions: subscriptionFilters,
+		metricFilters: logMetricFilters
+	}
+}
+
+const JSON_PATTERN_OPERATORS = ['=', '!=', '>', '>=', '<', '<=']
+
+/**
+ * Converts an object into a CloudWatch JSON filter pattern. Doc: https://docs.aws.amazon.com/AmazonCloudWatch/latest/logs/FilterAndPatternSyntax.html
+ * Keys are JSON properties (nested properties use dots) and all conditions are AND'ed. Values can be:
+ * 	- String, Number: Equality (e.g., { level:'ERROR' } -> '{ ($.level = "ERROR") }').
+ * 	- Boolean, null: e.g., { cached:true } -> '{ ($.cached IS TRUE) }'
+ * 	- Object whose keys are operators: e.g., { latency:{ '>':100, '<=':500 } } -> '{ ($.latency > 100) && ($.latency <= 500) }'
+ * 
+ * @param  {Object}		pattern
+ * 
+ * @return {String}		filterPattern
+ */
+const getJsonFilterPattern = pattern => {
+	const _value = v => typeof(v) == 'string' ? `"${v.replace(/"/g, '\\"')}"` : `${v}`
+	const conditions = []
+	for (let prop in (pattern||{})) {
+		const v = pattern[prop]
+		const selector = `$.${prop}`
+		if (v === null)
+			conditions.push(`(${selector} IS NULL)`)
+		else if (typeof(v) == 'boolean')
+			conditions.push(`(${selector} IS ${v ? 'TRUE' : 'FALSE'})`)
+		else if (typeof(v) == 'object') {
+			for (let op in v) {
+				if (JSON_PATTERN_OPERATORS.indexOf(op) < 0)
+					throw new Error(`Wrong argument exception. Operator '${op}' in the '${prop}' filter pattern is not supported. Valid values: ${JSON_PATTERN_OPERATORS.join(', ')}.`)
+				conditions.push(`(${selector} ${op} ${_value(v[op])})`)
+			}
+		} else
+			conditions.push(`(${selector} = ${_value(v)})`)
+	}
+
+	if (!conditions.length)
+		throw new Error('Wrong argument exception. JSON filter patterns must define at least one condition.')
+
+	return `{ ${conditions.join(' && ')} }`
+}
+
+const _getFilterPattern = pattern => !pattern ? '' : typeof(pattern) == 'object' ? getJsonFilterPattern(pattern) : pattern
+
 module.exports = {
-	DatabaseCredentials
+	DatabaseCredentials,
+	createLogFilters,
+	getJsonFilterPattern
 }
\ No newline at end of file
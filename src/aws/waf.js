@@ -0,0 +1,204 @@
+/*
+Copyright (c) 2019-2021, Cloudless Consulting Lty Ltd
+All rights reserved.
+
+This source code is licensed under the proprietary license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+const aws = require('@pulumi/aws')
+
+const SCOPES = ['REGIONAL', 'CLOUDFRONT']
+const DEFAULT_ACTIONS = ['ALLOW', 'BLOCK']
+const MANAGED_RULE_GROUPS = {
+	common: 'AWSManagedRulesCommonRuleSet',
+	ipReputation: 'AWSManagedRulesAmazonIpReputationList'
+}
+
+/**
+ * Creates a WAFv2 web ACL from presets, or returns the ARN of an existing one.
+ * Doc: https://www.pulumi.com/registry/packages/aws/api-docs/wafv2/webacl/
+ *
+ * @param  {String}					name
+ * @param  {String}					scope				Valid values: 'REGIONAL' (API Gateway, ALB), 'CLOUDFRONT'.
+ * @param  {String|Object}			waf					(1) Existing web ACL's ARN or presets.
+ * @param  {String}						.arn			Existing web ACL's ARN. When set, all the other properties are ignored.
+ * @param  {Boolean}					.common			Default false. Adds the AWS managed common rule set (OWASP top 10).
+ * @param  {Boolean}					.ipReputation	Default false. Adds the AWS managed IP reputation list (bots, known threats).
+ * @param  {Number|Object}				.rateLimit		Max number of requests per IP over a 5 minutes window (e.g., 2000).
+ * @param  {Number}							.limit
+ * @param  {String}							.action		Default 'BLOCK'. Valid values: 'BLOCK', 'COUNT'
+ * @param  {[String]}					.allowIps		CIDRs that are always allowed (e.g., ['203.0.113.0/24']).
+ * @param  {[String]}					.denyIps		CIDRs that are always blocked.
+ * @param  {String}						.defaultAction	Default 'ALLOW'. Valid values: 'ALLOW', 'BLOCK'
+ * @param  {Boolean}					.metrics		Default true. Publishes the CloudWatch metrics and sampled requests.
+ * @param  {Object}					tags
+ * @param  {Boolean}				protect
+ * @param  {Provider}				provider			Required when the scope is 'CLOUDFRONT' and the stack's region is not 'us-east-1'.
+ *
+ * @return {Object}					output
+ * @return {Output<String>}				.arn
+ * @return {Output<WebAcl>}				.webAcl			Null if an existing ARN is used.
+ * @return {[Output<IpSet>]}			.ipSets
+ */
+// (1)	e.g., { common:true, ipReputation:true, rateLimit:2000, denyIps:['198.51.100.0/24'] }. The rules are evaluated in
+// 		this order: 'denyIps', 'allowIps', 'rateLimit', 'ipReputation', 'common'. This means that the allowed IPs bypass
+// 		the rate limit and the managed rules.
+//
+const createWebAcl = ({ name, scope, waf, tags, protect, provider }) => {
+	if (!name)
+		throw new Error('Missing required argument \'name\'.')
+	if (!waf)
+		throw new Error('Missing required argument \'waf\'.')
+	const _scope = scope || 'REGIONAL'
+	if (SCOPES.indexOf(_scope) < 0)
+		throw new Error(`'scope' value unsupported. Supported values are ${SCOPES}. Found ${scope} instead.`)
+
+	if (typeof(waf) == 'string' || waf.arn)
+		return {
+			arn: typeof(waf) == 'string' ? waf : waf.arn,
+			webAcl: null,
+			ipSets: []
+		}
+
+	const { rateLimit, allowIps, denyIps, defaultAction, metrics } = waf
+	const _defaultAction = (defaultAction || 'ALLOW').toUpperCase()
+	if (DEFAULT_ACTIONS.indexOf(_defaultAction) < 0)
+		throw new Error(`'waf.defaultAction' value unsupported. Supported values are ${DEFAULT_ACTIONS}. Found ${defaultAction} instead.`)
+
+	tags = tags || {}
+	const metricsEnabled = metrics === false ? false : true
+	const getVisibilityConfig = metricName => ({
+		cloudwatchMetricsEnabled: metricsEnabled,
+		metricName,
+		sampledRequestsEnabled: metricsEnabled
+	})
+	const options = { protect, provider }
+
+	const ipSets = []
+	const rules = []
+	const addIpRule = (ruleName, cidrs, action) => {
+		const sets = _createIpSets({ name:`${name}-${ruleName}`, scope:_scope, cidrs, tags, options })
+		ipSets.push(...sets)
+		const statements = sets.map(s => ({ ipSetReferenceStatement: { arn:s.arn } }))
+		rules.push({
+			name: ruleName,
+			priority: rules.length,
+			action: { [action]:{} },
+			statement: statements.length == 1 ? statements[0] : { orStatement: { statements } },
+			visibilityConfig: getVisibilityConfig(`${name}-${ruleName}`)
+		})
+	}
+
+	if (denyIps && denyIps.length)
+		addIpRule('deny-ips', denyIps, 'block')
+	if (allowIps && allowIps.length)
+		addIpRule('allow-ips', allowIps, 'allow')
+
+	if (rateLimit) {
+		const { limit, action } = typeof(rateLimit) == 'number' ? { limit:rateLimit } : rateLimit
+		if (!limit || limit < 10)
+			throw new Error(`Wrong argument exception. 'waf.rateLimit' must be a number greater than or equal to 10. Found ${limit} instead.`)
+		rules.push({
+			name: 'rate-limit-per-ip',
+			priority: rules.length,
+			action: { [(action || 'BLOCK').toLowerCase()]:{} },
+			statement: {
+				rateBasedStatement: {
+					limit,
+					aggregateKeyType: 'IP'
+				}
+			},
+			visibilityConfig: getVisibilityConfig(`${name}-rate-limit-per-ip`)
+		})
+	}
+
+	for (const preset of ['ipReputation', 'common']) {
+		if (!waf[preset])
+			continue
+		const ruleGroupName = MANAGED_RULE_GROUPS[preset]
+		rules.push({
+			name: ruleGroupName,
+			priority: rules.length,
+			overrideAction: { none:{} },
+			statement: {
+				managedRuleGroupStatement: {
+					name: ruleGroupName,
+					vendorName: 'AWS'
+				}
+			},
+			visibilityConfig: getVisibilityConfig(`${name}-${ruleGroupName}`)
+		})
+	}
+
+	if (!rules.length)
+		throw new Error('Missing WAF rules. \'waf\' must define at least one of those presets: \'common\', \'ipReputation\', \'rateLimit\', \'allowIps\', \'denyIps\'.')
+
+	const webAcl = new aws.wafv2.WebAcl(name, {
+		name,
+		scope: _scope,
+		defaultAction: { [_defaultAction.toLowerCase()]:{} },
+		rules,
+		visibilityConfig: getVisibilityConfig(name),
+		tags: {
+			...tags,
+			Name: name
+		}
+	}, options)
+
+	return {
+		arn: webAcl.arn,
+		webAcl,
+		ipSets
+	}
+}
+
+/**
+ * Associates a web ACL with a regional resource (e.g., an API Gateway stage).
+ * Doc: https://www.pulumi.com/registry/packages/aws/api-docs/wafv2/webaclassociation/
+ *
+ * @param  {String}						name
+ * @param  {Output<String>}				resourceArn
+ * @param  {Output<String>}				webAclArn
+ * @param  {Boolean}					protect
+ * @param  {[Output<Resource>]}			dependsOn
+ *
+ * @return {Output<WebAclAssociation>}	association
+ */
+const associateWebAcl = ({ name, resourceArn, webAclArn, protect, dependsOn }) => new aws.wafv2.WebAclAssociation(name, {
+	resourceArn,
+	webAclArn
+}, {
+	protect,
+	dependsOn
+})
+
+/**
+ * Creates one IP set per IP version as WAF does not support mixing IPv4 and IPv6 addresses in the same set.
+ * Doc: https://www.pulumi.com/registry/packages/aws/api-docs/wafv2/ipset/
+ */
+const _createIpSets = ({ name, scope, cidrs, tags, options }) => {
+	const [ipv4, ipv6] = cidrs.reduce((acc,cidr) => {
+		acc[cidr.indexOf(':') >= 0 ? 1 : 0].push(cidr)
+		return acc
+	}, [[],[]])
+
+	return [['IPV4', ipv4], ['IPV6', ipv6]].filter(([,addresses]) => addresses.length).map(([version, addresses]) => {
+		const ipSetName = `${name}-${version.toLowerCase()}`
+		return new aws.wafv2.IpSet(ipSetName, {
+			name: ipSetName,
+			scope,
+			ipAddressVersion: version,
+			addresses,
+			tags: {
+				...tags,
+				Name: ipSetName
+			}
+		}, options)
+	})
+}
+
+module.exports = {
+	createWebAcl,
+	associateWebAcl
+}
@@ -0,0 +1,118 @@
+/**
+ * Copyright (c) 2019-2021, Cloudless Consulting Pty Ltd.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+*/
+
+// To skip a test, either use 'xit' instead of 'it', or 'describe.skip' instead of 'describe'.
+// To only run a test, use 'it.only' instead of 'it'.
+
+const fs = require('fs')
+const os = require('os')
+const { join } = require('path')
+const { execFileSync } = require('child_process')
+const { assert } = require('chai')
+const { buildArchive } = require('../src/aws/lambda/utils')
+
+const CRC32_CHECK_VALUE = 0xcbf43926 // CRC-32 of '123456789'. Doc: https://reveng.sourceforge.io/crc-catalogue/17plus.htm#crc.cat.crc-32-iso-hdlc
+
+const createSourceDir = (root, files) => {
+	for (let [f, content] of Object.entries(files)) {
+		const file = join(root, f)
+		fs.mkdirSync(join(file, '..'), { recursive:true })
+		fs.writeFileSync(file, content)
+	}
+	return root
+}
+
+// Runs a test in a new temp folder that is deleted afterward.
+const inTmpDir = fn => async () => {
+	const tmpDir = fs.mkdtempSync(join(os.tmpdir(), 'pulumix-test-'))
+	try {
+		await fn(tmpDir)
+	} finally {
+		fs.rmSync(tmpDir, { recursive:true, force:true })
+	}
+}
+
+const unzipList = file => execFileSync('unzip', ['-Z1', file]).toString().split('\n').filter(x => x).sort()
+
+describe('lambda', () => {
+	describe('buildArchive', () => {
+		it('Should create a valid zip archive.', inTmpDir(async tmpDir => {
+			const dir = createSourceDir(join(tmpDir, 'src'), {
+				'index.js': 'exports.handler = async () => ({ statusCode:200 })',
+				'check.txt': '123456789',
+				'lib/utils.js': 'module.exports = {}'
+			})
+			const [errors, archive] = await buildArchive({ name:'test', dir, runtime:'nodejs20.x', build:{ outDir:join(tmpDir, 'out') } })
+			assert.isNotOk(errors, '01')
+			assert.isOk(fs.existsSync(archive.file), '02')
+			assert.include(execFileSync('unzip', ['-t', archive.file]).toString(), 'No errors detected', '03')
+			assert.deepEqual(unzipList(archive.file), ['check.txt', 'index.js', 'lib/utils.js'], '04')
+			assert.equal(execFileSync('unzip', ['-p', archive.file, 'lib/utils.js']).toString(), 'module.exports = {}', '05')
+
+			// The entries are sorted, so 'check.txt' is the first central directory header.
+			const zip = fs.readFileSync(archive.file)
+			const centralDirOffset = zip.readUInt32LE(zip.length - 22 + 16)
+			assert.equal(zip.readUInt32LE(centralDirOffset), 0x02014b50, '06')
+			assert.equal(zip.readUInt32LE(centralDirOffset + 16), CRC32_CHECK_VALUE, '07')
+		}))
+		it('Should create byte-identical archives from the same files.', inTmpDir(async tmpDir => {
+			const files = {
+				'index.js': 'exports.handler = async () => ({ statusCode:200 })',
+				'lib/utils.js': 'module.exports = {}'
+			}
+			const dir01 = createSourceDir(join(tmpDir, 'src01'), files)
+			const [errors01, archive01] = await buildArchive({ name:'test', dir:dir01, runtime:'nodejs20.x', build:{ outDir:join(tmpDir, 'out01') } })
+			// Different timestamps must not change the archive.
+			const dir02 = createSourceDir(join(tmpDir, 'src02'), files)
+			fs.utimesSync(join(dir02, 'index.js'), new Date(2000, 1, 1), new Date(2000, 1, 1))
+			const [errors02, archive02] = await buildArchive({ name:'test', dir:dir02, runtime:'nodejs20.x', build:{ outDir:join(tmpDir, 'out02') } })
+
+			assert.isNotOk(errors01, '01')
+			assert.isNotOk(errors02, '02')
+			assert.equal(archive01.sourceHash, archive02.sourceHash, '03')
+			assert.equal(archive01.hash, archive02.hash, '04')
+			assert.isOk(fs.readFileSync(archive01.file).equals(fs.readFileSync(archive02.file)), '05')
+		}))
+		it('Should change the archive when a file changes.', inTmpDir(async tmpDir => {
+			const outDir = join(tmpDir, 'out')
+			const dir = createSourceDir(join(tmpDir, 'src'), { 'index.js': 'exports.handler = async () => 1' })
+			const [errors01, archive01] = await buildArchive({ name:'test', dir, runtime:'nodejs20.x', build:{ outDir } })
+			fs.writeFileSync(join(dir, 'index.js'), 'exports.handler = async () => 2')
+			const [errors02, archive02] = await buildArchive({ name:'test', dir, runtime:'nodejs20.x', build:{ outDir } })
+
+			assert.isNotOk(errors01, '01')
+			assert.isNotOk(errors02, '02')
+			assert.notEqual(archive01.sourceHash, archive02.sourceHash, '03')
+			assert.notEqual(archive01.hash, archive02.hash, '04')
+			assert.notEqual(archive01.file, archive02.file, '05')
+		}))
+		it('Should skip the dotfiles, the default ignored files and the \'ignore\' patterns.', inTmpDir(async tmpDir => {
+			const dir = createSourceDir(join(tmpDir, 'src'), {
+				'index.js': 'exports.handler = async () => ({ statusCode:200 })',
+				'.env': 'SECRET=1',
+				'index.test.js': '',
+				'test/index.js': '',
+				'docs/readme.md': '',
+				'data/keep.json': '{}',
+				'data/skip.csv': ''
+			})
+			const [errors, archive] = await buildArchive({ name:'test', dir, runtime:'nodejs20.x', build:{ outDir:join(tmpDir, 'out'), ignore:['docs/**', '**/*.csv'] } })
+			assert.isNotOk(errors, '01')
+			assert.deepEqual(unzipList(archive.file), ['data/keep.json', 'index.js'], '02')
+
+			const [errors02, archive02] = await buildArchive({ name:'test', dir, runtime:'nodejs20.x', build:{ outDir:join(tmpDir, 'out'), ignore:'docs/**' } })
+			assert.isNotOk(errors02, '03')
+			assert.deepEqual(unzipList(archive02.file), ['data/keep.json', 'data/skip.csv', 'index.js'], '04')
+		}))
+		it('Should fail when the \'dir\' argument is missing.', async () => {
+			const [errors] = await buildArchive({ name:'test' })
+			assert.isOk(errors, '01')
+			assert.include(errors.map(e => e.message).join(' '), 'Missing required \'dir\' argument', '02')
+		})
+	})
+})